@@ -0,0 +1,234 @@
+/**
+ * Overview:
+ * Fills the report model (see reportModel.js) from the files Copyleaks delivers for a scan:
+ * - `scan_results.json`: the completed scan, with the similarity score and the matching sources.
+ * - `ai_result.json`: the AI detection, with classified sections and the explained phrases.
+ * - `crawled_version.json`: the plain text of the scanned document and where its pages start.
+ * - `results/<resultId>.json`: per matching source, where it matches the scanned document.
+ * Any of them may be missing, the matching parts of the model are then empty (null).
+ */
+
+// Copyleaks names the source lists by where they were found
+const SOURCE_TYPES = {
+    internet: "internet",
+    database: "database",
+    batch: "batch",
+    repositories: "repository",
+};
+
+// Copyleaks comparison types and the plagiarism type each one stands for
+const MATCH_TYPES = {
+    identical: "identical",
+    minorChanges: "minorChanges",
+    relatedMeaning: "paraphrased",
+};
+
+// Copyleaks AI classifications
+const AI_CLASSIFICATIONS = {
+    1: "human",
+    2: "ai",
+};
+
+// Turns parallel `{ starts, lengths }` arrays into a list of `{ start, length }`
+const toRanges = (ranges) => (ranges && ranges.starts ? ranges.starts.map((start, i) => ({ start, length: ranges.lengths[i] })) : []);
+
+/**
+ * Builds the document details.
+ * @param {Object|null} scanResults - Parsed `scan_results.json`.
+ * @param {Object|null} aiResult - Parsed `ai_result.json`.
+ * @param {Object|null} crawledVersion - Parsed `crawled_version.json`.
+ * @returns {ReportDocument}
+ */
+const toDocument = (scanResults, aiResult, crawledVersion) => {
+    const scanned = (scanResults && scanResults.scannedDocument) || (aiResult && aiResult.scannedDocument) || {};
+    const metadata = scanned.metadata || (crawledVersion && crawledVersion.metadata) || {};
+    const pages = crawledVersion && crawledVersion.text.pages;
+    return {
+        filename: metadata.filename || "Scanned Document",
+        scanId: scanned.scanId || null,
+        createdAt: scanned.creationTime || null,
+        totalWords: scanned.totalWords || 0,
+        excludedWords: scanned.totalExcluded || 0,
+        pageCount: pages && pages.startPosition ? pages.startPosition.length : null,
+        text: crawledVersion ? crawledVersion.text.value : null,
+    };
+};
+
+/**
+ * Builds the similarity breakdown.
+ * @param {Object} scanResults - Parsed `scan_results.json`.
+ * @returns {ReportSimilarity}
+ */
+const toSimilarity = (scanResults) => {
+    const { score } = scanResults.results;
+    return {
+        score: score.aggregatedScore,
+        identicalWords: score.identicalWords,
+        minorChangedWords: score.minorChangedWords,
+        paraphrasedWords: score.relatedMeaningWords,
+        omittedWords: scanResults.scannedDocument.totalExcluded || 0,
+    };
+};
+
+/**
+ * Builds the list of matching sources.
+ * @param {Object} scanResults - Parsed `scan_results.json`.
+ * @param {Object} results - Parsed `results/<resultId>.json` files, by result id, giving the text of the sources.
+ * @returns {ReportSource[]}
+ */
+const toSources = (scanResults, results) => {
+    const totalWords = scanResults.scannedDocument.totalWords || 0;
+    const sources = [];
+    Object.entries(SOURCE_TYPES).forEach(([list, type]) => {
+        (scanResults.results[list] || []).forEach((result) => {
+            const matchedWords = result.matchedWords || 0;
+            sources.push({
+                id: result.id,
+                type,
+                title: result.title || result.id,
+                url: result.url || null,
+                matchedWords,
+                identicalWords: result.identicalWords || 0,
+                minorChangedWords: result.similarWords || 0,
+                paraphrasedWords: result.paraphrasedWords || 0,
+                totalWords: result.totalWords || 0,
+                similarity: totalWords ? (matchedWords / totalWords) * 100 : 0,
+                text: results[result.id] && typeof results[result.id].text.value === "string" ? results[result.id].text.value : null,
+                // Results left out of the score by the scan's filters no longer match any words
+                excluded: matchedWords === 0,
+            });
+        });
+    });
+    return sources;
+};
+
+/**
+ * Builds the matches of the scanned document with the sources, from the sources' text comparisons.
+ * Sources without a comparison (not exported) have no matches.
+ * @param {Object} scanResults - Parsed `scan_results.json`.
+ * @param {Object} results - Parsed `results/<resultId>.json` files, by result id.
+ * @returns {ReportMatch[]}
+ */
+const toMatches = (scanResults, results) => {
+    const matches = [];
+    Object.keys(SOURCE_TYPES).forEach((list) => {
+        (scanResults.results[list] || []).forEach((result) => {
+            const comparison = results[result.id] && results[result.id].text.comparison;
+            if (!comparison) return;
+            Object.entries(MATCH_TYPES).forEach(([key, type]) => {
+                const suspected = comparison[key] && comparison[key].suspected;
+                if (!suspected) return;
+                const words = toRanges(suspected.words);
+                // The n-th range in the source is where the n-th range of the scanned document was found
+                const sourceChars = toRanges(comparison[key].source && comparison[key].source.chars);
+                toRanges(suspected.chars).forEach((chars, i) => {
+                    matches.push({
+                        sourceId: result.id,
+                        type,
+                        charStart: chars.start,
+                        charLength: chars.length,
+                        wordStart: words[i] ? words[i].start : null,
+                        wordLength: words[i] ? words[i].length : null,
+                        sourceCharStart: sourceChars[i] ? sourceChars[i].start : null,
+                        sourceCharLength: sourceChars[i] ? sourceChars[i].length : null,
+                    });
+                });
+            });
+        });
+    });
+    return matches;
+};
+
+/**
+ * Character range of every word range, from the detector's character offsets when it gives them and from where the
+ * words are in the text otherwise (Copyleaks counts words as runs of non-whitespace).
+ * @param {Object} offsets - `{ chars, words }` ranges of a Copyleaks match.
+ * @param {Object[]} textWords - `{ start, end }` per word of the text.
+ * @returns {({ start: number, length: number }|null)[]} - Null for a range it cannot place.
+ */
+const toCharRanges = (offsets, textWords) => {
+    const chars = toRanges(offsets.chars);
+    return toRanges(offsets.words).map((words, i) => {
+        if (chars[i]) {
+            return chars[i];
+        }
+        const first = textWords[words.start];
+        const last = textWords[words.start + words.length - 1];
+        return first && last ? { start: first.start, length: last.end - first.start } : null;
+    });
+};
+
+/**
+ * Builds the AI detection results, with a section per classified match of every result, in document order.
+ * @param {Object} aiResult - Parsed `ai_result.json`.
+ * @param {Object|null} crawledVersion - Parsed `crawled_version.json`, used to read the phrases and to place the
+ *   sections and phrases given by word offsets only.
+ * @returns {ReportAi}
+ */
+const toAi = (aiResult, crawledVersion) => {
+    const text = crawledVersion ? crawledVersion.text.value : "";
+    const textWords = [...text.matchAll(/\S+/g)].map((word) => ({ start: word.index, end: word.index + word[0].length }));
+
+    const spans = [];
+    aiResult.results.forEach((result) => {
+        result.matches.forEach((match) => {
+            const chars = toCharRanges(match.text, textWords);
+            toRanges(match.text.words).forEach((words, i) => {
+                spans.push({
+                    classification: AI_CLASSIFICATIONS[result.classification] || "unknown",
+                    probability: result.probability !== undefined ? result.probability : null,
+                    charStart: chars[i] ? chars[i].start : null,
+                    charLength: chars[i] ? chars[i].length : null,
+                    wordStart: words.start,
+                    wordLength: words.length,
+                });
+            });
+        });
+    });
+    spans.sort((a, b) => a.wordStart - b.wordStart);
+
+    const { statistics, text: patternText } = aiResult.explain.patterns;
+    const phraseChars = toCharRanges(patternText, textWords);
+    const phrases = toRanges(patternText.words).map((phraseWords, i) => {
+        const chars = phraseChars[i];
+        return {
+            text: chars ? text.substr(chars.start, chars.length) : "",
+            wordStart: phraseWords.start,
+            wordLength: phraseWords.length,
+            charStart: chars ? chars.start : null,
+            charLength: chars ? chars.length : null,
+            aiCount: statistics.aiCount[i],
+            humanCount: statistics.humanCount[i],
+        };
+    });
+
+    const scanned = aiResult.scannedDocument || {};
+    return {
+        totalWords: scanned.totalWords || 0,
+        excludedWords: scanned.totalExcluded || 0,
+        spans,
+        phrases,
+    };
+};
+
+/**
+ * Fills the report model from Copyleaks files.
+ * @param {Object} inputs - The parsed files, any of them may be null.
+ * @param {Object|null} inputs.scanResults - `scan_results.json`.
+ * @param {Object|null} inputs.aiResult - `ai_result.json`.
+ * @param {Object|null} inputs.crawledVersion - `crawled_version.json`.
+ * @param {Object} [inputs.results] - `results/<resultId>.json` by result id, for the sources that were exported.
+ * @returns {ReportModel}
+ */
+const fromCopyleaks = ({ scanResults = null, aiResult = null, crawledVersion = null, results = {} }) => ({
+    provider: "copyleaks",
+    document: toDocument(scanResults, aiResult, crawledVersion),
+    similarity: scanResults ? toSimilarity(scanResults) : null,
+    sources: scanResults ? toSources(scanResults, results) : [],
+    matches: scanResults ? toMatches(scanResults, results) : [],
+    ai: aiResult ? toAi(aiResult, crawledVersion) : null,
+});
+
+module.exports = {
+    fromCopyleaks,
+};
@@ -0,0 +1,108 @@
+const { default: axios } = require("axios");
+
+/**
+ * Overview:
+ * Minimal client for the Copyleaks API calls the report pipeline needs:
+ * - logging in to get an access token (cached until shortly before it expires),
+ * - requesting the export of a scan's artifacts to our webhooks.
+ *
+ * The URLs can be pointed at the mock server (see mockCopyleaksServer.js) to work offline.
+ */
+
+/**
+ * Creates a Copyleaks client.
+ * @param {Object} options - Client options.
+ * @param {string} options.email - Copyleaks account email.
+ * @param {string} options.apiKey - Copyleaks API key.
+ * @param {string} [options.apiUrl="https://api.copyleaks.com"] - Base URL of the Copyleaks API.
+ * @param {string} [options.idUrl="https://id.copyleaks.com"] - Base URL of the Copyleaks identity server.
+ * @returns {Object} - The client (`login`, `exportScan`).
+ */
+const createCopyleaksClient = ({
+    email,
+    apiKey,
+    apiUrl = "https://api.copyleaks.com",
+    idUrl = "https://id.copyleaks.com",
+}) => {
+    let token = null;
+    let tokenExpiresAt = 0;
+
+    /**
+     * Logs in and returns an access token, reusing the previous one while it is valid.
+     * @returns {Promise<string>}
+     */
+    const login = async () => {
+        // Renew five minutes before the token expires
+        if (token && Date.now() < tokenExpiresAt - 5 * 60 * 1000) {
+            return token;
+        }
+
+        const { data } = await axios.post(`${idUrl}/v3/account/login/api`, { email, key: apiKey });
+        token = data.access_token;
+        tokenExpiresAt = data[".expires"] ? new Date(data[".expires"]).getTime() : Date.now() + 60 * 60 * 1000;
+        return token;
+    };
+
+    /**
+     * Asks Copyleaks to export a scan's artifacts to our webhooks.
+     * @param {string} scanId - The scan to export.
+     * @param {string} exportId - Id for this export, used in the webhook URLs.
+     * @param {Object} targets - Where each artifact is sent.
+     * @param {string[]} targets.resultIds - Ids of the results (sources) to export.
+     * @param {Function} targets.resultEndpoint - `(resultId) => url` for each exported result.
+     * @param {string} targets.pdfReportEndpoint - Webhook receiving the PDF report.
+     * @param {string} targets.crawledVersionEndpoint - Webhook receiving the crawled version.
+     * @param {string} targets.aiDetectionEndpoint - Webhook receiving the AI detection result.
+     * @param {string} targets.completionWebhook - Webhook called once the export is done.
+     * @returns {Promise<void>}
+     */
+    const exportScan = async (scanId, exportId, targets) => {
+        const accessToken = await login();
+        const webhook = (endpoint) => ({ verb: "POST", headers: [], endpoint });
+
+        const options = {
+            method: "POST",
+            url: `${apiUrl}/v3/downloads/${scanId}/export/${exportId}`,
+            headers: {
+                "Content-Type": "application/json",
+                Authorization: `Bearer ${accessToken}`,
+            },
+            data: {
+                results: targets.resultIds.map((id) => ({ id, ...webhook(targets.resultEndpoint(id)) })),
+                pdfReport: webhook(targets.pdfReportEndpoint),
+                crawledVersion: webhook(targets.crawledVersionEndpoint),
+                aiDetection: webhook(targets.aiDetectionEndpoint),
+                completionWebhook: targets.completionWebhook,
+                maxRetries: 3,
+            },
+        };
+
+        await axios.request(options);
+    };
+
+    return { login, exportScan };
+};
+
+let defaultClient = null;
+
+/**
+ * Returns the client configured through the environment, created on first use.
+ * `COPYLEAKS_EMAIL`, `COPYLEAKS_API_KEY`, `COPYLEAKS_API_URL` and `COPYLEAKS_ID_URL`.
+ * @returns {Object} - The client.
+ */
+const getCopyleaksClient = () => {
+    if (!defaultClient) {
+        defaultClient = createCopyleaksClient({
+            email: process.env.COPYLEAKS_EMAIL,
+            apiKey: process.env.COPYLEAKS_API_KEY,
+            apiUrl: process.env.COPYLEAKS_API_URL || undefined,
+            idUrl: process.env.COPYLEAKS_ID_URL || undefined,
+        });
+    }
+    return defaultClient;
+};
+
+module.exports = {
+    createCopyleaksClient,
+    getCopyleaksClient,
+};
@@ -0,0 +1,330 @@
+const path = require("path");
+const crypto = require("crypto");
+const { getCopyleaksClient } = require("./copyleaksClient");
+const { getStorage } = require("./storage");
+const {
+    BASE_DIR,
+    SCAN_INPUT_FILES,
+    REPORT_FILE,
+    scanFolderKey,
+    resultFileKey,
+    generateReportAfterExport,
+} = require("./main");
+
+/**
+ * Overview:
+ * Receives the Copyleaks webhooks of a scan and saves what they deliver into the scan folder.
+ *
+ * Flow:
+ * 1. Copyleaks calls the scan webhook with status `completed`: the body is saved as `scan_results.json`
+ *    and an export of the scan's artifacts is requested (`exportResultApi`).
+ * 2. Copyleaks posts each exported artifact to its own route:
+ *    - `pdf-report` -> `plagiarism_report.pdf`
+ *    - `crawled-version` -> `crawled_version.json`
+ *    - `ai-detection` -> `ai_result.json`
+ *    - `results/:resultId` -> `results/<resultId>.json`
+ * 3. Copyleaks calls the export completion webhook once every artifact was delivered.
+ * Report generation is only queued by the completion webhook: artifacts and results arrive in any order, and the
+ * report must not be built before the `results/<resultId>.json` files it compares the sources with. Inputs still
+ * missing then were not delivered, their sections are left out of the report. A scan whose report was generated
+ * already is not built again when Copyleaks repeats the completion call.
+ *
+ * `WEBHOOK_BASE_URL` is the public URL of this backend, the export webhooks are built from it.
+ * Every webhook URL carries `COPYLEAKS_WEBHOOK_SECRET` as its `token` query parameter, the routes refuse requests
+ * without it (401), and all of them while the secret is not set (503). Scans must be submitted with the webhook URL
+ * of `scanWebhookUrl` for their `completed` call to be accepted. User and scan ids that are not plain names (letters,
+ * digits, `_` and `-`) are refused (400), they would point outside of the scan folder.
+ */
+
+// Exported artifacts and the file each one is saved as
+const EXPORT_ARTIFACTS = {
+    "pdf-report": "plagiarism_report.pdf",
+    "crawled-version": "crawled_version.json",
+    "ai-detection": "ai_result.json",
+};
+
+// Appends the webhook secret to one of our webhook URLs
+const withWebhookToken = (url) => {
+    const secret = process.env.COPYLEAKS_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error("COPYLEAKS_WEBHOOK_SECRET is not set");
+    }
+    return `${url}?token=${encodeURIComponent(secret)}`;
+};
+
+/**
+ * Wraps a webhook route so that it only runs for requests carrying the webhook secret.
+ * @param {Function} handler - The route.
+ * @returns {Function} - The guarded route.
+ */
+const requireWebhookToken = (handler) => (req, res) => {
+    const secret = process.env.COPYLEAKS_WEBHOOK_SECRET;
+    if (!secret) {
+        console.error("COPYLEAKS_WEBHOOK_SECRET is not set, Copyleaks webhooks are refused");
+        return res.status(503).json({ error: "Webhooks are not configured" });
+    }
+    const expected = Buffer.from(secret);
+    const token = Buffer.from(String((req.query && req.query.token) || ""));
+    if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+        return res.status(401).json({ error: "Invalid webhook token" });
+    }
+    return handler(req, res);
+};
+
+/**
+ * Wraps a webhook route so that it only runs for plain user and scan ids (see `scanFolderKey`), others get a 400.
+ * @param {Function} handler - The route.
+ * @returns {Function} - The guarded route.
+ */
+const requireScanIds = (handler) => (req, res) => {
+    try {
+        scanFolderKey(req.params.userId, req.params.scanId);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    return handler(req, res);
+};
+
+// A webhook route: the secret is checked first, then the ids
+const webhookRoute = (handler) => requireWebhookToken(requireScanIds(handler));
+
+/**
+ * The scan status webhook to submit a scan with, Copyleaks replaces `{STATUS}` with the status it reports.
+ * @param {string} userId - The user that owns the scan.
+ * @param {string} scanId - The scan.
+ * @returns {string}
+ */
+const scanWebhookUrl = (userId, scanId) => {
+    const webhookBaseUrl = process.env.WEBHOOK_BASE_URL;
+    if (!webhookBaseUrl) {
+        throw new Error("WEBHOOK_BASE_URL is not set");
+    }
+    return withWebhookToken(`${webhookBaseUrl}/api/scan/copyleaks/webhook/${userId}/${scanId}/{STATUS}`);
+};
+
+// Reads the raw request body, whether or not a body parser already ran
+const readRequestBody = async (req) => {
+    if (Buffer.isBuffer(req.body)) {
+        return req.body;
+    }
+    if (typeof req.body === "string") {
+        return Buffer.from(req.body);
+    }
+    if (typeof req.on === "function" && !req.readableEnded) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+    return Buffer.from(JSON.stringify(req.body || {}));
+};
+
+// Saves one file into the scan folder
+const saveScanFile = async (userId, scanId, file, bytes) => {
+    const storage = getStorage(BASE_DIR);
+    const folderKey = scanFolderKey(userId, scanId);
+    await storage.writeFile(path.posix.join(folderKey, file), bytes);
+    console.log(`Saved ${file} for scan ${scanId}`);
+};
+
+// Files of the scan folder that are not there, out of `files`
+const missingScanFiles = async (userId, scanId, files) => {
+    const storage = getStorage(BASE_DIR);
+    const folderKey = scanFolderKey(userId, scanId);
+    const missing = [];
+    for (const file of files) {
+        if (!(await storage.exists(path.posix.join(folderKey, file)))) {
+            missing.push(file);
+        }
+    }
+    return missing;
+};
+
+// Checks that a body meant to be JSON parses, so broken deliveries are refused and Copyleaks retries them
+const parseJsonBody = (bytes) => {
+    try {
+        return JSON.parse(bytes.toString("utf8"));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Requests the export of a completed scan's artifacts to our webhooks.
+ * @param {string} userId - The user that owns the scan.
+ * @param {string} scanId - The completed scan.
+ * @param {Object} scanResults - The `completed` webhook body (`scan_results.json`), used to list the results to export.
+ * @returns {Promise<string>} - The export id.
+ */
+const exportResultApi = async (userId, scanId, scanResults) => {
+    const webhookBaseUrl = process.env.WEBHOOK_BASE_URL;
+    if (!webhookBaseUrl) {
+        throw new Error("WEBHOOK_BASE_URL is not set");
+    }
+
+    const exportId = crypto.randomBytes(8).toString("hex");
+    const exportUrl = `${webhookBaseUrl}/api/scan/copyleaks/export/${userId}/${scanId}/${exportId}`;
+    const results = (scanResults && scanResults.results) || {};
+    const resultIds = ["internet", "database", "batch", "repositories"]
+        .flatMap((list) => (results[list] || []).map((result) => result.id));
+
+    await getCopyleaksClient().exportScan(scanId, exportId, {
+        resultIds,
+        resultEndpoint: (resultId) => withWebhookToken(`${exportUrl}/results/${resultId}`),
+        pdfReportEndpoint: withWebhookToken(`${exportUrl}/pdf-report`),
+        crawledVersionEndpoint: withWebhookToken(`${exportUrl}/crawled-version`),
+        aiDetectionEndpoint: withWebhookToken(`${exportUrl}/ai-detection`),
+        completionWebhook: withWebhookToken(`${exportUrl}/completed`),
+    });
+    console.log(`Export ${exportId} requested for scan ${scanId}`);
+
+    return exportId;
+};
+
+/**
+ * Route: scanStatusWebhook
+ * POST /api/scan/copyleaks/webhook/:userId/:scanId/:status
+ * Saves the `completed` scan as `scan_results.json` and requests the export of its artifacts, unless the report was
+ * generated already (Copyleaks may call again).
+ */
+const scanStatusWebhook = async (req, res) => {
+    const { userId, scanId, status } = req.params;
+    try {
+        const bytes = await readRequestBody(req);
+        if (status !== "completed") {
+            console.log(`Copyleaks scan ${scanId} reported status ${status}:`, bytes.toString("utf8"));
+            return res.status(200).json({ message: "Status received" });
+        }
+
+        const scanResults = parseJsonBody(bytes);
+        if (!scanResults) {
+            return res.status(400).json({ error: "Body is not valid JSON" });
+        }
+
+        if ((await missingScanFiles(userId, scanId, [REPORT_FILE])).length === 0) {
+            return res.status(200).json({ message: "Scan completed, report already generated" });
+        }
+        await saveScanFile(userId, scanId, "scan_results.json", bytes);
+        const exportId = await exportResultApi(userId, scanId, scanResults);
+        return res.status(200).json({ message: "Scan saved, export requested", exportId });
+    } catch (error) {
+        console.error("Error handling scan webhook:", error);
+        return res.status(500).json({ error: "Server error while handling scan webhook" });
+    }
+};
+
+/**
+ * Route: exportArtifactWebhook
+ * POST /api/scan/copyleaks/export/:userId/:scanId/:exportId/:artifact
+ * Saves one exported artifact (`pdf-report`, `crawled-version` or `ai-detection`) into the scan folder.
+ */
+const exportArtifactWebhook = async (req, res) => {
+    const { userId, scanId, artifact } = req.params;
+    const file = EXPORT_ARTIFACTS[artifact];
+    if (!file) {
+        return res.status(404).json({ error: `Unknown export artifact: ${artifact}` });
+    }
+
+    try {
+        const bytes = await readRequestBody(req);
+        if (file.endsWith(".json") && !parseJsonBody(bytes)) {
+            return res.status(400).json({ error: "Body is not valid JSON" });
+        }
+
+        await saveScanFile(userId, scanId, file, bytes);
+        return res.status(200).json({ message: `${file} saved` });
+    } catch (error) {
+        console.error(`Error saving export artifact ${artifact}:`, error);
+        return res.status(500).json({ error: "Server error while saving export artifact" });
+    }
+};
+
+/**
+ * Route: exportResultWebhook
+ * POST /api/scan/copyleaks/export/:userId/:scanId/:exportId/results/:resultId
+ * Saves the text of one matching source as `results/<resultId>.json`.
+ */
+const exportResultWebhook = async (req, res) => {
+    const { userId, scanId, resultId } = req.params;
+    try {
+        // The same key `buildReport` reads, ids that are not a plain name are refused (400)
+        const key = resultFileKey(resultId);
+        const bytes = await readRequestBody(req);
+        if (!parseJsonBody(bytes)) {
+            return res.status(400).json({ error: "Body is not valid JSON" });
+        }
+
+        await saveScanFile(userId, scanId, key, bytes);
+        return res.status(200).json({ message: "Result saved" });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`Error saving export result ${resultId}:`, error);
+        return res.status(500).json({ error: "Server error while saving export result" });
+    }
+};
+
+/**
+ * Route: exportCompletedWebhook
+ * POST /api/scan/copyleaks/export/:userId/:scanId/:exportId/completed
+ * Called by Copyleaks once the export is done (every artifact and result was delivered, or failed to be), queues
+ * the report unless it was generated already. While a report with other options is queued or running for the scan,
+ * answers 200 with that job, and 503 when the report queue is full (Copyleaks calls again).
+ */
+const exportCompletedWebhook = async (req, res) => {
+    const { userId, scanId, exportId } = req.params;
+    try {
+        const body = parseJsonBody(await readRequestBody(req)) || {};
+        const failedTasks = (body.tasks || []).filter((task) => !task.isHealthy);
+        if (failedTasks.length > 0) {
+            console.error(`Export ${exportId} of scan ${scanId} had failed deliveries:`, failedTasks);
+        }
+
+        if ((await missingScanFiles(userId, scanId, [REPORT_FILE])).length === 0) {
+            return res.status(200).json({ message: "Export completed, report already generated" });
+        }
+        const missing = await missingScanFiles(userId, scanId, SCAN_INPUT_FILES);
+        if (missing.length > 0) {
+            console.warn(`Export ${exportId} of scan ${scanId} completed without ${missing.join(", ")}, the report leaves their sections out`);
+        }
+
+        const job = await generateReportAfterExport(scanId, userId);
+        return res.status(200).json({ message: "Export completed, report queued", jobId: job.id });
+    } catch (error) {
+        // A report with other options is on its way for the scan already, there is nothing for Copyleaks to retry
+        if (error.status === 409) {
+            return res.status(200).json({ message: "Export completed, a report is already queued", jobId: error.job.id });
+        }
+        if (error.status === 503) {
+            return res.status(503).json({ error: "Report could not be queued, try again later" });
+        }
+        console.error("Error handling export completion:", error);
+        return res.status(500).json({ error: "Server error while handling export completion" });
+    }
+};
+
+/**
+ * Registers the webhook routes on an Express-style router (`router.post(path, handler)`), each one guarded by the
+ * webhook secret and refusing ids that are not plain names. The handlers read the raw body themselves, so the PDF
+ * report does not need a body parser.
+ * @param {Object} router - The router or app.
+ */
+const registerCopyleaksRoutes = (router) => {
+    router.post("/api/scan/copyleaks/webhook/:userId/:scanId/:status", webhookRoute(scanStatusWebhook));
+    router.post("/api/scan/copyleaks/export/:userId/:scanId/:exportId/completed", webhookRoute(exportCompletedWebhook));
+    router.post("/api/scan/copyleaks/export/:userId/:scanId/:exportId/results/:resultId", webhookRoute(exportResultWebhook));
+    router.post("/api/scan/copyleaks/export/:userId/:scanId/:exportId/:artifact", webhookRoute(exportArtifactWebhook));
+};
+
+module.exports = {
+    EXPORT_ARTIFACTS,
+    scanWebhookUrl,
+    exportResultApi,
+    scanStatusWebhook,
+    exportArtifactWebhook,
+    exportResultWebhook,
+    exportCompletedWebhook,
+    registerCopyleaksRoutes,
+};
@@ -0,0 +1,161 @@
+const path = require("path");
+const { PDFDocument } = require("pdf-lib");
+
+/**
+ * Overview:
+ * Waits for the files that Copyleaks delivers through its webhooks to show up in a scan folder.
+ * The folder is read through a storage adapter (see `storage.js`). It is watched when the adapter supports it,
+ * with a slow poll as a fallback for backends and file systems that do not emit events.
+ * A file only counts as arrived once it is complete:
+ * - its size and modification time have not changed for `stableMs`, and
+ * - it can be read back (`.json` files parse, `.pdf` files load with pdf-lib).
+ * The wait ends when every file has arrived or the deadline passes, whichever comes first.
+ */
+
+/**
+ * @typedef {Object} WaitForFilesResult
+ * @property {boolean} complete - True when every required file arrived before the deadline.
+ * @property {string[]} arrived - Files that are present and complete.
+ * @property {string[]} missing - Files that never showed up.
+ * @property {Object[]} incomplete - Files that showed up but were still being written or could not be read,
+ *   as `{ file, reason }`.
+ * @property {number} elapsedMs - How long the wait took.
+ */
+
+// Checks that a file can be read back in full, per file type
+const contentValidators = {
+    ".json": async (bytes) => {
+        JSON.parse(bytes.toString("utf8"));
+    },
+    ".pdf": async (bytes) => {
+        await PDFDocument.load(bytes);
+    },
+};
+
+/**
+ * Waits for a set of files to be fully written into a folder.
+ * @param {Object} storage - Storage adapter the folder lives in.
+ * @param {string} folderKey - Storage key of the folder to watch.
+ * @param {string[]} requiredFiles - File names expected in the folder.
+ * @param {Object} [options] - Wait options.
+ * @param {number} [options.timeoutMs=600000] - Deadline for all files to arrive.
+ * @param {number} [options.stableMs=2000] - How long a file's size must stay unchanged before it is read.
+ * @param {number} [options.pollMs=1000] - Interval of the fallback poll.
+ * @returns {Promise<WaitForFilesResult>}
+ */
+const waitForFilesInFolder = (storage, folderKey, requiredFiles, options = {}) => {
+    const { timeoutMs = 10 * 60 * 1000, stableMs = 2000, pollMs = 1000 } = options;
+    const startedAt = Date.now();
+
+    // file -> { size, mtimeMs, since, done, reason }
+    const state = new Map(requiredFiles.map((file) => [file, { size: -1, mtimeMs: 0, since: 0, done: false, reason: null }]));
+
+    return new Promise((resolve) => {
+        let watcher = null;
+        let pollTimer = null;
+        let deadlineTimer = null;
+        let checking = false;
+        let recheck = false;
+        let settled = false;
+
+        const buildResult = () => {
+            const result = { complete: true, arrived: [], missing: [], incomplete: [], elapsedMs: Date.now() - startedAt };
+            for (const [file, entry] of state) {
+                if (entry.done) {
+                    result.arrived.push(file);
+                } else if (entry.size < 0) {
+                    result.missing.push(file);
+                    result.complete = false;
+                } else {
+                    result.incomplete.push({ file, reason: entry.reason || "file was still being written" });
+                    result.complete = false;
+                }
+            }
+            return result;
+        };
+
+        const settle = () => {
+            if (settled) return;
+            settled = true;
+            if (watcher) watcher.close();
+            clearInterval(pollTimer);
+            clearTimeout(deadlineTimer);
+            resolve(buildResult());
+        };
+
+        // Tries to attach the watcher, the folder itself may not exist yet
+        const watchFolder = () => {
+            if (watcher) return;
+            try {
+                watcher = storage.watch(folderKey, () => checkAll());
+            } catch (error) {
+                watcher = null;
+            }
+        };
+
+        const checkFile = async (file, entry) => {
+            const key = path.posix.join(folderKey, file);
+            const stats = await storage.stat(key);
+            if (!stats) {
+                entry.size = -1;
+                return;
+            }
+
+            // Any change in size or modification time restarts the stability window
+            if (stats.size !== entry.size || stats.mtimeMs !== entry.mtimeMs) {
+                entry.size = stats.size;
+                entry.mtimeMs = stats.mtimeMs;
+                entry.since = Date.now();
+                entry.reason = null;
+                return;
+            }
+            if (stats.size === 0 || Date.now() - entry.since < stableMs) {
+                return;
+            }
+
+            const validate = contentValidators[path.extname(file).toLowerCase()];
+            try {
+                if (validate) await validate(await storage.readFile(key));
+                entry.done = true;
+            } catch (error) {
+                // Keep waiting, the file may be rewritten by a later webhook delivery
+                entry.reason = `file could not be read: ${error.message}`;
+            }
+        };
+
+        const checkAll = async () => {
+            if (settled) return;
+            if (checking) {
+                recheck = true;
+                return;
+            }
+            checking = true;
+            do {
+                recheck = false;
+                watchFolder();
+                for (const [file, entry] of state) {
+                    if (entry.done) continue;
+                    try {
+                        await checkFile(file, entry);
+                    } catch (error) {
+                        // A storage hiccup should not end the wait, the next poll tries again
+                        console.error(`Error checking ${file} in ${folderKey}:`, error.message);
+                    }
+                }
+            } while (recheck && !settled);
+            checking = false;
+
+            if ([...state.values()].every((entry) => entry.done)) {
+                settle();
+            }
+        };
+
+        pollTimer = setInterval(checkAll, pollMs);
+        deadlineTimer = setTimeout(settle, timeoutMs);
+        checkAll();
+    });
+};
+
+module.exports = {
+    waitForFilesInFolder,
+};
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Overview:
+ * Languages of the generated report pages. Every locale is a JSON file in src/locales (`<language>.json`) holding
+ * - `messages`: The copy of the pages, nested by page (`cover.title`, `plagiarism.identical.text`...). Messages may
+ *   hold `{name}` parameters. Messages a locale does not translate fall back to English.
+ * - `direction`: `ltr` or `rtl`, right-to-left locales get mirrored pages (see pageLayout.js).
+ * - `fonts`: Font family per role (`heading`, `text`, `ui`, `mono`), replacing the theme's for that locale, and
+ *   `unicode`: the family used for text the built-in jsPDF fonts cannot encode (e.g. an Urdu filename in an
+ *   English report).
+ *
+ * Unicode families are TTF files listed in `FONT_FILES` and only embedded when a locale uses them. They ship in
+ * src/fonts (Noto Naskh Arabic, under the SIL Open Font License, see src/fonts/OFL.txt), `FONTS_DIR` points to
+ * another folder holding the same files. A right-to-left locale cannot be shaped with the built-in fonts, so
+ * `getLocale` refuses it (422) when its fonts are missing. For other locales a missing family is left out and the
+ * theme's fonts are used instead.
+ *
+ * Dates and numbers are formatted with Intl for the requested language tag (e.g. `ur-PK`) in an explicit timezone,
+ * never in the locale or timezone of the server.
+ * - `DEFAULT_LOCALE`: Locale of reports that do not ask for one (`en` by default).
+ * - `REPORT_TIMEZONE`: Timezone of reports that do not ask for one (`UTC` by default).
+ */
+
+const LOCALES_DIR = path.join(__dirname, "locales");
+const FALLBACK_LANGUAGE = "en";
+
+// TTF files of the Unicode font families, by style
+const FONT_FILES = {
+    NotoNaskhArabic: { normal: "NotoNaskhArabic-Regular.ttf", bold: "NotoNaskhArabic-Bold.ttf" },
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Messages of `override` over `base`, section by section
+const mergeMessages = (base, override) => {
+    const merged = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeMessages(base[key], value) : value;
+    });
+    return merged;
+};
+
+const catalogCache = new Map();
+
+// Reads locales/<language>.json, null when there is no such locale
+const readCatalog = (language) => {
+    if (!catalogCache.has(language)) {
+        const file = path.join(LOCALES_DIR, `${language}.json`);
+        catalogCache.set(language, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : null);
+    }
+    return catalogCache.get(language);
+};
+
+// Fills the `{name}` parameters of a message
+const interpolate = (message, params = {}) => message.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined || params[name] === null ? match : String(params[name])
+));
+
+const interpolateAll = (messages, params) => {
+    if (typeof messages === "string") return interpolate(messages, params);
+    return Object.fromEntries(Object.entries(messages).map(([key, value]) => [key, interpolateAll(value, params)]));
+};
+
+/**
+ * Resolves the font roles of a locale to families and the TTF files they need.
+ * @param {Object} roles - Family per role, e.g. `{ text: "NotoNaskhArabic", unicode: "NotoNaskhArabic" }`.
+ * @param {Object} [options] - Resolve options.
+ * @param {string} [options.requiredBy] - Locale that cannot be rendered without its fonts, a missing family throws
+ *   (422) instead of falling back to the theme's fonts.
+ * @returns {Object} - `{ ...roles, files: [{ family, style, file }] }`, shaped like the `fonts` of a theme.
+ */
+const resolveFonts = (roles, { requiredBy } = {}) => {
+    const fontsDir = process.env.FONTS_DIR || path.join(__dirname, "fonts");
+    const fonts = { files: [] };
+
+    Object.entries(roles).forEach(([role, family]) => {
+        if (!FONT_FILES[family]) {
+            // A built-in jsPDF family
+            fonts[role] = family;
+            return;
+        }
+        const files = Object.entries(FONT_FILES[family])
+            .map(([style, file]) => ({ family, style, file: path.join(fontsDir, file) }))
+            .filter((font) => fs.existsSync(font.file));
+        if (files.length === 0) {
+            if (requiredBy) {
+                // Not worth retrying, the same fonts are missing on the next attempt
+                const error = new Error(`Font ${family} not found in ${fontsDir}, locale ${requiredBy} cannot be rendered without it (see FONTS_DIR)`);
+                error.status = 422;
+                throw error;
+            }
+            return;
+        }
+        fonts[role] = family;
+        files
+            .filter((font) => !fonts.files.some((added) => added.file === font.file))
+            .forEach((font) => fonts.files.push(font));
+    });
+    return fonts;
+};
+
+// The timezone if Intl knows it, UTC otherwise
+const checkTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat(FALLBACK_LANGUAGE, { timeZone });
+        return timeZone;
+    } catch (error) {
+        console.warn(`Unknown timezone ${JSON.stringify(timeZone)}, using UTC`);
+        return "UTC";
+    }
+};
+
+const localeCache = new Map();
+
+/**
+ * Returns a locale: its messages, direction and fonts, and formatters for its dates and numbers.
+ * @param {string} [tag] - BCP 47 language tag, e.g. `en`, `ar-EG`, `ur-PK`. The messages are picked by language,
+ *   unknown languages get English.
+ * @param {Object} [options] - Locale options.
+ * @param {string} [options.timeZone] - IANA timezone dates are shown in, e.g. `Asia/Karachi`.
+ * @returns {Object} - `{ id, language, name, direction, timeZone, fonts, messages, t, catalog, formatDate,
+ *   formatNumber, formatPercent }`.
+ * @throws {Error} - 422 when the locale is right-to-left and its fonts are not in `FONTS_DIR`.
+ */
+const getLocale = (tag = process.env.DEFAULT_LOCALE || FALLBACK_LANGUAGE, { timeZone = process.env.REPORT_TIMEZONE || "UTC" } = {}) => {
+    const requested = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(String(tag)) ? String(tag) : FALLBACK_LANGUAGE;
+    const cacheKey = `${requested}|${timeZone}`;
+    if (localeCache.has(cacheKey)) {
+        return localeCache.get(cacheKey);
+    }
+
+    let language = requested.split("-")[0].toLowerCase();
+    if (!readCatalog(language)) {
+        console.warn(`No messages for locale ${requested}, using ${FALLBACK_LANGUAGE}`);
+        language = FALLBACK_LANGUAGE;
+    }
+    const fallback = readCatalog(FALLBACK_LANGUAGE);
+    const catalog = language === FALLBACK_LANGUAGE ? fallback : readCatalog(language);
+    const messages = mergeMessages(fallback.messages, catalog.messages);
+
+    // Intl formats with the full tag (digits and separators of `ar-EG` and `ar-MA` differ) when it knows it
+    const intlTag = Intl.NumberFormat.supportedLocalesOf([requested]).length > 0 && requested.toLowerCase().startsWith(language)
+        ? requested
+        : language;
+    const zone = checkTimeZone(timeZone);
+    const dateFormat = new Intl.DateTimeFormat(intlTag, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: zone,
+        timeZoneName: "short",
+    });
+
+    /**
+     * A message by key, with its parameters filled in. Unknown keys are returned as they are.
+     * @param {string} key - Dotted key, e.g. `cover.notIncluded`.
+     * @param {Object} [params] - Parameter values, e.g. `{ reason }`.
+     * @returns {string}
+     */
+    const t = (key, params) => {
+        const message = key.split(".").reduce((value, part) => (value && typeof value === "object" ? value[part] : undefined), messages);
+        return typeof message === "string" ? interpolate(message, params) : key;
+    };
+
+    const direction = catalog.direction === "rtl" ? "rtl" : "ltr";
+    const locale = {
+        id: requested,
+        language,
+        name: catalog.name,
+        direction,
+        timeZone: zone,
+        fonts: resolveFonts({ ...(fallback.fonts || {}), ...(catalog.fonts || {}) }, { requiredBy: direction === "rtl" ? requested : undefined }),
+        messages,
+        t,
+        // Every message with the given parameters filled in, for binding in page templates as `{{t.cover.title}}`
+        catalog: (params) => interpolateAll(messages, params),
+        // A date (or ISO string) in the locale's format and timezone, "-" when there is none
+        formatDate: (value) => {
+            const date = value ? new Date(value) : null;
+            return date && !Number.isNaN(date.getTime()) ? dateFormat.format(date) : "-";
+        },
+        formatNumber: (value, options) => new Intl.NumberFormat(intlTag, options).format(Number(value) || 0),
+        // A percentage given on the 0-100 scale
+        formatPercent: (value, maximumFractionDigits = 1) => new Intl.NumberFormat(intlTag, {
+            style: "percent",
+            maximumFractionDigits,
+        }).format((Number(value) || 0) / 100),
+    };
+
+    localeCache.set(cacheKey, locale);
+    return locale;
+};
+
+module.exports = {
+    FONT_FILES,
+    getLocale,
+};
@@ -6,252 +6,748 @@
  *
  * Key Steps:
  * 1. Extract `userId` and `scanId` from request parameters and validate the folder path.
- * 2. Check for the existence of `scan_results.json` and read its content.
- * 3. Generate PDF pages (cover page and detailed analysis) and save as `part1.pdf`.
- * 4. Add a header and footer to an existing PDF (`plagiarism_report.pdf`) and save as `header_added.pdf`.
- * 5. Merge `part1.pdf` and `header_added.pdf` into `plag.pdf`.
- * 6. Process AI analysis data from `ai_result.json` and `crawled_version.json` to generate `part2.pdf`.
- * 7. Merge `plag.pdf` and `part2.pdf` into the final report (`MergedFinalReport.pdf`).
- * 8. Handle errors and return appropriate HTTP status codes.
+ * 2. Check for the existence of `scan_results.json` (and the AI inputs), read and validate their content.
+ * 3. Fill the report model from the Copyleaks files (see `reportModel.js`) and generate PDF pages
+ *    (cover page, detailed analysis, matching sources, the highlighted document and the side-by-side comparison
+ *    with the top `REPORT_COMPARISON_SOURCES` sources, 5 by default) from it in memory.
+ * 4. Add a header and footer to the existing PDF (`plagiarism_report.pdf`) in memory, and a QR code linking to the
+ *    online report when `REPORT_BASE_URL` is set (see `themes.js`).
+ * 5. Compose the generated pages, the header added PDF (without its first page) and the AI section into one
+ *    document in a single pass (`composePDFs`), keeping the fonts and images they share once.
+ * 6. Process AI analysis data from `ai_result.json` and `crawled_version.json` to generate the AI section (score,
+ *    classification by section and by paragraph, the top `REPORT_PHRASE_LIMIT` phrases grouped by the frequency
+ *    buckets of `REPORT_PHRASE_BUCKETS` and the highlighted text).
+ * 7. Add a table of contents after the cover page (the outline, or bookmarks, of every page builder and of
+ *    `plagiarism_report.pdf` is kept by the composition), stamp the running header and footer on every page (which
+ *    layout goes on which pages is set by the `REPORT_PAGE_STAMPS` rules, see `pageStamps.js`) and write the final
+ *    report (`MergedFinalReport.pdf`) atomically.
+ * 8. Handle errors and return appropriate HTTP status codes (422 with the file, JSON path and problem for inputs that
+ *    do not match their schema, see `scanSchemas.js`).
+ *
+ * The report is branded with the tenant's theme (see `themes.js`), the tenant comes from the `X-Tenant-Id` header
+ * or the `tenant` query parameter.
+ * The generated pages are written in the requested language (see `i18n.js`), taken from the `lang` query parameter
+ * or the `Accept-Language` header. Dates are shown in the timezone of the `tz` query parameter or the `X-Timezone`
+ * header (`REPORT_TIMEZONE` otherwise). Right-to-left languages (Arabic, Urdu) are set in the fonts shipped in
+ * src/fonts (or `FONTS_DIR`), the report is refused (422) without them.
+ * The generated pages are printed on the paper size and orientation of the `paper` (`a4`, `letter`...) and
+ * `orientation` query parameters (`REPORT_PAPER` and `REPORT_ORIENTATION` otherwise), the AI phrase tables can get
+ * an orientation of their own with `REPORT_PHRASE_ORIENTATION`.
+ *
+ * Sections whose inputs are missing are left out instead of failing the whole report. The cover page and the
+ * response list which sections were included and which were missing (and why).
+ *
+ * An executive summary page follows the cover page with the verdict (Pass / Needs Review / Fail) of the tenant's
+ * policy on the similarity score, the AI text and the largest single source, and the reasons for it (see
+ * `reportPolicy.js`). The verdict and its reasons are returned in the response too, as `policy`.
+ *
+ * No intermediate files are written, so two requests for the same scan cannot overwrite each other's parts.
+ * Inputs are read from, and the final report is written to, the configured storage (a local folder or an
+ * S3-compatible bucket, see `storage.js`).
+ *
+ * The steps live in `buildReport`, so they can also run outside of the HTTP request through the report queue:
+ * - `submitReportJob`: Queues a report and returns a job id right away (202).
+ * - `getReportJobStatus`: Reports queued/running/succeeded/failed with the current stage and error.
+ * - `retryReportJob`: Queues a failed job again.
+ *
+ * When a queued report succeeds or finally fails, the endpoints in `REPORT_WEBHOOK_URLS` are notified with a signed
+ * payload carrying the report location, page count, scores and policy verdict (see `reportNotifier.js`). Deliveries that keep failing
+ * end up in a dead-letter store:
+ * - `listFailedNotifications`: Lists the dead-lettered deliveries.
+ * - `replayFailedNotifications`: Sends them (or one of them) again.
  *
  * Helper Functions:
- * - `waitForFiles`: Waits for all required files to be present in the folder.
- * - `generateReportAfterExport`: Triggers report generation via an external API call.
+ * - `waitForFiles`: Waits (with a deadline) for all required files to be present and complete in the folder.
+ * - `generateReportAfterExport`: Queues report generation on the report queue.
  */
 
 
 
 /*
-* This is to be added in the try-catch block of the exportResultApi function. 
-try {
-    const { data } = await axios.request(options);
-    console.log(data, "this is success===>");
-
-
-    // Wait for all files to be created
-    await waitForFiles(scanId, userId);
-
-    // Call generateReport after all files are created
-    await generateReportAfterExport(scanId, userId);
-
-    return; // Exit here if you don't need to process AI data
-
-  } catch (error) {
-    console.error(error, "this .is error");
-  }
-
+* The export request, the Copyleaks webhooks and the call to `generateReportAfterExport` live in copyleaksWebhooks.js
+* (`exportResultApi` and the routes registered by `registerCopyleaksRoutes`).
 */
 
-const { default: axios } = require("axios");
 const path = require("path");
-const { PDFDocument, rgb } = require("pdf-lib");
-const fs = require("fs");
-const { mergePDFs,
+const { pageSetup,
+    composePDFs,
+    dedupeResources,
+    addTableOfContents,
+    stampPages,
     addHeaderAndFooterToExistingPDF,
     coverpage,
+    ExecutiveSummaryPage,
     PlagiarismdetailedAnalysisPage,
+    PlagiarismSourcesPage,
+    PlagiarismTextPage,
+    PlagiarismComparisonPages,
     AiAnalysisPage } = require('./reportUtils');
-
+const { createJobQueue } = require('./reportQueue');
+const { waitForFilesInFolder } = require('./fileWatcher');
+const { getStorage } = require('./storage');
+const { validateScanInput, isResultId } = require('./scanSchemas');
+const { buildReportModel, getReportScores } = require('./reportModel');
+const { getReportNotifier } = require('./reportNotifier');
+const { getTheme } = require('./themes');
+const { getLocale } = require('./i18n');
+const { DEFAULT_STAMP_RULES, parseStampRules } = require('./pageStamps');
+const { getPolicy, evaluatePolicy } = require('./reportPolicy');
+const { STAMP_LAYOUTS } = require('./reportTemplates');
+
+// Default root of the local storage, overridden with STORAGE_ROOT (or STORAGE_DRIVER=s3, see storage.js)
 const BASE_DIR = '/home/Staging-Server/skyline_backend-main';
-const REPORTS_DIR = '/home/Staging-Server/skyline_backend-main/ScanDoc';
 
-const generateReport = async (req, res) => {
-    try {
-        // Extract folderPath from URL params
-        const { userId, scanId } = req.params;
-        const folderPath = path.join(BASE_DIR, 'ScanDoc', userId.toString(), scanId.toString());
-        if (!folderPath) {
-            return res.status(400).json({ error: "folderPath is required" });
-        }
+/**
+ * Reads a count from the environment.
+ * @param {string} name - The environment variable.
+ * @param {number} fallback - The count when the variable is not set, or is not a whole number of 0 or more (with a
+ *   warning).
+ * @returns {number}
+ */
+const countSetting = (name, fallback) => {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === "") {
+        return fallback;
+    }
+    const value = Number(raw);
+    if (Number.isInteger(value) && value >= 0) {
+        return value;
+    }
+    console.warn(`Invalid ${name} "${raw}", using ${fallback}`);
+    return fallback;
+};
 
-        console.log("Processing folderPath:", folderPath);
+/**
+ * Reads the frequency buckets of the AI phrases from `REPORT_PHRASE_BUCKETS`.
+ * @param {{ medium: number, high: number }} fallback - The buckets when the variable is not set, or is not two
+ *   positive ratios, the medium one not above the high one (with a warning).
+ * @returns {{ medium: number, high: number }}
+ */
+const phraseBucketsSetting = (fallback) => {
+    const raw = process.env.REPORT_PHRASE_BUCKETS;
+    if (raw === undefined || raw.trim() === "") {
+        return fallback;
+    }
+    const ratios = raw.split(",").map((part) => (part.trim() === "" ? NaN : Number(part)));
+    const [medium, high] = ratios;
+    if (ratios.length === 2 && ratios.every((ratio) => Number.isFinite(ratio) && ratio > 0) && medium <= high) {
+        return { medium, high };
+    }
+    console.warn(`Invalid REPORT_PHRASE_BUCKETS "${raw}", expected <medium>,<high> ratios, using ${fallback.medium},${fallback.high}`);
+    return fallback;
+};
 
-        // Construct full path to scan_result.json (earlier it was named as complete.json)
-        const jsonFilePath = path.join(folderPath, "scan_results.json");
+// Sources compared side by side with the document in the appendix of the plagiarism section
+const COMPARISON_SOURCES = countSetting("REPORT_COMPARISON_SOURCES", 5);
 
-        // Check if JSON file exists before reading
-        try {
-            await fs.promises.access(jsonFilePath);
-        } catch (err) {
-            return res.status(404).json({ error: "scan_result.json not found in folder" });
-        }
+// Phrases listed in the AI section, the strongest first, and the lowest AI/human ratio of the medium and high
+// frequency buckets (`medium,high`)
+const PHRASE_LIMIT = countSetting("REPORT_PHRASE_LIMIT", 20);
+const PHRASE_BUCKETS = phraseBucketsSetting({ medium: 3, high: 10 });
 
-        // Read JSON data from the file
-        const jsonData = await fs.promises.readFile(jsonFilePath, "utf8");
-        const data = JSON.parse(jsonData);
+// Paper size and orientation of the generated pages when the request does not ask for one (see `pageSetup` in
+// reportUtils.js), and the orientation of the AI phrase tables (the report's by default)
+const REPORT_PAPER = process.env.REPORT_PAPER || "a4";
+const REPORT_ORIENTATION = process.env.REPORT_ORIENTATION || "portrait";
+const PHRASE_ORIENTATION = process.env.REPORT_PHRASE_ORIENTATION || undefined;
 
-        // Step 1 : Create the first page of the pdf.  
-        let doc = coverpage(data);
+// Running header and footer of every page, `<pages>:<layout>` rules (see pageStamps.js)
+const STAMP_RULES = parseStampRules(process.env.REPORT_PAGE_STAMPS || DEFAULT_STAMP_RULES, Object.keys(STAMP_LAYOUTS));
 
-        // Step 2: Creates the second page of the pdf that contains information related to the pdf section of the Report.
-        doc = PlagiarismdetailedAnalysisPage(doc, data);
+// Files Copyleaks delivers for a scan, the report is generated once all of them are there
+const SCAN_INPUT_FILES = [
+    'scan_results.json',
+    'plagiarism_report.pdf',
+    'ai_result.json',
+    'crawled_version.json'
+];
 
-        // so far two pages are constructed Page 1 and Pags 2 both are stored in one pdf and names as part1.pdf (you can check the result in the folder)
+// The final report, written next to the inputs of the scan
+const REPORT_FILE = 'MergedFinalReport.pdf';
 
-        await doc.save(path.join(folderPath, "part1.pdf"));
+/**
+ * Creates an error carrying the HTTP status that `generateReport` should answer with.
+ * @param {number} status - HTTP status code.
+ * @param {string} message - Error message sent back to the client.
+ * @param {Object[]} [details] - Structured details sent back along with the message.
+ * @returns {Error}
+ */
+const reportError = (status, message, details) => {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+};
 
-        // Paths to your existing PDFs
-        let existingPdfPath = path.join(folderPath, "part1.pdf");
-        let pdfToMergePath = path.join(folderPath, "header_added.pdf");
+// User and scan ids are plain names, they end up in storage keys
+const ID_PATTERN = /^[\w-]+$/;
 
-        // Paths to input and output PDFs
-        const inputPdfPath = path.join(folderPath, "plagiarism_report.pdf");
-        const outputPdfPath = path.join(folderPath, "header_added.pdf");
-        const headerImagePath = path.join(__dirname, "images", "banner.png");
-        const footerImagePath = path.join(__dirname, "images", "footerbanner.png");
-        const footerLink = "https://www.google.com";
+/**
+ * Storage key of the folder holding the inputs and the report of one scan.
+ * @param {string} userId - The user that owns the scan.
+ * @param {string} scanId - The scan.
+ * @returns {string} - `ScanDoc/<userId>/<scanId>`.
+ * @throws {Error} - 400 when an id is not a plain name (letters, digits, `_` and `-`).
+ */
+const scanFolderKey = (userId, scanId) => {
+    if (!ID_PATTERN.test(String(userId)) || !ID_PATTERN.test(String(scanId))) {
+        throw reportError(400, `Invalid userId or scanId: ${JSON.stringify(String(userId))}, ${JSON.stringify(String(scanId))}`);
+    }
+    return path.posix.join('ScanDoc', userId.toString(), scanId.toString());
+};
 
-        try {
+/**
+ * Storage key of the text comparison of one matching source, relative to the scan folder.
+ * The Copyleaks webhook writes it and `buildReport` reads it, both through this key.
+ * @param {string} resultId - Id of the matching source, as listed in scan_results.json.
+ * @returns {string} - `results/<resultId>.json`.
+ * @throws {Error} - 400 when the id is not a plain name (see `isResultId` in scanSchemas.js).
+ */
+const resultFileKey = (resultId) => {
+    if (!isResultId(resultId)) {
+        throw reportError(400, `Invalid result id: ${JSON.stringify(resultId)}`);
+    }
+    return path.posix.join("results", `${resultId}.json`);
+};
 
-            // Step 3: This adds Header and Footer to the recieved pdf with the endpoint copyleaks/export/${userId}/${exportId}/${scanId}/pdf-report`, 
-            // which is the plagiarsim pdf. (it simply adds headers and footers to the pdf). This pdf is named as header_added.pdf
-            await addHeaderAndFooterToExistingPDF(inputPdfPath, outputPdfPath, headerImagePath, footerImagePath, footerLink, scanId.toString());
-            console.log("Header added successfully to the PDF");
+/**
+ * Sections a report can be made of, with the inputs each of them needs.
+ * A section is left out (and listed as missing) when its inputs are not in the scan folder.
+ */
+const REPORT_SECTIONS = [
+    { id: "plagiarism-summary", labelKey: "sections.plagiarismSummary", inputs: ["scan_results.json"] },
+    { id: "plagiarism-report", labelKey: "sections.plagiarismReport", inputs: ["plagiarism_report.pdf"] },
+    { id: "ai-analysis", labelKey: "sections.aiAnalysis", inputs: ["ai_result.json", "crawled_version.json"] },
+];
+
+/**
+ * Reads, parses and validates a JSON input of a scan.
+ * Files that do not parse or do not match their schema (see scanSchemas.js) are answered with a 422
+ * whose `details` name the file, the JSON path and the problem.
+ * @param {Object} storage - Storage adapter.
+ * @param {string} folderKey - Storage key of the scan folder.
+ * @param {string} file - Name of the input file.
+ * @param {string} [schema] - Schema the file is checked against, the one named after the file by default.
+ * @returns {Promise<Object|null>} - The parsed JSON, or null if the file is not there.
+ */
+const readScanJson = async (storage, folderKey, file, schema = file) => {
+    const key = path.posix.join(folderKey, file);
+
+    // Check if JSON file exists before reading
+    if (!(await storage.exists(key))) {
+        return null;
+    }
+    const jsonData = await storage.readFile(key);
+
+    let json;
+    try {
+        json = JSON.parse(jsonData.toString("utf8"));
+    } catch (error) {
+        throw reportError(422, "Invalid scan input", [{ file, path: "$", message: `invalid JSON: ${error.message}` }]);
+    }
+
+    const problems = validateScanInput(schema, json).map((problem) => ({ ...problem, file }));
+    if (problems.length > 0) {
+        throw reportError(422, "Invalid scan input", problems);
+    }
+    return json;
+};
+
+/**
+ * Builds the full report for one scan.
+ * This holds the rendering pipeline so it can run either inside `generateReport` or from the report queue.
+ * Every intermediate PDF is kept in memory, only the final report is written to the scan folder.
+ * Sections whose inputs are missing are left out, the report is only refused (404) when no section can be built.
+ * @param {string} userId - The user that owns the scan.
+ * @param {string} scanId - The scan to build the report for.
+ * @param {Function} [setStage] - Called with the name of each pipeline stage as it starts.
+ * @param {Object} [options] - Report options.
+ * @param {string} [options.tenantId] - Tenant whose theme brands the report and whose policy gives its verdict,
+ *   `DEFAULT_TENANT` when omitted.
+ * @param {string} [options.locale] - Language tag of the generated pages, `DEFAULT_LOCALE` when omitted.
+ * @param {string} [options.timeZone] - Timezone of the dates in the report, `REPORT_TIMEZONE` when omitted.
+ * @param {string} [options.paper] - Paper size of the generated pages, `REPORT_PAPER` when omitted.
+ * @param {string} [options.orientation] - `portrait` or `landscape`, `REPORT_ORIENTATION` when omitted.
+ * @returns {Promise<Object>} - The storage key and location of the final report, the included/missing sections and
+ *   the policy verdict with its reasons.
+ */
+const buildReport = async (userId, scanId, setStage = () => { }, { tenantId, locale: localeTag, timeZone, paper, orientation } = {}) => {
+    // Every input and the final report live under the scan folder of the configured storage
+    const storage = getStorage(BASE_DIR);
+    const folderKey = scanFolderKey(userId, scanId);
+    const inputKey = (file) => path.posix.join(folderKey, file);
+
+    console.log("Processing folder:", storage.getLocation(folderKey));
+    setStage("loading-inputs");
+
+    // Read scan_result.json (earlier it was named as complete.json) and the AI inputs, any of them may be missing.
+    // Each one is checked against its schema before anything is rendered, and the problems of all files are reported together.
+    const problems = [];
+    const readInput = async (file, schema) => {
+        try {
+            return await readScanJson(storage, folderKey, file, schema);
         } catch (error) {
-            console.error("Error adding header to PDF:", error);
+            if (error.status !== 422) throw error;
+            problems.push(...error.details);
+            return null;
+        }
+    };
+    const data = await readInput("scan_results.json");
+    const aidata = await readInput("ai_result.json");
+    const aivalueData = await readInput("crawled_version.json");
+
+    // Where each source matches the document (`results/<resultId>.json`), only there for the sources that were exported.
+    // The ids were checked by the schema of scan_results.json.
+    const sourceResults = {};
+    if (data) {
+        const resultIds = Object.values(data.results).filter(Array.isArray).flat().map((result) => result.id);
+        for (const resultId of resultIds) {
+            const result = await readInput(resultFileKey(resultId), "result.json");
+            if (result) sourceResults[resultId] = result;
         }
+    }
+    if (problems.length > 0) {
+        throw reportError(422, "Invalid scan input", problems);
+    }
 
+    // Reasons for the sections that cannot be built, keyed by section id
+    const missing = {};
+    const missingInputs = async (section) => {
+        const absent = [];
+        for (const file of section.inputs) {
+            if (!(await storage.exists(inputKey(file)))) absent.push(file);
+        }
+        return absent;
+    };
+    for (const section of REPORT_SECTIONS) {
+        const absent = await missingInputs(section);
+        if (absent.length > 0) {
+            missing[section.id] = `${absent.join(" and ")} not found in folder`;
+        }
+    }
+
+    // Header/footer images, fonts, colors and links of the tenant, and the language of the pages
+    const theme = getTheme(tenantId);
+    const locale = getLocale(localeTag, { timeZone });
+    const page = pageSetup(paper || REPORT_PAPER, orientation || REPORT_ORIENTATION);
+
+    let headerAddedDoc = null;
+    if (!missing["plagiarism-report"]) {
         try {
-            //    Step 4: Now this mergers the part1.pdf and the header_added.pdf together while skipping the first page of the header_added.pdf as we
-            // have constructed a cover page already as in Step 1.
-            const mergedPdfDoc = await mergePDFs(existingPdfPath, pdfToMergePath, true); // Skip first page
-            const mergedPdfBytes = await mergedPdfDoc.save();
-
-            // Step 5: Save the merged PDF document to a file  as plag.pdf. 
-            await fs.promises.writeFile(path.join(folderPath, "plag.pdf"), mergedPdfBytes);
-            console.log("PDFs merged successfully and saved as plag.pdf");
+
+            // Step 1: This adds Header and Footer to the recieved pdf with the endpoint copyleaks/export/${userId}/${exportId}/${scanId}/pdf-report`, 
+            // which is the plagiarsim pdf. (it simply adds headers and footers to the pdf).
+            setStage("adding-header");
+            const inputPdfBytes = await storage.readFile(inputKey("plagiarism_report.pdf"));
+            headerAddedDoc = await addHeaderAndFooterToExistingPDF(inputPdfBytes, null, null, scanId.toString(), theme);
+            console.log("Header added successfully to the PDF");
         } catch (error) {
-            console.error("Error merging PDFs:", error);
+            console.error("Error adding header to PDF:", error);
+            missing["plagiarism-report"] = "plagiarism_report.pdf could not be read";
         }
+    }
 
+    const included = REPORT_SECTIONS.filter((section) => !missing[section.id]);
+    if (included.length === 0) {
+        throw reportError(404, "No scan results found in folder");
+    }
 
-        /*
+    // The pages are rendered from the provider-neutral report model, filled here from the Copyleaks files
+    const model = buildReportModel("copyleaks", {
+        scanResults: data,
+        aiResult: aidata,
+        crawledVersion: aivalueData,
+        results: sourceResults,
+    });
+
+    // Step 2: Create the first page of the pdf, listing which analyses are included.
+    setStage("rendering-plagiarism");
+    let doc = coverpage(model, {
+        sections: REPORT_SECTIONS.map((section) => ({
+            label: locale.t(section.labelKey),
+            included: !missing[section.id],
+            reason: missing[section.id],
+        })),
+        theme,
+        locale,
+        page,
+    });
+    const coverPages = doc.getNumberOfPages();
+
+    // The executive summary goes right after the cover page, with the verdict of the tenant's policy. Checks are only
+    // scored on the sections the report shows, the others count as not available.
+    const assessment = evaluatePolicy({
+        ...model,
+        similarity: missing["plagiarism-summary"] ? null : model.similarity,
+        ai: missing["ai-analysis"] ? null : model.ai,
+    }, getPolicy(tenantId));
+    doc = ExecutiveSummaryPage(doc, assessment, theme, locale, { page });
+    const summaryPages = doc.getNumberOfPages() - coverPages;
+
+    // Step 3: Creates the plagiarism summary page that contains information related to the pdf section of the Report,
+    // followed by the table of matching sources and, when the document text is there, the highlighted document and
+    // the comparison with the top sources.
+    if (!missing["plagiarism-summary"]) {
+        doc = PlagiarismdetailedAnalysisPage(doc, model, theme, locale, { page });
+        const sourcesPage = doc.getNumberOfPages() + 1;
+        doc = PlagiarismSourcesPage(doc, model, theme, locale, { page });
+        if (model.document.text) {
+            doc = PlagiarismTextPage(doc, model, theme, locale, { page });
+            doc = PlagiarismComparisonPages(doc, model, theme, locale, { limit: COMPARISON_SOURCES, sourcesPage, page });
+        }
+    }
+    const generatedPages = doc.getNumberOfPages();
+
+    // Step 4: The header added pdf follows the generated pages without its first page, as we have constructed a
+    // cover page already as in Step 2 (the pages are composed in one go in Step 5).
+    const plagiarismPages = generatedPages + (headerAddedDoc ? headerAddedDoc.getPageCount() - 1 : 0);
+    const sections = [doc];
+    if (headerAddedDoc) {
+        sections.push({ source: headerAddedDoc, pages: "2-", bookmark: locale.t("outline.plagiarismReport") }); // Skip first page
+    }
 
 
-        Till this point we have a complete pdf report that caters everything related to the Plagiarism Section of 
-        Any report. 
-        1. We have a cover page.
-        2. We have Plagiarism report front page.
-        3. We have sources page
-        4. We have a QR code 
-        5. We have the scanned document already with us.
+    /*
 
 
+    Till this point we have a complete pdf report that caters everything related to the Plagiarism Section of 
+    Any report (when its inputs were there). 
+    1. We have a cover page.
+    2. We have Plagiarism report front page.
+    3. We have sources page
+    4. We have a QR code 
+    5. We have the scanned document already with us.
 
 
-        */
 
-        // Add AI analysis page
-        // Construct full path to scan_result.json
-        // Another end-point was constructed to recieve the ai_result from the plagiarism API to take care of 
-        // credits used.
 
-        /*
-        aiDetection: {
-            verb: 'POST',
-            headers: [
-              ["header-key", "header-value"]
-            ],
-            endpoint: `http://62.72.58.111:4000/api/scan/copyleaks/export/${userId}/${scanId}/${exportId}/ai-detection`,
-          },
+    */
 
-          */
-        const aiJsonFilepath = path.join(folderPath, "ai_result.json");  
-        const aiValueFilepath = path.join(folderPath, "crawled_version.json");
+    // Add AI analysis page
+    // Another end-point was constructed to recieve the ai_result from the plagiarism API to take care of 
+    // credits used.
 
-        try {
-            await fs.promises.access(aiJsonFilepath);
-        } catch (err) {
-            return res.status(404).json({ error: "scan_result.json not found in folder" });
-        }
+    /*
+    aiDetection: {
+        verb: 'POST',
+        headers: [
+          ["header-key", "header-value"]
+        ],
+        endpoint: `http://62.72.58.111:4000/api/scan/copyleaks/export/${userId}/${scanId}/${exportId}/ai-detection`,
+      },
 
-        try {
-            await fs.promises.access(aiValueFilepath);
-        } catch (err) {
-            return res.status(404).json({ error: "scan_result.json not found in folder" });
-        }
-    
-        const aijsonData = await fs.promises.readFile(aiJsonFilepath, "utf8");
-        const aidata = JSON.parse(aijsonData);
-        const aivalueJsonData = await fs.promises.readFile(aiValueFilepath, "utf8");
-        const aivalueData = JSON.parse(aivalueJsonData);
+      */
+    if (!missing["ai-analysis"]) {
         /* From this point onwards we create the second section of the report which is Ai report */
-        
-        let doc2 = AiAnalysisPage(aidata, aivalueData);
-        await doc2.save(path.join(folderPath, "part2.pdf"));
-
-        // Merge final reports
-        existingPdfPath = path.join(folderPath, "plag.pdf");
-        pdfToMergePath = path.join(folderPath, "part2.pdf");
+        setStage("rendering-ai");
+        const doc2 = AiAnalysisPage(model, theme, locale, {
+            phrases: { limit: PHRASE_LIMIT, thresholds: PHRASE_BUCKETS, orientation: PHRASE_ORIENTATION },
+            page,
+        });
+        sections.push(doc2); // Do not skip first page
+    }
 
-        try {
-            
-            // Merge plag.pdf and part2.pdf without skipping any pages
-            const finalMergedPdfDoc = await mergePDFs(existingPdfPath, pdfToMergePath, false); // Do not skip first page
-            const finalMergedPdfBytes = await finalMergedPdfDoc.save();
+    // Step 5: Compose the plagiarism section and the AI section into one document, the fonts and images every part
+    // embeds (theme images, Unicode font) are kept once
+    let finalMergedPdfDoc;
+    try {
+        setStage("merging");
+        finalMergedPdfDoc = await composePDFs(sections);
+    } catch (error) {
+        console.error("Error merging PDFs:", error);
+        throw reportError(500, "Error merging PDFs");
+    }
 
-            // Save the final merged PDF document
-            const finalReportPath = path.join(folderPath, "MergedFinalReport.pdf");
-            await fs.promises.writeFile(finalReportPath, mergedPdfBytes);
-            console.log("PDFs merged successfully and saved as MergedFinalReport.pdf");
+    // Step 6: Add the table of contents after the cover page and the executive summary, with the page numbers of the
+    // merged report
+    setStage("adding-contents");
+    const reportPages = finalMergedPdfDoc.getPageCount();
+    await addTableOfContents(finalMergedPdfDoc, theme, locale, { after: coverPages + summaryPages, page });
+
+    // Step 7: Stamp the running header and footer (page X of Y, scan ID, generation date) on every page in one pass
+    setStage("stamping");
+    await stampPages(finalMergedPdfDoc, theme, locale, {
+        rules: STAMP_RULES,
+        parts: [
+            { id: "cover", pages: coverPages },
+            { id: "summary", pages: summaryPages },
+            { id: "contents", pages: finalMergedPdfDoc.getPageCount() - reportPages },
+            { id: "plagiarism-summary", pages: generatedPages - coverPages - summaryPages },
+            { id: "plagiarism-report", pages: plagiarismPages - generatedPages },
+            { id: "ai-analysis", pages: reportPages - plagiarismPages },
+        ],
+        scanId: scanId.toString(),
+    });
+
+    // Step 8: Save the final merged PDF document, this is the only file the pipeline writes (atomically, see storage.js).
+    // The contents page and the stamps embed the theme's images and fonts again, they are kept once.
+    setStage("saving");
+    dedupeResources(finalMergedPdfDoc);
+    const finalMergedPdfBytes = await finalMergedPdfDoc.save();
+    const finalReportKey = inputKey(REPORT_FILE);
+    await storage.writeFile(finalReportKey, finalMergedPdfBytes);
+    console.log("PDFs merged successfully and saved as MergedFinalReport.pdf");
+
+    // We have a final report stored as MergedFinalReport.pdf (in the end just rename to the file to the name for which we send a download request and we can dowload this version of it)
+    return {
+        reportKey: finalReportKey,
+        reportLocation: storage.getLocation(finalReportKey),
+        pageCount: finalMergedPdfDoc.getPageCount(),
+        scores: getReportScores(model),
+        policy: { verdict: assessment.verdict, reasons: assessment.reasons },
+        sections: {
+            included: included.map((section) => section.id),
+            missing: REPORT_SECTIONS
+                .filter((section) => missing[section.id])
+                .map((section) => ({ section: section.id, reason: missing[section.id] })),
+        },
+    };
+};
 
-            return res.status(200).json({ message: "Report generated successfully!" });
+// Tenant the request is for, from the `X-Tenant-Id` header or the `tenant` query parameter
+const requestTenant = (req) => (req.headers && req.headers["x-tenant-id"]) || (req.query && req.query.tenant) || undefined;
+
+// Language and timezone of the report, from the `lang`/`tz` query parameters or the `Accept-Language`/`X-Timezone` headers
+const requestLocale = (req) => {
+    const query = req.query || {};
+    const headers = req.headers || {};
+    // The first (preferred) language of e.g. "ur-PK,ur;q=0.9,en;q=0.8"
+    const accepted = headers["accept-language"] && headers["accept-language"].split(",")[0].split(";")[0].trim();
+    return {
+        locale: query.lang || accepted || undefined,
+        timeZone: query.tz || headers["x-timezone"] || undefined,
+    };
+};
 
-            // We have a final report stored as MergedFinalReport.pdf (in the end just rename to the file to the name for which we send a download request and we can dowload this version of it)
+// Paper size and orientation of the generated pages, from the `paper`/`orientation` query parameters
+const requestPage = (req) => {
+    const query = req.query || {};
+    return {
+        paper: query.paper || undefined,
+        orientation: query.orientation || undefined,
+    };
+};
 
-        } catch (error) {
-            console.error("Error merging PDFs:", error);
-            return res.status(500).json({ error: "Error merging PDFs" });
+const generateReport = async (req, res) => {
+    try {
+        const { userId, scanId } = req.params;
+        if (!userId || !scanId) {
+            return res.status(400).json({ error: "userId and scanId are required" });
         }
 
+        const { sections, policy } = await buildReport(userId, scanId, undefined, { tenantId: requestTenant(req), ...requestLocale(req), ...requestPage(req) });
+        return res.status(200).json({ message: "Report generated successfully!", sections, policy });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
         console.error("Error processing folder:", error);
         return res.status(500).json({ error: "Server error while generating report" });
     }
 };
 
 /**
- * Helper Function: waitForFiles
- * Waits for all required files to be present in the folder before proceeding.
- * Uses a polling mechanism to check for files every second.
+ * Sends the outbound notification for a finished report job.
+ * @param {Object} job - The job view handed to `onFinished` by the queue.
  */
-const waitForFiles = async (scanId, userId) => {
-    const folderPath = path.join(BASE_DIR, 'ScanDoc', userId.toString(), scanId.toString());
-    const requiredFiles = [
-        'scan_results.json',
-        'plagiarism_report.pdf',
-        'ai_result.json',
-        'crawled_version.json'
-    ];
-
-    const checkFiles = async () => {
-        for (const file of requiredFiles) {
-            const filePath = path.join(folderPath, file);
-            if (!fs.existsSync(filePath)) {
-                return false;
-            }
+const notifyReportFinished = (job) => {
+    const { userId, scanId } = job.payload;
+    const succeeded = job.status === "succeeded";
+    return getReportNotifier(getStorage(BASE_DIR)).notify(succeeded ? "report.succeeded" : "report.failed", {
+        jobId: job.id,
+        userId,
+        scanId,
+        attempts: job.attempts,
+        report: succeeded ? {
+            key: job.result.reportKey,
+            location: job.result.reportLocation,
+            pageCount: job.result.pageCount,
+            sections: job.result.sections,
+        } : null,
+        scores: succeeded ? job.result.scores : null,
+        policy: succeeded ? job.result.policy : null,
+        error: succeeded ? null : job.error,
+    });
+};
+
+/**
+ * Report queue shared by the job routes below.
+ * Missing input files (404) are not retried, anything else gets up to `REPORT_MAX_ATTEMPTS` attempts.
+ * Finished jobs are reported to the notification endpoints.
+ */
+const reportQueue = createJobQueue({
+    handler: ({ userId, scanId, tenantId, locale, timeZone, paper, orientation }, job) => buildReport(userId, scanId, job.setStage, { tenantId, locale, timeZone, paper, orientation }),
+    concurrency: Number(process.env.REPORT_CONCURRENCY) || 2,
+    maxAttempts: Number(process.env.REPORT_MAX_ATTEMPTS) || 3,
+    retryDelayMs: Number(process.env.REPORT_RETRY_DELAY_MS) || 5000,
+    isRetryable: (error) => !error.status || error.status >= 500,
+    onFinished: notifyReportFinished,
+});
+
+/**
+ * Route: submitReportJob
+ * Queues a report for `userId`/`scanId` and answers right away with the job id.
+ * Responds 202 with `{ jobId, status, statusUrl, deduplicated }`, `deduplicated` when the same report was already
+ * queued or running and its job is returned. While a job for the scan with other options (tenant, language, paper...)
+ * is queued or running, responds 409 with that job's `jobId` and `statusUrl`.
+ */
+const submitReportJob = async (req, res) => {
+    try {
+        const { userId, scanId } = req.params;
+        if (!userId || !scanId) {
+            return res.status(400).json({ error: "userId and scanId are required" });
         }
-        return true;
-    };
+        // Refuses ids that are not plain names (400) before the job is queued
+        scanFolderKey(userId, scanId);
+
+        const job = reportQueue.enqueue(`${userId}/${scanId}`, {
+            userId: userId.toString(),
+            scanId: scanId.toString(),
+            tenantId: requestTenant(req),
+            ...requestLocale(req),
+            ...requestPage(req),
+        });
+        return res.status(202).json({
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/scan/report-jobs/${job.id}`,
+            deduplicated: Boolean(job.deduplicated),
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message, jobId: error.job.id, statusUrl: `/api/scan/report-jobs/${error.job.id}` });
+        }
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Error queueing report:", error);
+        return res.status(500).json({ error: "Server error while queueing report" });
+    }
+};
 
-    let filesExist = await checkFiles();
-    while (!filesExist) {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait for 1 second
-        filesExist = await checkFiles();
+/**
+ * Route: getReportJobStatus
+ * Reports the status (queued/running/succeeded/failed), current stage and last error of a job.
+ */
+const getReportJobStatus = async (req, res) => {
+    const job = reportQueue.getJob(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: "Report job not found" });
     }
+    return res.status(200).json(job);
 };
 
 /**
- * Helper Function: generateReportAfterExport
- * Triggers the report generation process by making an HTTP POST request to an external API endpoint.
- * Logs the response or any errors encountered during the process.
+ * Route: retryReportJob
+ * Queues a failed job again. While another job for the same scan is queued or running, responds 409 with that job's
+ * `jobId` and `statusUrl` instead.
+ */
+const retryReportJob = async (req, res) => {
+    try {
+        const job = reportQueue.retry(req.params.jobId);
+        if (!job) {
+            return res.status(409).json({ error: "Only failed report jobs can be retried" });
+        }
+        return res.status(202).json({ jobId: job.id, status: job.status });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message, jobId: error.job.id, statusUrl: `/api/scan/report-jobs/${error.job.id}` });
+        }
+        console.error("Error retrying report job:", error);
+        return res.status(500).json({ error: "Server error while retrying report job" });
+    }
+};
+
+/**
+ * Route: listFailedNotifications
+ * Lists the report notifications that could not be delivered.
+ */
+const listFailedNotifications = async (req, res) => {
+    try {
+        const deliveries = await getReportNotifier(getStorage(BASE_DIR)).listDeadLetters();
+        return res.status(200).json({ deliveries });
+    } catch (error) {
+        console.error("Error listing failed notifications:", error);
+        return res.status(500).json({ error: "Server error while listing failed notifications" });
+    }
+};
+
+/**
+ * Route: replayFailedNotifications
+ * Sends the failed report notifications again, or only `:deliveryId` when given.
+ * Deliveries that go through leave the dead-letter store, the others stay for a later replay.
  */
-const generateReportAfterExport = async (scanId, userId) => {
-    const folderPath = path.join(REPORTS_DIR, userId.toString(), scanId.toString());
+const replayFailedNotifications = async (req, res) => {
     try {
-        const response = await axios.post(`http://62.72.58.111:4000/api/scan/generate-report/${userId}/${scanId}`);
-        console.log('Generate report response:', response.data);
+        const notifier = getReportNotifier(getStorage(BASE_DIR));
+        const { deliveryId } = req.params;
+        if (deliveryId) {
+            const outcome = await notifier.replayDeadLetter(deliveryId);
+            if (!outcome) {
+                return res.status(404).json({ error: "Failed notification not found" });
+            }
+            return res.status(200).json({ deliveries: [outcome] });
+        }
+        return res.status(200).json({ deliveries: await notifier.replayDeadLetters() });
     } catch (error) {
-        console.error('Error generating report:', error);
+        console.error("Error replaying failed notifications:", error);
+        return res.status(500).json({ error: "Server error while replaying failed notifications" });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Helper Function: waitForFiles
+ * Waits for all required files to be present and completely written in the folder before proceeding.
+ * Watches the folder for changes instead of polling forever, and gives up once `options.timeoutMs` has passed.
+ * @param {string} scanId - The scan whose files are awaited.
+ * @param {string} userId - The user that owns the scan.
+ * @param {Object} [options] - Passed to `waitForFilesInFolder` (`timeoutMs`, `stableMs`, `pollMs`).
+ * @returns {Promise<WaitForFilesResult>} - Which files arrived and which are missing or incomplete.
+ */
+const waitForFiles = async (scanId, userId, options = {}) => {
+    const storage = getStorage(BASE_DIR);
+    const folderKey = scanFolderKey(userId, scanId);
+
+    const result = await waitForFilesInFolder(storage, folderKey, SCAN_INPUT_FILES, {
+        timeoutMs: Number(process.env.SCAN_FILES_TIMEOUT_MS) || undefined,
+        ...options,
+    });
+
+    if (!result.complete) {
+        console.error(`Timed out waiting for scan files in ${storage.getLocation(folderKey)}:`, {
+            missing: result.missing,
+            incomplete: result.incomplete,
+        });
+    }
+    return result;
+};
+
+/**
+ * Helper Function: generateReportAfterExport
+ * Queues the report generation for a scan on the local report queue instead of calling the generate-report route over HTTP.
+ * Returns the job so the caller can log or store its id. Without `tenantId` the report gets the `DEFAULT_TENANT` theme.
+ * Errors of the queue reach the caller with their `status`: 409 (with the active job as `job`) while a report with
+ * other options is queued or running for the scan, 503 when the queue is full.
+ */
+const generateReportAfterExport = async (scanId, userId, tenantId) => {
+    const job = reportQueue.enqueue(`${userId}/${scanId}`, { userId: userId.toString(), scanId: scanId.toString(), tenantId });
+    console.log('Report job queued:', job.id);
+    return job;
+};
+
+module.exports = {
+    BASE_DIR,
+    SCAN_INPUT_FILES,
+    REPORT_FILE,
+    scanFolderKey,
+    resultFileKey,
+    buildReport,
+    generateReport,
+    submitReportJob,
+    getReportJobStatus,
+    retryReportJob,
+    listFailedNotifications,
+    replayFailedNotifications,
+    waitForFiles,
+    generateReportAfterExport,
+};
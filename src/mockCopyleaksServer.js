@@ -0,0 +1,274 @@
+const http = require("http");
+const { default: axios } = require("axios");
+const { PDFDocument, StandardFonts } = require("pdf-lib");
+
+/**
+ * Overview:
+ * A local stand-in for the Copyleaks API, so the export client and the webhooks (copyleaksWebhooks.js)
+ * can be exercised offline.
+ *
+ * It answers:
+ * - `POST /v3/account/login/api`: returns a fake access token.
+ * - `POST /v3/downloads/:scanId/export/:exportId`: accepts the export, then delivers every requested artifact
+ *   to its webhook and finally calls the completion webhook, like Copyleaks does. The results go first, or after
+ *   the other artifacts with `resultsLast` (Copyleaks does not promise any order).
+ * - `POST /mock/scans/:scanId/complete`: posts the scan results to `{ webhook }` (with `{STATUS}` = completed),
+ *   which starts the whole flow.
+ *
+ * Point the client at it with `COPYLEAKS_API_URL` and `COPYLEAKS_ID_URL`, or run it on its own:
+ *   node src/mockCopyleaksServer.js [port]
+ */
+
+const MOCK_TOKEN = "mock-copyleaks-token";
+
+/**
+ * Builds a small, consistent set of scan artifacts.
+ * @param {string} scanId - Scan id written into the artifacts.
+ * @returns {Promise<Object>} - `{ scanResults, aiResult, crawledVersion, results, pdfReport }`.
+ */
+const createMockScan = async (scanId) => {
+    const paragraphs = [
+        "Artificial intelligence is changing how students research and write their assignments.",
+        "Many universities now ask for originality reports before grading an essay.",
+        "This paragraph was written by hand and describes a visit to the library last week.",
+    ];
+    const text = paragraphs.join("\n\n");
+    const totalWords = text.split(/\s+/).length;
+    const paragraphWords = paragraphs.map((paragraph) => paragraph.split(/\s+/).length);
+    const paragraphStarts = paragraphs.map((paragraph) => text.indexOf(paragraph));
+
+    // The second paragraph partly matches the mock source, the first two are AI written
+    const matched = "Many universities now ask for originality reports";
+    const matchedWords = matched.split(" ").length;
+    const aiWords = paragraphWords[0] + paragraphWords[1];
+    const creationTime = new Date().toISOString();
+
+    const scanResults = {
+        scannedDocument: {
+            scanId,
+            totalWords,
+            totalExcluded: 0,
+            credits: 1,
+            creationTime,
+            metadata: { filename: "mock-essay.docx" },
+        },
+        results: {
+            internet: [{
+                id: "mock-result-1",
+                title: "Originality in higher education",
+                introduction: "Today many universities now ask for originality reports...",
+                url: "https://example.org/originality",
+                matchedWords,
+                identicalWords: matchedWords,
+                similarWords: 0,
+                paraphrasedWords: 0,
+                totalWords: 600,
+            }],
+            database: [],
+            batch: [],
+            repositories: [],
+            score: {
+                identicalWords: matchedWords,
+                minorChangedWords: 0,
+                relatedMeaningWords: 0,
+                aggregatedScore: Math.round((matchedWords / totalWords) * 1000) / 10,
+            },
+        },
+    };
+
+    const aiResult = {
+        modelVersion: "mock",
+        results: [
+            {
+                classification: 2,
+                probability: 0.97,
+                matches: [{ text: {
+                    chars: { starts: [0], lengths: [paragraphStarts[1] + paragraphs[1].length] },
+                    words: { starts: [0], lengths: [aiWords] },
+                } }],
+            },
+            {
+                classification: 1,
+                probability: 0.91,
+                matches: [{ text: {
+                    chars: { starts: [paragraphStarts[2]], lengths: [paragraphs[2].length] },
+                    words: { starts: [aiWords], lengths: [paragraphWords[2]] },
+                } }],
+            },
+        ],
+        summary: { human: paragraphWords[2] / totalWords, ai: aiWords / totalWords },
+        scannedDocument: { scanId, totalWords, totalExcluded: 0, creationTime },
+        explain: { patterns: {
+            statistics: { aiCount: [85.2, 40.5], humanCount: [2.1, 4.0] },
+            text: {
+                chars: { starts: [0, paragraphStarts[1]], lengths: ["Artificial intelligence".length, "Many universities".length] },
+                words: { starts: [0, paragraphWords[0]], lengths: [2, 2] },
+            },
+        } },
+    };
+
+    const crawledVersion = { metadata: { words: totalWords }, text: { value: text, pages: { startPosition: [0] }, exclude: { starts: [], lengths: [] } }, version: 3 };
+
+    // Exported result: the source's text and which of its ranges match the scanned (suspected) text
+    const sourceText = `Today ${matched.toLowerCase()} before they grade an essay.`;
+    const noRanges = { chars: { starts: [], lengths: [] }, words: { starts: [], lengths: [] } };
+    const results = {
+        "mock-result-1": {
+            statistics: { identical: matchedWords, minorChanges: 0, relatedMeaning: 0 },
+            text: {
+                value: sourceText,
+                comparison: {
+                    identical: {
+                        source: { chars: { starts: ["Today ".length], lengths: [matched.length] }, words: { starts: [1], lengths: [matchedWords] } },
+                        suspected: { chars: { starts: [paragraphStarts[1]], lengths: [matched.length] }, words: { starts: [paragraphWords[0]], lengths: [matchedWords] } },
+                    },
+                    minorChanges: { source: noRanges, suspected: noRanges },
+                    relatedMeaning: { source: noRanges, suspected: noRanges },
+                },
+            },
+            version: 3,
+        },
+    };
+
+    // Copyleaks' own PDF report: a cover page (skipped by the pipeline) and one content page
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    ["Copyleaks Report", "Scanned document and sources"].forEach((title) => {
+        const page = pdfDoc.addPage();
+        page.drawText(title, { x: 50, y: page.getHeight() - 200, size: 18, font });
+    });
+    const pdfReport = Buffer.from(await pdfDoc.save());
+
+    return { scanResults, aiResult, crawledVersion, results, pdfReport };
+};
+
+// Reads a JSON request body
+const readJson = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+        try {
+            resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on("error", reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+/**
+ * Starts the mock server.
+ * @param {Object} [options] - Server options.
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free one).
+ * @param {Function} [options.createScan] - Builds the artifacts of a scan, `createMockScan` by default.
+ * @param {boolean} [options.resultsLast=false] - Whether the results are delivered after the other artifacts.
+ * @returns {Promise<Object>} - `{ url, server, deliveries, completeScan, close }`. `deliveries` logs every webhook call.
+ */
+const startMockCopyleaksServer = async ({ port = 0, createScan = createMockScan, resultsLast = false } = {}) => {
+    const deliveries = [];
+
+    // Posts to one of our webhooks and records the outcome like Copyleaks' export tasks
+    const deliver = async (endpoint, body, contentType) => {
+        try {
+            const response = await axios.post(endpoint, body, { headers: { "Content-Type": contentType } });
+            deliveries.push({ endpoint, isHealthy: true, httpStatusCode: response.status });
+        } catch (error) {
+            deliveries.push({ endpoint, isHealthy: false, httpStatusCode: error.response ? error.response.status : 0 });
+        }
+        return deliveries[deliveries.length - 1];
+    };
+
+    const runExport = async (scanId, request) => {
+        const scan = await createScan(scanId);
+        const tasks = [];
+        const deliverResults = async () => {
+            for (const result of request.results || []) {
+                if (scan.results[result.id]) {
+                    tasks.push(await deliver(result.endpoint, scan.results[result.id], "application/json"));
+                }
+            }
+        };
+        if (!resultsLast) await deliverResults();
+        if (request.pdfReport) tasks.push(await deliver(request.pdfReport.endpoint, scan.pdfReport, "application/pdf"));
+        if (request.crawledVersion) tasks.push(await deliver(request.crawledVersion.endpoint, scan.crawledVersion, "application/json"));
+        if (request.aiDetection) tasks.push(await deliver(request.aiDetection.endpoint, scan.aiResult, "application/json"));
+        if (resultsLast) await deliverResults();
+        if (request.completionWebhook) {
+            await deliver(request.completionWebhook, { completed: tasks.every((task) => task.isHealthy), tasks }, "application/json");
+        }
+    };
+
+    /**
+     * Sends the `completed` scan webhook, as Copyleaks does when a scan finishes.
+     * @param {string} scanId - The scan id.
+     * @param {string} webhook - The scan webhook URL, `{STATUS}` is replaced with `completed`.
+     */
+    const completeScan = async (scanId, webhook) => {
+        const scan = await createScan(scanId);
+        return deliver(webhook.replace("{STATUS}", "completed"), scan.scanResults, "application/json");
+    };
+
+    const server = http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, "http://localhost");
+            const exportMatch = url.pathname.match(/^\/v3\/downloads\/([^/]+)\/export\/([^/]+)$/);
+            const completeMatch = url.pathname.match(/^\/mock\/scans\/([^/]+)\/complete$/);
+
+            if (req.method === "POST" && url.pathname === "/v3/account/login/api") {
+                await readJson(req);
+                return sendJson(res, 200, {
+                    access_token: MOCK_TOKEN,
+                    ".issued": new Date().toISOString(),
+                    ".expires": new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+                });
+            }
+
+            if (req.method === "POST" && exportMatch) {
+                if (req.headers.authorization !== `Bearer ${MOCK_TOKEN}`) {
+                    return sendJson(res, 401, { error: "Unauthorized" });
+                }
+                const request = await readJson(req);
+                sendJson(res, 204);
+                // Deliver after answering, the export call itself returns right away
+                setImmediate(() => runExport(exportMatch[1], request));
+                return;
+            }
+
+            if (req.method === "POST" && completeMatch) {
+                const { webhook } = await readJson(req);
+                return sendJson(res, 200, await completeScan(completeMatch[1], webhook));
+            }
+
+            return sendJson(res, 404, { error: "Not found" });
+        } catch (error) {
+            return sendJson(res, 500, { error: error.message });
+        }
+    });
+
+    await new Promise((resolve) => server.listen(port, resolve));
+    const url = `http://localhost:${server.address().port}`;
+
+    return {
+        url,
+        server,
+        deliveries,
+        completeScan,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+};
+
+if (require.main === module) {
+    startMockCopyleaksServer({ port: Number(process.argv[2]) || 4100 }).then(({ url }) => {
+        console.log(`Mock Copyleaks server listening on ${url}`);
+    });
+}
+
+module.exports = {
+    createMockScan,
+    startMockCopyleaksServer,
+};
@@ -0,0 +1,1152 @@
+const fs = require("fs");
+const path = require("path");
+const { breakWord, wrapLines, wrapText, fitLines, flowBlocks } = require("./textFlow");
+
+/**
+ * Overview:
+ * Layout engine for the declarative page templates (see reportTemplates.js).
+ *
+ * A template describes a page as a list of blocks, e.g.
+ *   { margins: { top: 15 }, blocks: [
+ *       { type: "heading", text: "Plagiarism", style: { fontSize: 40 } },
+ *       { type: "scoreGauge", score: "{{similarity.score}}", align: "right" },
+ *       { type: "footer", text: "Generated by Your App" },
+ *   ] }
+ *
+ * Values are bound to a context object:
+ * - `"{{path.to.value}}"` is replaced with the value at that path (a string made only of one placeholder keeps
+ *   the value's type, so numbers and arrays can be bound too).
+ * - `when: "path"` (or `"!path"`) leaves an entry out unless the value is truthy (or falsy).
+ * - `each: "path"` repeats an entry for every element of an array, the element is available as `item`.
+ * Both work on any entry of a list: blocks, table rows, grid items...
+ *
+ * The blocks flow from top to bottom inside the page margins (see `flowBlocks` in textFlow.js). A block that does
+ * not fit on the page starts a new one, unless it can `split` (text, tables, highlighted text): it then fills the
+ * page and continues on the next one, text without leaving widows or orphans. Any block can be marked
+ * `keepTogether` (not split unless taller than a page), `keepWithNext` (headings are by default) or `breakBefore`
+ * (starts a new page). A block taller than a page that cannot split is cut at the bottom of the flow area, nothing
+ * is drawn over the footer.
+ * `footer` blocks (and blocks with `pin: "bottom"`) are taken out of the flow and pinned to the bottom of every page
+ * the template fills. The `bands` render option keeps the top and the bottom edge of the pages free for what is
+ * stamped on them after rendering (the running header and footer, see pageStamps.js).
+ * Text is wrapped at spaces by `wrapText`, without hyphenation: only words wider than a line are broken.
+ * Block types live in `BLOCK_TYPES`, each one can `measure` its height for a given width and `draw` itself.
+ * All sizes are in mm (the jsPDF unit of the report), font sizes in pt. Widths are relative to the page (table
+ * columns, `columns` widths, images with an `aspect`), so templates fit any paper size and orientation.
+ *
+ * Fonts are named by role (`heading`, `text`, `ui`, `mono`) and mapped to a family with the `fonts` render option,
+ * which is how a theme swaps them (see themes.js). A family that is not a role name is used as is. Text with
+ * characters the built-in fonts cannot encode (Arabic, Urdu...) is drawn with the `unicode` role when it is set.
+ *
+ * With `direction: "rtl"` the page is mirrored: blocks are laid out as usual and every position is flipped inside
+ * its frame (columns run from right to left, text is right aligned, markers and icons move to the right), and text
+ * goes through jsPDF's bidi engine as right-to-left.
+ * Images are files: absolute paths, or names inside src/images. `.txt` files hold Base64 data.
+ */
+
+const PT_TO_MM = 25.4 / 72;
+
+const DEFAULT_MARGINS = { top: 15, right: 10, bottom: 5, left: 10 };
+
+// Nothing is stamped on the pages unless the caller says so
+const DEFAULT_BANDS = { header: 0, footer: 0 };
+
+// Blocks drawn at the bottom of every page instead of in the flow
+const isPinned = (block) => block.type === "footer" || block.pin === "bottom";
+
+const DEFAULT_FONTS = { heading: "times", text: "times", ui: "helvetica", mono: "courier" };
+
+// Font families and direction a document is rendered with, set by `renderTemplate` for the time of one render
+const renderSettings = new WeakMap();
+const DEFAULT_SETTINGS = { fonts: DEFAULT_FONTS, rtl: false };
+const settingsOf = (doc) => renderSettings.get(doc) || DEFAULT_SETTINGS;
+
+// jsPDF text options for a string in logical right-to-left order, brackets mirrored (Arabic shaping is applied either way)
+const RTL_TEXT_OPTIONS = { isInputVisual: false, isOutputVisual: true, isInputRtl: true, isSymmetricSwapping: true };
+
+// Characters outside WinAnsi, the encoding of the built-in jsPDF fonts
+const UNICODE_TEXT = /[^\u0000-\u00ff\u0152\u0153\u0160\u0161\u0178\u017d\u017e\u0192\u02c6\u02dc\u2013-\u2026\u2030\u2039\u203a\u20ac\u2122]/;
+
+/**
+ * Whether a text needs a Unicode font, i.e. has characters the built-in jsPDF fonts cannot encode.
+ * @param {string|string[]} text - The text (or lines).
+ * @returns {boolean}
+ */
+const needsUnicodeFont = (text) => UNICODE_TEXT.test([].concat(text).join(" "));
+
+// Letters of right-to-left scripts (Hebrew, Arabic, Syriac, Thaana...) and of left-to-right ones
+const RTL_LETTER = /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufeff]/;
+const STRONG_LETTER = /[A-Za-z\u00c0-\u024f\u0370-\u058f\u0590-\u08ff\u0900-\u0dff\ufb1d-\ufdff\ufe70-\ufeff]/;
+
+/**
+ * Direction of a text, from its first letter with a strong direction (as the Unicode bidi algorithm does).
+ * @param {string} text - The text.
+ * @returns {string} - `rtl` or `ltr`.
+ */
+const textDirection = (text) => {
+    const letter = String(text).match(STRONG_LETTER);
+    return letter && RTL_LETTER.test(letter[0]) ? "rtl" : "ltr";
+};
+
+// Sets a font, falling back to the normal style for embedded families that do not have the requested one
+const setFontFamily = (doc, family, fontStyle = "normal") => {
+    const styles = doc.getFontList()[family];
+    doc.setFont(family, styles && !styles.includes(fontStyle) ? "normal" : fontStyle);
+};
+
+// Runs `fn` with the `unicode` font when the text needs it (keeping the style), then restores the font
+const withTextFont = (doc, text, fn) => {
+    const { fontName, fontStyle } = doc.getFont();
+    const { unicode } = settingsOf(doc).fonts;
+    if (!unicode || fontName === unicode || !needsUnicodeFont(text)) {
+        return fn();
+    }
+    setFontFamily(doc, unicode, fontStyle);
+    try {
+        return fn();
+    } finally {
+        doc.setFont(fontName, fontStyle);
+    }
+};
+
+// Mirrors the left edge `x` of something `width` wide inside the frame on right-to-left pages
+const flipX = (doc, frame, x, width = 0) => (settingsOf(doc).rtl ? 2 * frame.x + frame.width - x - width : x);
+
+// Draws text at `x` as laid out left to right inside the frame, mirrored (and right aligned) on right-to-left pages.
+// `direction: "ltr"` keeps the character order of text that is always left to right (URLs), even when mirrored.
+const drawText = (doc, text, frame, x, y, { direction, ...options } = {}) => withTextFont(doc, text, () => {
+    if (!settingsOf(doc).rtl) {
+        doc.text(text, x, y, options);
+        return;
+    }
+    const align = { left: "right", right: "left" }[options.align || "left"] || options.align;
+    doc.text(text, flipX(doc, frame, x), y, { ...options, align, ...(direction === "ltr" ? {} : RTL_TEXT_OPTIONS) });
+});
+
+// Width of a text in the current font (or the `unicode` one when the text needs it)
+const textWidth = (doc, text) => withTextFont(doc, text, () => doc.getTextWidth(text));
+
+// Lines of a text wrapped to a width, in the current font
+const splitText = (doc, text, width) => wrapText(text, width, (part) => textWidth(doc, part));
+
+// Images read once per process, `.txt` files as Base64 text and anything else as bytes
+const imageCache = new Map();
+const loadImage = (file) => {
+    const filePath = path.isAbsolute(file) ? file : path.join(__dirname, "images", file);
+    if (!imageCache.has(filePath)) {
+        try {
+            imageCache.set(filePath, filePath.endsWith(".txt")
+                ? fs.readFileSync(filePath, "utf-8").trim()
+                : new Uint8Array(fs.readFileSync(filePath)));
+        } catch (error) {
+            console.error(`Error reading image ${file}:`, error.message);
+            imageCache.set(filePath, "");
+        }
+    }
+    return imageCache.get(filePath);
+};
+
+// Draws an image file, skipping images that could not be read
+const addImage = (doc, file, x, y, width, height) => {
+    const image = loadImage(file);
+    if (image) {
+        doc.addImage(image, /\.jpe?g$/i.test(file) ? "JPEG" : "PNG", x, y, width, height);
+    }
+};
+
+const fontCache = new Map();
+
+/**
+ * Embeds TTF fonts into a document so their families can be used like the built-in ones.
+ * @param {jsPDF} doc - The document.
+ * @param {Object[]} files - `{ family, style, file }` per font file (style is `normal`, `bold`, `italic`...).
+ */
+const registerFonts = (doc, files = []) => {
+    files.forEach(({ family, style = "normal", file }) => {
+        if (!fontCache.has(file)) {
+            fontCache.set(file, fs.readFileSync(file).toString("base64"));
+        }
+        const name = path.basename(file);
+        doc.addFileToVFS(name, fontCache.get(file));
+        doc.addFont(name, family, style);
+    });
+};
+
+// Reads a dotted path (`a.b.0.c`) from the context
+const getPath = (context, keyPath) => keyPath.split(".").reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    context,
+);
+
+const isVisible = (when, context) => {
+    if (when === undefined) return true;
+    if (typeof when === "function") return Boolean(when(context));
+    if (typeof when === "string") {
+        return when.startsWith("!") ? !getPath(context, when.slice(1)) : Boolean(getPath(context, when));
+    }
+    return Boolean(when);
+};
+
+/**
+ * Binds a template value to the context: placeholders are filled in, `when`/`each` entries of lists
+ * are filtered and repeated, functions are called with the context.
+ * @param {*} value - A template value.
+ * @param {Object} context - The data the template is rendered with.
+ * @returns {*} - The bound value.
+ */
+const bindTemplate = (value, context) => {
+    if (typeof value === "function") {
+        return value(context);
+    }
+    if (typeof value === "string") {
+        const single = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (single) return getPath(context, single[1]);
+        return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+            const bound = getPath(context, keyPath);
+            return bound === undefined || bound === null ? "" : String(bound);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap((entry) => {
+            if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+                return [bindTemplate(entry, context)];
+            }
+            const { each, when, ...rest } = entry;
+            if (each) {
+                const items = getPath(context, each) || [];
+                return items
+                    .map((item, index) => ({ ...context, item, index }))
+                    .filter((itemContext) => isVisible(when, itemContext))
+                    .map((itemContext) => bindTemplate(rest, itemContext));
+            }
+            return isVisible(when, context) ? [bindTemplate(rest, context)] : [];
+        });
+    }
+    if (value && typeof value === "object") {
+        const bound = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            if (key !== "when") bound[key] = bindTemplate(entry, context);
+        });
+        return bound;
+    }
+    return value;
+};
+
+// Text styles: { font, fontStyle, fontSize (pt), color ([r, g, b]) }
+const applyStyle = (doc, style) => {
+    setFontFamily(doc, settingsOf(doc).fonts[style.font] || style.font, style.fontStyle);
+    doc.setFontSize(style.fontSize);
+    doc.setTextColor(...style.color);
+};
+
+const lineHeight = (doc, style) => style.fontSize * PT_TO_MM * doc.getLineHeightFactor();
+
+const withStyle = (defaults, style) => ({ ...defaults, ...(style || {}) });
+
+const BLACK = [0, 0, 0];
+
+// Height of an `image` block drawn in a frame `width` wide
+const imageHeight = (block, width) => (block.aspect ? (block.width || width) / block.aspect : block.height);
+
+// Shared by `heading` and `text`: a wrapped paragraph, `splits` between lines across pages
+const paragraph = (defaultStyle, { splits = false } = {}) => ({
+    measure: (doc, block, width) => {
+        const style = withStyle(defaultStyle, block.style);
+        applyStyle(doc, style);
+        return splitText(doc, String(block.text), width).length * lineHeight(doc, style);
+    },
+    split: splits ? (doc, block, width, height, { atTop } = {}) => {
+        const style = withStyle(defaultStyle, block.style);
+        applyStyle(doc, style);
+        const spacing = lineHeight(doc, style);
+        const text = String(block.text);
+        const lines = wrapLines(text, width, (part) => textWidth(doc, part));
+        const count = fitLines(lines.map((line) => ({ height: spacing, paragraphStart: line.paragraphStart })), height, {
+            orphans: block.orphans,
+            widows: block.widows,
+            atTop,
+        });
+        if (count === 0 || count === lines.length) {
+            return null;
+        }
+        // Cut in the text itself, so the rest of a paragraph stays one paragraph on the next page
+        const last = lines[count - 1];
+        return [
+            { ...block, text: text.slice(0, last.end) + (last.hyphenated ? "-" : "") },
+            { ...block, text: text.slice(lines[count].start) },
+        ];
+    } : undefined,
+    draw: (doc, block, frame) => {
+        const style = withStyle(defaultStyle, block.style);
+        applyStyle(doc, style);
+        const lines = splitText(doc, String(block.text), frame.width);
+        const align = block.align || "left";
+        const x = align === "center" ? frame.x + frame.width / 2 : align === "right" ? frame.x + frame.width : frame.x;
+        drawText(doc, lines, frame, x, frame.y, { baseline: "top", align });
+    },
+});
+
+/**
+ * Draws a circular score indicator.
+ * @param {Object} doc - The jsPDF document instance.
+ * @param {number} score - The score percentage (0-100).
+ * @param {number} x - X-coordinate for the circle center.
+ * @param {number} y - Y-coordinate for the circle center.
+ * @param {number} radius - Radius of the circle.
+ * @param {number[]} [color=[255, 87, 34]] - Color of the score arc.
+ * @param {string} [label] - Text inside the circle, the score followed by % by default.
+ */
+const drawScoreGauge = (doc, score, x, y, radius, color = [255, 87, 34], label = `${score}%`) => {
+    const startAngle = -Math.PI / 2; // Start from the top (12 o'clock position)
+    const endAngle = startAngle + (2 * Math.PI * (score / 100)); // Calculate the angle based on the score
+
+    // Draw a light gray background circle to represent 100%
+    doc.setDrawColor(200, 200, 200);
+    doc.setFillColor(255, 255, 255);
+    doc.setLineWidth(0.2);
+    doc.circle(x, y, radius);
+
+    // Draw the score arc as many short segments
+    const segments = 100;
+    const angleIncrement = (endAngle - startAngle) / segments;
+    let angle = startAngle;
+
+    doc.setDrawColor(...color);
+    doc.setLineWidth(4);
+
+    for (let i = 0; i < segments; i++) {
+        const x1 = x + radius * Math.cos(angle);
+        const y1 = y + radius * Math.sin(angle);
+        angle += angleIncrement;
+        const x2 = x + radius * Math.cos(angle);
+        const y2 = y + radius * Math.sin(angle);
+        doc.line(x1, y1, x2, y2);
+    }
+
+    // Display the percentage inside the circle
+    applyStyle(doc, { font: "heading", fontStyle: "bold", fontSize: 14, color: BLACK });
+    withTextFont(doc, label, () => doc.text(label, x, y, { align: "center", baseline: "middle" }));
+};
+
+// Small filled (or outlined) circle in front of a legend entry
+const drawMarker = (doc, marker, x, y, radius) => {
+    if (marker.outline) {
+        doc.setLineWidth(0.5);
+        doc.setDrawColor(...marker.color);
+        doc.circle(x, y, radius, "D");
+    } else {
+        doc.setFillColor(...marker.color);
+        doc.circle(x, y, radius, "F");
+    }
+};
+
+// Draws an icon, with a link on top when it has a url
+const drawIcon = (doc, item, x, y, size) => {
+    addImage(doc, item.icon, x, y, size, size);
+    if (item.url) {
+        doc.link(x, y, size, size, { url: item.url });
+    }
+};
+
+// Splits grid items into rows, `rows` (e.g. [3, 2]) wins over a fixed `perRow`
+const gridRows = (block) => {
+    const sizes = block.rows || [];
+    const rows = [];
+    let index = 0;
+    while (index < block.items.length) {
+        const size = sizes[rows.length] || block.perRow || block.items.length;
+        rows.push(block.items.slice(index, index + size));
+        index += size;
+    }
+    return rows;
+};
+
+const GRID_DEFAULTS = { iconSize: 10, cellWidth: 35, rowGap: 8, align: "center" };
+const GRID_LABEL_STYLE = { font: "text", fontStyle: "normal", fontSize: 10, color: BLACK };
+
+const TABLE_STYLES = {
+    titleStyle: { font: "heading", fontStyle: "bold", fontSize: 12, color: BLACK },
+    headerStyle: { font: "ui", fontStyle: "bold", fontSize: 10, color: BLACK },
+    style: { font: "ui", fontStyle: "normal", fontSize: 8, color: BLACK },
+};
+
+const LINK_BLOCK_STYLES = {
+    titleStyle: { font: "heading", fontStyle: "bold", fontSize: 10, color: BLACK },
+    style: { font: "text", fontStyle: "normal", fontSize: 8, color: BLACK },
+    linkStyle: { font: "text", fontStyle: "normal", fontSize: 8, color: [173, 216, 230] },
+};
+
+// Layout of a text-with-link block, shared by measure and draw
+const linkBlockLayout = (doc, block, width) => {
+    const titleStyle = withStyle(LINK_BLOCK_STYLES.titleStyle, block.titleStyle);
+    const style = withStyle(LINK_BLOCK_STYLES.style, block.style);
+    const linkStyle = withStyle(LINK_BLOCK_STYLES.linkStyle, block.linkStyle);
+    const markerRadius = block.marker ? block.marker.radius || 3 : 0;
+    const indent = block.marker ? markerRadius * 2 + 2 : 0;
+
+    applyStyle(doc, style);
+    const lines = block.text ? splitText(doc, String(block.text), width - indent) : [];
+    const titleHeight = block.title ? lineHeight(doc, titleStyle) + 1 : 0;
+    const bodyHeight = lines.length * lineHeight(doc, style);
+    const linkHeight = block.link && (block.link.url || block.link.pageNumber) ? lineHeight(doc, linkStyle) : 0;
+
+    return {
+        titleStyle, style, linkStyle, markerRadius, indent, lines,
+        titleHeight, bodyHeight, linkHeight,
+        height: titleHeight + bodyHeight + linkHeight,
+    };
+};
+
+// Rows of a legend table are `{ marker, cells }`, or `{ divider: true }` for a separating line
+const TABLE_ROW_HEIGHT = 5;
+
+const tableLayout = (doc, block) => {
+    const titleStyle = withStyle(TABLE_STYLES.titleStyle, block.titleStyle);
+    const headerStyle = withStyle(TABLE_STYLES.headerStyle, block.headerStyle);
+    const style = withStyle(TABLE_STYLES.style, block.style);
+    const rowHeight = block.rowHeight || TABLE_ROW_HEIGHT;
+    const titleHeight = block.title ? lineHeight(doc, titleStyle) + 6 : 0;
+    const headerHeight = block.columns && block.columns.some((column) => column.label) ? lineHeight(doc, headerStyle) + 6 : 0;
+    const rowsHeight = block.rows.reduce((sum, row) => sum + (row.divider ? rowHeight / 2 : rowHeight), 0);
+    return { titleStyle, headerStyle, style, rowHeight, titleHeight, headerHeight, height: titleHeight + headerHeight + rowsHeight };
+};
+
+// x offsets of the table columns, `width` of each column is a fraction of the block width
+const columnOffsets = (block, width) => {
+    const columns = block.columns || [];
+    let offset = 0;
+    return columns.map((column) => {
+        const x = offset;
+        offset += (column.width || 1 / columns.length) * width;
+        return x;
+    });
+};
+
+const DATA_TABLE_STYLES = {
+    headerStyle: { font: "ui", fontStyle: "bold", fontSize: 8, color: BLACK },
+    style: { font: "ui", fontStyle: "normal", fontSize: 8, color: BLACK },
+    linkStyle: { font: "ui", fontStyle: "normal", fontSize: 8, color: [0, 102, 204] },
+};
+
+const CELL_PADDING = 1.5;
+
+// Wrapped lines of every cell and the height of every row of a `table` block, shared by measure, split and draw
+const dataTableLayout = (doc, block, width) => {
+    const headerStyle = withStyle(DATA_TABLE_STYLES.headerStyle, block.headerStyle);
+    const style = withStyle(DATA_TABLE_STYLES.style, block.style);
+    const linkStyle = withStyle(DATA_TABLE_STYLES.linkStyle, block.linkStyle);
+
+    let offset = 0;
+    const columns = block.columns.map((column) => {
+        const columnWidth = (column.width || 1 / block.columns.length) * width;
+        const laidOut = { ...column, x: offset, width: columnWidth };
+        offset += columnWidth;
+        return laidOut;
+    });
+
+    const wrap = (cellStyle, text, column) => {
+        applyStyle(doc, cellStyle);
+        return splitText(doc, text === undefined || text === null ? "" : String(text), column.width - 2 * CELL_PADDING);
+    };
+    const rowHeight = (cells, cellStyle) => Math.max(1, ...cells.map((lines) => lines.length)) * lineHeight(doc, cellStyle) + 2 * CELL_PADDING;
+
+    const header = columns.map((column) => wrap(headerStyle, column.label, column));
+    const rows = block.rows.map((row) => {
+        const styles = columns.map((column, i) => (row.links && row.links[i] ? linkStyle : style));
+        const cells = columns.map((column, i) => wrap(styles[i], row.cells[i], column));
+        return { cells, styles, links: row.links || [], height: rowHeight(cells, style) };
+    });
+
+    return {
+        columns,
+        header: { cells: header, styles: columns.map(() => headerStyle), links: [], height: rowHeight(header, headerStyle) },
+        rows,
+    };
+};
+
+const HIGHLIGHT_STYLE = { font: "text", fontStyle: "normal", fontSize: 10, color: BLACK };
+
+// Size of a span's tag relative to the text
+const TAG_SCALE = 0.6;
+
+// Fills a rectangle with a translucent color, so text stays readable on the strong legend colors
+const tint = (doc, color, x, y, width, height, opacity) => {
+    doc.setGState(new doc.GState({ opacity }));
+    doc.setFillColor(...color);
+    doc.rect(x, y, width, height, "F");
+    doc.setGState(new doc.GState({ opacity: 1 }));
+};
+
+// Layouts of `highlightedText` blocks, measure, split and draw of the same block share one
+const highlightLayouts = new WeakMap();
+
+/**
+ * Lays out the text of a `highlightedText` block (from `block.start` to `block.end`) in lines. Paragraphs are kept
+ * and each one runs in its own direction. Words are cut into pieces where a span starts or ends, every piece knows
+ * the span it belongs to and carries the span's tag when the span ends with it.
+ * @param {jsPDF} doc - The document.
+ * @param {Object} block - The bound block.
+ * @param {number} width - Width of the frame.
+ * @returns {Object} - `{ style, lineHeight, spaceWidth, lines: [{ start, rtl, paragraphStart, gap, words }] }`, each
+ *   word being `{ text, width, spaceSpan, pieces: [{ text, width, span, tag, tagWidth }] }`. Words wider than a line
+ *   are broken over several lines.
+ */
+const highlightLayout = (doc, block, width) => {
+    const cached = highlightLayouts.get(block);
+    if (cached && cached.width === width) {
+        return cached.layout;
+    }
+
+    const style = withStyle(HIGHLIGHT_STYLE, block.style);
+    const tagStyle = { ...style, fontStyle: "bold", fontSize: style.fontSize * TAG_SCALE };
+    const text = String(block.text || "");
+    const end = block.end === undefined ? text.length : block.end;
+    // Spans do not overlap, sorted they can be searched by position. Whitespace at their ends is left out so the
+    // tag follows the last word.
+    const spans = (block.spans || [])
+        .map((span) => {
+            let start = span.start;
+            let spanEnd = span.start + span.length;
+            while (start < spanEnd && /\s/.test(text[start])) start++;
+            while (spanEnd > start && /\s/.test(text[spanEnd - 1])) spanEnd--;
+            return { ...span, start, length: spanEnd - start };
+        })
+        .filter((span) => span.length > 0)
+        .sort((a, b) => a.start - b.start);
+    const spanIndex = (offset) => {
+        let low = 0;
+        let high = spans.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (spans[middle].start <= offset) low = middle + 1;
+            else high = middle;
+        }
+        return low - 1;
+    };
+    const spanAt = (offset) => {
+        const span = spans[spanIndex(offset)];
+        return span && offset < span.start + span.length ? span : null;
+    };
+    const nextSpanStart = (offset) => {
+        const next = spans[spanIndex(offset) + 1];
+        return next ? next.start : Infinity;
+    };
+
+    applyStyle(doc, style);
+    const height = lineHeight(doc, style);
+    const spaceWidth = textWidth(doc, " ");
+    const paragraphGap = block.paragraphGap === undefined ? height / 2 : block.paragraphGap;
+
+    // A word, or a piece of an overlong word ended with a hyphen when `hyphen` is set
+    const toWord = (wordStart, wordEnd, hyphen = "") => {
+        const pieces = [];
+        for (let position = wordStart; position < wordEnd;) {
+            const span = spanAt(position);
+            const pieceEnd = Math.min(wordEnd, span ? span.start + span.length : nextSpanStart(position));
+            const piece = { text: text.slice(position, pieceEnd), span, tag: null, tagWidth: 0 };
+            applyStyle(doc, style);
+            piece.width = textWidth(doc, piece.text);
+            if (span && span.tag && pieceEnd === span.start + span.length) {
+                piece.tag = String(span.tag);
+                applyStyle(doc, tagStyle);
+                piece.tagWidth = textWidth(doc, piece.tag) + 0.5;
+            }
+            pieces.push(piece);
+            position = pieceEnd;
+        }
+        if (hyphen) {
+            const last = pieces[pieces.length - 1];
+            last.text += hyphen;
+            applyStyle(doc, style);
+            last.width = textWidth(doc, last.text);
+        }
+        const before = spanAt(wordStart - 1);
+        return {
+            text: text.slice(wordStart, wordEnd),
+            width: pieces.reduce((sum, piece) => sum + piece.width + piece.tagWidth, 0),
+            // The space in front of the word is tinted when a span runs across it
+            spaceSpan: before && before.start < wordStart - 1 ? before : null,
+            start: wordStart,
+            pieces,
+        };
+    };
+
+    const lines = [];
+    const paragraphs = /[^\n]+/g;
+    paragraphs.lastIndex = block.start || 0;
+    const visible = text.slice(0, end);
+    let paragraph;
+    while ((paragraph = paragraphs.exec(visible))) {
+        const rtlParagraph = textDirection(paragraph[0]) === "rtl";
+        const words = /\S+/g;
+        let line = null;
+        let word;
+        const newLine = (start) => {
+            const paragraphStart = !line;
+            line = { start, rtl: rtlParagraph, paragraphStart, gap: paragraphStart && lines.length > 0 ? paragraphGap : 0, width: -spaceWidth, words: [] };
+            lines.push(line);
+        };
+        while ((word = words.exec(paragraph[0]))) {
+            const wordStart = paragraph.index + word.index;
+            let laidOut = toWord(wordStart, wordStart + word[0].length);
+            if (laidOut.width > width) {
+                // Broken into pieces filling a line each, the last one continues like a word
+                applyStyle(doc, style);
+                const pieces = breakWord(word[0], width, (part) => textWidth(doc, part));
+                let pieceStart = wordStart;
+                pieces.forEach((piece, i) => {
+                    const hyphen = i < pieces.length - 1 && piece.endsWith("-") && !word[0].startsWith(piece, pieceStart - wordStart) ? "-" : "";
+                    const pieceEnd = pieceStart + piece.length - hyphen.length;
+                    laidOut = toWord(pieceStart, pieceEnd, hyphen);
+                    if (i < pieces.length - 1) {
+                        if (!line || line.words.length > 0) newLine(laidOut.start);
+                        line.words.push(laidOut);
+                        line.width += spaceWidth + laidOut.width;
+                    }
+                    pieceStart = pieceEnd;
+                });
+                newLine(laidOut.start);
+            } else if (!line || line.width + spaceWidth + laidOut.width > width) {
+                newLine(laidOut.start);
+            }
+            line.words.push(laidOut);
+            line.width += spaceWidth + laidOut.width;
+        }
+    }
+
+    const layout = { style, tagStyle, lineHeight: height, spaceWidth, lines };
+    highlightLayouts.set(block, { width, layout });
+    return layout;
+};
+
+const KEY_VALUE_STYLES = {
+    titleStyle: { font: "mono", fontStyle: "bold", fontSize: 8, color: BLACK },
+    style: { font: "mono", fontStyle: "normal", fontSize: 8, color: BLACK },
+};
+
+/**
+ * Block types. `measure(doc, block, width)` returns the height the block needs, `draw(doc, block, frame)`
+ * draws it in `frame` (`{ x, y, width }`, y is the top of the block).
+ */
+const BLOCK_TYPES = {
+    heading: paragraph({ font: "heading", fontStyle: "bold", fontSize: 16, color: BLACK }),
+
+    text: paragraph({ font: "ui", fontStyle: "normal", fontSize: 10, color: BLACK }, { splits: true }),
+
+    // `{ src, height | aspect, width? }`, `aspect` (width / height) scales the image with the page instead of a fixed
+    // height. `bleed: true` ignores the side margins (full page width)
+    image: {
+        measure: (doc, block, width) => imageHeight(block, width),
+        draw: (doc, block, frame) => {
+            const width = block.width || frame.width;
+            const x = block.align === "right" ? frame.x + frame.width - width
+                : block.align === "center" ? frame.x + (frame.width - width) / 2 : frame.x;
+            addImage(doc, block.src, flipX(doc, frame, x, width), frame.y, width, imageHeight(block, frame.width));
+        },
+    },
+
+    // `{ score, label, radius, align, color }`, `label` is the text in the circle (the score and % by default)
+    scoreGauge: {
+        // The arc is drawn with a 4mm wide line, half of it is outside the radius
+        measure: (doc, block) => 2 * (block.radius || 20) + 4,
+        draw: (doc, block, frame) => {
+            const radius = block.radius || 20;
+            const align = block.align || "center";
+            const cx = align === "left" ? frame.x + radius + 2
+                : align === "right" ? frame.x + frame.width - radius - 2 : frame.x + frame.width / 2;
+            const score = Number(block.score) || 0;
+            drawScoreGauge(doc, score, flipX(doc, frame, cx), frame.y + radius + 2, radius, block.color, block.label === undefined ? undefined : String(block.label));
+        },
+    },
+
+    // `{ title, columns: [{ label, width }], rows: [{ marker: { color, outline }, cells: [...] } | { divider: true }] }`
+    legendTable: {
+        measure: (doc, block) => tableLayout(doc, block).height,
+        draw: (doc, block, frame) => {
+            const layout = tableLayout(doc, block);
+            const offsets = columnOffsets(block, frame.width);
+            const lineColor = block.lineColor || [169, 169, 169];
+            const rule = (y) => {
+                doc.setLineWidth(0.5);
+                doc.setDrawColor(...lineColor);
+                doc.line(frame.x, y, frame.x + frame.width, y);
+            };
+            let y = frame.y;
+
+            if (block.title) {
+                applyStyle(doc, layout.titleStyle);
+                drawText(doc, String(block.title), frame, frame.x, y, { baseline: "top" });
+                rule(y + layout.titleHeight - 3);
+                y += layout.titleHeight;
+            }
+
+            if (layout.headerHeight) {
+                applyStyle(doc, layout.headerStyle);
+                block.columns.forEach((column, i) => {
+                    if (column.label) drawText(doc, String(column.label), frame, frame.x + offsets[i], y, { baseline: "top" });
+                });
+                rule(y + layout.headerHeight - 3);
+                y += layout.headerHeight;
+            }
+
+            block.rows.forEach((row) => {
+                if (row.divider) {
+                    rule(y + layout.rowHeight / 4);
+                    y += layout.rowHeight / 2;
+                    return;
+                }
+                const baseline = y + layout.rowHeight - 1.5;
+                if (row.marker) {
+                    drawMarker(doc, row.marker, flipX(doc, frame, frame.x + 1.5), baseline - 1.2, 1.5);
+                }
+                applyStyle(doc, layout.style);
+                (row.cells || []).forEach((cell, i) => {
+                    const x = frame.x + (offsets[i] || 0) + (i === 0 && row.marker ? 4 : 0);
+                    drawText(doc, String(cell), frame, x, baseline);
+                });
+                y += layout.rowHeight;
+            });
+        },
+    },
+
+    // `{ title, text, link: { text, url | pageNumber }, marker: { color, outline, radius } }`, `pageNumber` links to a
+    // page of the document
+    textWithLink: {
+        measure: (doc, block, width) => linkBlockLayout(doc, block, width).height,
+        draw: (doc, block, frame) => {
+            const layout = linkBlockLayout(doc, block, frame.width);
+            const x = frame.x + layout.indent;
+            let y = frame.y;
+
+            if (block.marker) {
+                const markerY = y + (block.title ? layout.titleHeight / 2 : lineHeight(doc, layout.style) / 2);
+                drawMarker(doc, block.marker, flipX(doc, frame, frame.x + layout.markerRadius), markerY, layout.markerRadius);
+            }
+            if (block.title) {
+                applyStyle(doc, layout.titleStyle);
+                drawText(doc, String(block.title), frame, x, y, { baseline: "top" });
+                y += layout.titleHeight;
+            }
+            if (layout.lines.length) {
+                applyStyle(doc, layout.style);
+                drawText(doc, layout.lines, frame, x, y, { baseline: "top" });
+                y += layout.bodyHeight;
+            }
+            if (layout.linkHeight) {
+                applyStyle(doc, layout.linkStyle);
+                const linkText = String(block.link.text || "Learn more");
+                const linkWidth = textWidth(doc, linkText);
+                drawText(doc, linkText, frame, x, y, { baseline: "top" });
+                doc.link(flipX(doc, frame, x, linkWidth), y, linkWidth, layout.linkHeight, block.link.url
+                    ? { url: block.link.url }
+                    : { pageNumber: Number(block.link.pageNumber) });
+            }
+        },
+    },
+
+    // `{ items: [{ icon, label, value, url }], rows: [3, 2] | perRow, iconSize, cellWidth, rowGap, align }`
+    iconGrid: {
+        measure: (doc, block) => {
+            const { iconSize, rowGap } = { ...GRID_DEFAULTS, ...block };
+            const style = withStyle(GRID_LABEL_STYLE, block.style);
+            const labels = block.items.some((item) => item.label !== undefined) ? 1 : 0;
+            const values = block.items.some((item) => item.value !== undefined) ? 1 : 0;
+            const rowHeight = iconSize + (labels + values) * lineHeight(doc, style) + (labels + values ? 1 : 0);
+            const rows = gridRows(block).length;
+            return rows ? rows * rowHeight + (rows - 1) * rowGap : 0;
+        },
+        draw: (doc, block, frame) => {
+            const { iconSize, cellWidth, rowGap, align } = { ...GRID_DEFAULTS, ...block };
+            const style = withStyle(GRID_LABEL_STYLE, block.style);
+            const textHeight = lineHeight(doc, style);
+            let y = frame.y;
+
+            gridRows(block).forEach((row) => {
+                const rowWidth = row.length * cellWidth;
+                let x = align === "left" ? frame.x
+                    : align === "right" ? frame.x + frame.width - rowWidth : frame.x + (frame.width - rowWidth) / 2;
+                let rowHeight = iconSize;
+
+                row.forEach((item) => {
+                    const cx = x + cellWidth / 2;
+                    drawIcon(doc, item, flipX(doc, frame, cx - iconSize / 2, iconSize), y, iconSize);
+                    applyStyle(doc, style);
+                    let textY = y + iconSize + 1;
+                    [item.label, item.value].forEach((line) => {
+                        if (line === undefined) return;
+                        drawText(doc, String(line), frame, cx, textY, { baseline: "top", align: "center" });
+                        textY += textHeight;
+                    });
+                    rowHeight = Math.max(rowHeight, textY - y);
+                    x += cellWidth;
+                });
+                y += rowHeight + rowGap;
+            });
+        },
+    },
+
+    // `{ title, rows: [{ label, value, style }], labelWidth }`
+    keyValue: {
+        measure: (doc, block) => ((block.title ? 1 : 0) + block.rows.length) * (block.rowHeight || 4),
+        draw: (doc, block, frame) => {
+            const rowHeight = block.rowHeight || 4;
+            const style = withStyle(KEY_VALUE_STYLES.style, block.style);
+            let y = frame.y;
+            if (block.title) {
+                applyStyle(doc, withStyle(KEY_VALUE_STYLES.titleStyle, block.titleStyle));
+                drawText(doc, String(block.title), frame, frame.x, y, { baseline: "top" });
+                y += rowHeight;
+            }
+            block.rows.forEach((row) => {
+                applyStyle(doc, style);
+                drawText(doc, String(row.label), frame, frame.x, y, { baseline: "top" });
+                applyStyle(doc, withStyle(style, row.style));
+                drawText(doc, String(row.value), frame, frame.x + (block.labelWidth || 20), y, { baseline: "top" });
+                y += rowHeight;
+            });
+        },
+    },
+
+    // `{ columns: [{ label, width, align, direction }], rows: [{ cells: [...], links: [url per cell] }], headerFill,
+    // lineColor }`,
+    // splits across pages between rows and repeats the header on every page, cells with a link are clickable
+    table: {
+        measure: (doc, block, width) => {
+            const layout = dataTableLayout(doc, block, width);
+            return layout.rows.reduce((sum, row) => sum + row.height, layout.header.height);
+        },
+        split: (doc, block, width, height) => {
+            const layout = dataTableLayout(doc, block, width);
+            let used = layout.header.height;
+            let count = 0;
+            while (count < layout.rows.length && used + layout.rows[count].height <= height) {
+                used += layout.rows[count].height;
+                count++;
+            }
+            return count === 0 ? null : [
+                { ...block, rows: block.rows.slice(0, count) },
+                { ...block, rows: block.rows.slice(count) },
+            ];
+        },
+        draw: (doc, block, frame) => {
+            const layout = dataTableLayout(doc, block, frame.width);
+            let y = frame.y;
+
+            const drawRow = (row, fill) => {
+                if (fill) {
+                    doc.setFillColor(...fill);
+                    doc.rect(frame.x, y, frame.width, row.height, "F");
+                }
+                layout.columns.forEach((column, i) => {
+                    applyStyle(doc, row.styles[i]);
+                    const align = column.align || "left";
+                    const x = align === "right" ? frame.x + column.x + column.width - CELL_PADDING : frame.x + column.x + CELL_PADDING;
+                    drawText(doc, row.cells[i], frame, x, y + CELL_PADDING, { baseline: "top", align, direction: column.direction });
+                    if (row.links[i]) {
+                        doc.link(flipX(doc, frame, frame.x + column.x, column.width), y, column.width, row.height, { url: row.links[i] });
+                    }
+                });
+                doc.setDrawColor(...(block.lineColor || [169, 169, 169]));
+                doc.setLineWidth(0.2);
+                doc.line(frame.x, y + row.height, frame.x + frame.width, y + row.height);
+                y += row.height;
+            };
+
+            drawRow(layout.header, block.headerFill || [240, 240, 240]);
+            layout.rows.forEach((row) => drawRow(row));
+        },
+    },
+
+    // `{ text, spans: [{ start, length, color, tag }], style, tint, paragraphGap, widows, orphans }`, running text
+    // with the spans tinted in their color and their tag (e.g. a source number) set small after them. Splits across
+    // pages between lines, `start`/`end` (character offsets) are what is left of the text on each page.
+    highlightedText: {
+        measure: (doc, block, width) => {
+            const layout = highlightLayout(doc, block, width);
+            return layout.lines.reduce((sum, line) => sum + line.gap + layout.lineHeight, 0);
+        },
+        split: (doc, block, width, height, { atTop } = {}) => {
+            const layout = highlightLayout(doc, block, width);
+            const lines = layout.lines.map((line) => ({ height: line.gap + layout.lineHeight, paragraphStart: line.paragraphStart }));
+            const count = fitLines(lines, height, { orphans: block.orphans, widows: block.widows, atTop });
+            if (count === 0 || count === layout.lines.length) {
+                return null;
+            }
+            const cut = layout.lines[count].start;
+            return [{ ...block, end: cut }, { ...block, start: cut }];
+        },
+        draw: (doc, block, frame) => {
+            const layout = highlightLayout(doc, block, frame.width);
+            const opacity = block.tint === undefined ? 0.35 : block.tint;
+            let y = frame.y;
+
+            layout.lines.forEach((line) => {
+                y += line.gap;
+                // Words run from the start edge of the paragraph, pieces in the direction of their word
+                let x = line.rtl ? frame.x + frame.width : frame.x;
+                const advance = (width) => {
+                    const left = line.rtl ? x - width : x;
+                    x = line.rtl ? x - width : x + width;
+                    return left;
+                };
+
+                line.words.forEach((word, i) => {
+                    if (i > 0) {
+                        const left = advance(layout.spaceWidth);
+                        if (word.spaceSpan) tint(doc, word.spaceSpan.color, left, y, layout.spaceWidth, layout.lineHeight, opacity);
+                    }
+                    const wordRtl = textDirection(word.text) === "rtl";
+                    const wordLeft = advance(word.width);
+                    let pieceX = wordRtl ? wordLeft + word.width : wordLeft;
+
+                    word.pieces.forEach((piece) => {
+                        const pieceWidth = piece.width + piece.tagWidth;
+                        const left = wordRtl ? pieceX - pieceWidth : pieceX;
+                        pieceX = wordRtl ? left : left + pieceWidth;
+                        const textLeft = wordRtl ? left + piece.tagWidth : left;
+
+                        if (piece.span) tint(doc, piece.span.color, left, y, pieceWidth, layout.lineHeight, opacity);
+                        applyStyle(doc, layout.style);
+                        withTextFont(doc, piece.text, () => doc.text(piece.text, textLeft, y, {
+                            baseline: "top",
+                            ...(wordRtl ? RTL_TEXT_OPTIONS : {}),
+                        }));
+                        if (piece.tag) {
+                            applyStyle(doc, layout.tagStyle);
+                            withTextFont(doc, piece.tag, () => doc.text(piece.tag, wordRtl ? left : textLeft + piece.width + 0.25, y, { baseline: "top" }));
+                        }
+                    });
+                });
+                y += layout.lineHeight;
+            });
+        },
+    },
+
+    // `{ widths: [1, 1], gap, columns: [[...blocks], [...blocks]] }`, the columns do not break across pages
+    columns: {
+        measure: (doc, block, width) => Math.max(0, ...columnFrames(doc, block, { x: 0, width })
+            .map(({ blocks, frame }) => measureStack(doc, blocks, frame.width))),
+        draw: (doc, block, frame) => {
+            columnFrames(doc, block, frame).forEach((column) => {
+                drawStack(doc, column.blocks, { ...column.frame, y: frame.y });
+            });
+        },
+    },
+
+    // `{ color, lineWidth }`, a line across the frame
+    divider: {
+        measure: () => 1,
+        draw: (doc, block, frame) => {
+            doc.setDrawColor(...(block.color || [192, 192, 192]));
+            doc.setLineWidth(block.lineWidth || 0.5);
+            doc.line(frame.x, frame.y + 0.5, frame.x + frame.width, frame.y + 0.5);
+        },
+    },
+
+    // `{ height }`
+    spacer: {
+        measure: (doc, block) => block.height || 0,
+        draw: () => {},
+    },
+
+    // `{ left, center, right, style }`, one line of up to three texts (the running header and footer)
+    band: {
+        measure: (doc, block) => lineHeight(doc, withStyle({ fontSize: 8 }, block.style)),
+        draw: (doc, block, frame) => {
+            const style = withStyle({ font: "ui", fontStyle: "normal", fontSize: 8, color: BLACK }, block.style);
+            applyStyle(doc, style);
+            const baseline = frame.y + style.fontSize * PT_TO_MM;
+            if (block.left) drawText(doc, String(block.left), frame, frame.x, baseline);
+            if (block.center) drawText(doc, String(block.center), frame, frame.x + frame.width / 2, baseline, { align: "center" });
+            if (block.right) drawText(doc, String(block.right), frame, frame.x + frame.width, baseline, { align: "right" });
+            doc.setTextColor(0, 0, 0);
+        },
+    },
+
+    // `{ height, text, certImage, certLabel, social: [{ icon, url }] }`, pinned to the bottom of every page
+    footer: {
+        measure: (doc, block) => block.height || 25,
+        draw: (doc, block, frame) => {
+            const bottom = frame.y + (block.height || 25);
+            const style = withStyle({ font: "ui", fontStyle: "normal", fontSize: 10, color: BLACK }, block.style);
+
+            if (block.text) {
+                applyStyle(doc, style);
+                drawText(doc, String(block.text), frame, frame.x + frame.width / 2, bottom - 10, { align: "center" });
+            }
+            if (block.certImage) {
+                addImage(doc, block.certImage, flipX(doc, frame, frame.x, 50), bottom - 15, 50, 15);
+            }
+            if (block.certLabel) {
+                applyStyle(doc, withStyle({ font: "heading", fontStyle: "bold", fontSize: 16, color: [169, 169, 169] }, block.certLabelStyle));
+                drawText(doc, String(block.certLabel), frame, frame.x + 5, bottom - 16);
+            }
+            (block.social || []).forEach((item, index) => {
+                drawIcon(doc, item, flipX(doc, frame, frame.x + frame.width - 60 + index * 15, 10), bottom - 15, 10);
+            });
+            doc.setTextColor(0, 0, 0);
+        },
+    },
+};
+
+// Default spacing below each block type, overridden per block with `spaceAfter` (and `spaceBefore`)
+const SPACE_AFTER = {
+    heading: 2,
+    text: 2,
+    textWithLink: 3,
+    legendTable: 4,
+    iconGrid: 4,
+    scoreGauge: 2,
+    keyValue: 3,
+    table: 4,
+    highlightedText: 4,
+    columns: 4,
+    divider: 3,
+};
+
+const blockType = (block) => {
+    const type = BLOCK_TYPES[block.type];
+    if (!type) {
+        throw new Error(`Unknown template block type: ${block.type}`);
+    }
+    return type;
+};
+
+const spaceBefore = (block) => block.spaceBefore || 0;
+const spaceAfter = (block) => (block.spaceAfter !== undefined ? block.spaceAfter : SPACE_AFTER[block.type] || 0);
+
+// Frames of the columns of a `columns` block, the widths are relative (the first column is the rightmost on RTL pages)
+const columnFrames = (doc, block, frame) => {
+    const gap = block.gap !== undefined ? block.gap : 10;
+    const widths = block.widths || block.columns.map(() => 1);
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    const available = frame.width - gap * (block.columns.length - 1);
+    let x = frame.x;
+    return block.columns.map((blocks, i) => {
+        const width = (available * widths[i]) / total;
+        const column = { blocks, frame: { x: flipX(doc, frame, x, width), width } };
+        x += width + gap;
+        return column;
+    });
+};
+
+const measureStack = (doc, blocks, width) => blocks.reduce(
+    (sum, block) => sum + spaceBefore(block) + blockType(block).measure(doc, block, width) + spaceAfter(block),
+    0,
+);
+
+const drawStack = (doc, blocks, frame) => {
+    let y = frame.y;
+    blocks.forEach((block) => {
+        y += spaceBefore(block);
+        blockType(block).draw(doc, block, { x: frame.x, y, width: frame.width });
+        y += blockType(block).measure(doc, block, frame.width) + spaceAfter(block);
+    });
+    return y;
+};
+
+/**
+ * Renders a template into a jsPDF document, starting on the document's current page.
+ * @param {jsPDF} doc - The document to draw into.
+ * @param {Object} template - `{ margins, blocks }`, see the overview.
+ * @param {Object} context - Data the template's placeholders are bound to.
+ * @param {Object} [options] - Render options.
+ * @param {boolean} [options.addPage=false] - Start on a new page instead of the current one.
+ * @param {Object} [options.page] - `{ format, orientation }` of the new page (a jsPDF paper name or `[width, height]`
+ *   in mm, `portrait` or `landscape`), the document's own by default. Pages the template runs over to get the size of
+ *   the page it started on.
+ * @param {Object} [options.fonts] - Font family per role (`heading`, `text`, `ui`, `mono`, `unicode`).
+ * @param {string} [options.direction="ltr"] - `rtl` mirrors the page for right-to-left languages.
+ * @param {Object} [options.bands] - `{ header, footer }`, height from the top and the bottom edge of every page kept
+ *   free for a running header and footer stamped after rendering. Margins already give some of it.
+ * @returns {jsPDF} - The same document.
+ */
+const renderTemplate = (doc, template, context, { addPage = false, page = {}, fonts, direction = "ltr", bands } = {}) => {
+    if (addPage) {
+        doc.addPage(page.format, page.orientation);
+    }
+
+    // Kept with the document, so nothing of one render is left over for the next (or for another document)
+    const previous = renderSettings.get(doc);
+    renderSettings.set(doc, { fonts: { ...DEFAULT_FONTS, ...(fonts || {}) }, rtl: direction === "rtl" });
+    try {
+        return renderBlocks(doc, template, context, { ...DEFAULT_BANDS, ...(bands || {}) });
+    } finally {
+        if (previous) renderSettings.set(doc, previous);
+        else renderSettings.delete(doc);
+    }
+};
+
+const renderBlocks = (doc, template, context, bands) => {
+
+    const pageWidth = doc.internal.pageSize.width;
+    const pageHeight = doc.internal.pageSize.height;
+    const margins = { ...DEFAULT_MARGINS, ...(template.margins || {}) };
+    const blocks = bindTemplate(template.blocks, context);
+
+    const footers = blocks.filter(isPinned);
+    const flow = blocks.filter((block) => !isPinned(block));
+    const frameOf = (block) => (block.type === "footer" || block.bleed
+        ? { x: 0, width: pageWidth }
+        : { x: margins.left, width: pageWidth - margins.left - margins.right });
+    const measure = (block) => blockType(block).measure(doc, block, frameOf(block).width);
+
+    const footerHeight = footers.reduce((sum, block) => sum + measure(block), 0);
+    const footerTop = pageHeight - Math.max(margins.bottom, bands.footer) - footerHeight;
+
+    const drawFooters = () => {
+        let y = footerTop;
+        footers.forEach((block) => {
+            blockType(block).draw(doc, block, { ...frameOf(block), y });
+            y += measure(block);
+        });
+    };
+
+    drawFooters();
+    flowBlocks(flow, {
+        top: Math.max(margins.top, bands.header),
+        bottom: footerTop,
+        newPage: () => {
+            doc.addPage([pageWidth, pageHeight], pageWidth > pageHeight ? "landscape" : "portrait");
+            drawFooters();
+        },
+        measure,
+        split: (block, height, options) => {
+            const type = blockType(block);
+            return type.split ? type.split(doc, block, frameOf(block).width, height, options) : null;
+        },
+        draw: (block, y, { maxHeight } = {}) => {
+            if (maxHeight === undefined) {
+                blockType(block).draw(doc, block, { ...frameOf(block), y });
+                return;
+            }
+            // Taller than the page: drawn clipped to the flow area
+            console.warn(`A ${block.type} block is taller than the page, it is cut at the bottom`);
+            doc.saveGraphicsState();
+            doc.rect(0, y, pageWidth, maxHeight, null);
+            doc.clip();
+            doc.discardPath();
+            blockType(block).draw(doc, block, { ...frameOf(block), y });
+            doc.restoreGraphicsState();
+        },
+        spaceBefore,
+        spaceAfter,
+        keepWithNext: (block) => (block.keepWithNext !== undefined ? block.keepWithNext : block.type === "heading"),
+    });
+
+    doc.setTextColor(0, 0, 0);
+    return doc;
+};
+
+module.exports = {
+    BLOCK_TYPES,
+    DEFAULT_FONTS,
+    RTL_TEXT_OPTIONS,
+    needsUnicodeFont,
+    textDirection,
+    bindTemplate,
+    drawScoreGauge,
+    addImage,
+    registerFonts,
+    renderTemplate,
+};
@@ -0,0 +1,82 @@
+/**
+ * Overview:
+ * Rules deciding which running header and footer (`STAMP_LAYOUTS` in reportTemplates.js) is stamped on each page of
+ * the merged report. `stampPages` in reportUtils.js draws them, in one pass once every section is merged.
+ *
+ * Rules are written `<pages>:<layout>`, separated by commas, and the first rule matching a page gives its layout:
+ *   cover:cover,plagiarism-report:imported,*:default
+ * - `<pages>`: `*` (every page), `first`, `last`, a page number (`3`), a range (`2-5`) or a part of the report
+ *   (`cover`, `summary`, `contents`, `plagiarism-summary`, `plagiarism-report`, `ai-analysis`).
+ * - `<layout>`: A layout of `STAMP_LAYOUTS`, or `none` to stamp nothing.
+ * Pages no rule matches are not stamped. `REPORT_PAGE_STAMPS` replaces the default rules (see main.js).
+ */
+
+const DEFAULT_STAMP_RULES = "cover:cover,plagiarism-report:imported,*:default";
+
+// Layout of the pages left as they are
+const NO_STAMP = "none";
+
+/**
+ * Parses stamping rules, rules that cannot be read are left out with a warning.
+ * @param {string} spec - The rules, e.g. `cover:none,*:default`.
+ * @param {string[]} layouts - Names of the layouts there are.
+ * @returns {{ pages: string, layout: string }[]}
+ */
+const parseStampRules = (spec, layouts) => String(spec)
+    .split(",")
+    .map((rule) => rule.trim())
+    .filter(Boolean)
+    .map((rule) => {
+        const [pages, layout] = rule.split(":").map((part) => (part || "").trim());
+        if (!pages || (layout !== NO_STAMP && !layouts.includes(layout))) {
+            console.warn(`Ignoring page stamp rule "${rule}": expected <pages>:<layout>, the layout being one of ${[...layouts, NO_STAMP].join(", ")}`);
+            return null;
+        }
+        return { pages, layout };
+    })
+    .filter(Boolean);
+
+/**
+ * Whether a rule's pages hold a page.
+ * @param {string} pages - The pages of the rule.
+ * @param {number} index - Index of the page.
+ * @param {number} pageCount - Pages of the report.
+ * @param {Object<string, { start: number, count: number }>} parts - Pages of every part of the report, by id.
+ * @returns {boolean}
+ */
+const matchesPages = (pages, index, pageCount, parts) => {
+    if (pages === "*") return true;
+    if (pages === "first") return index === 0;
+    if (pages === "last") return index === pageCount - 1;
+    if (parts[pages]) return index >= parts[pages].start && index < parts[pages].start + parts[pages].count;
+
+    const range = pages.match(/^(\d+)(?:-(\d+))?$/);
+    return Boolean(range) && index + 1 >= Number(range[1]) && index + 1 <= Number(range[2] || range[1]);
+};
+
+/**
+ * The layout stamped on every page of a report.
+ * @param {number} pageCount - Pages of the report.
+ * @param {{ pages: string, layout: string }[]} rules - The rules (see `parseStampRules`).
+ * @param {{ id: string, pages: number }[]} [parts] - Parts of the report in order and how many pages each takes.
+ * @returns {(string|null)[]} - Layout per page, null where nothing is stamped.
+ */
+const pageStampLayouts = (pageCount, rules, parts = []) => {
+    const partPages = {};
+    let start = 0;
+    parts.forEach((part) => {
+        partPages[part.id] = { start, count: part.pages };
+        start += part.pages;
+    });
+
+    return Array.from({ length: pageCount }, (_, index) => {
+        const rule = rules.find(({ pages }) => matchesPages(pages, index, pageCount, partPages));
+        return rule && rule.layout !== NO_STAMP ? rule.layout : null;
+    });
+};
+
+module.exports = {
+    DEFAULT_STAMP_RULES,
+    parseStampRules,
+    pageStampLayouts,
+};
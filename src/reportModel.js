@@ -0,0 +1,332 @@
+const { fromCopyleaks } = require("./copyleaksAdapter");
+
+/**
+ * Overview:
+ * The report model is what the page builders in reportUtils.js render from. It does not depend on the detector
+ * that produced the results: each detector gets an adapter that fills the model from its own files.
+ * Adding a detector means writing another adapter and registering it in `REPORT_ADAPTERS`.
+ */
+
+/**
+ * @typedef {Object} ReportDocument
+ * @property {string} filename - Name of the scanned file.
+ * @property {string|null} scanId - Id of the scan at the detector.
+ * @property {string|number|null} createdAt - When the document was scanned.
+ * @property {number} totalWords - Words in the scanned document.
+ * @property {number} excludedWords - Words left out of the scan (quotes, references, ...).
+ * @property {number|null} pageCount - Pages of the scanned document, when the detector provides them.
+ * @property {string|null} text - Plain text of the scanned document, when the detector provides it.
+ */
+
+/**
+ * @typedef {Object} ReportSimilarity
+ * @property {number} score - Aggregated similarity score in percent.
+ * @property {number} identicalWords - Words matching a source exactly.
+ * @property {number} minorChangedWords - Words matching a source with minor changes.
+ * @property {number} paraphrasedWords - Words matching a source with the same meaning.
+ * @property {number} omittedWords - Words not scanned for plagiarism.
+ */
+
+/**
+ * @typedef {Object} ReportSource
+ * @property {string} id - Id of the result at the detector.
+ * @property {string} type - Where the source was found: `internet`, `database`, `batch` or `repository`.
+ * @property {string} title - Title of the source.
+ * @property {string|null} url - Link to the source, if it is public.
+ * @property {number} matchedWords - Words of the document matching this source.
+ * @property {number} identicalWords - Identical words.
+ * @property {number} minorChangedWords - Words with minor changes.
+ * @property {number} paraphrasedWords - Paraphrased words.
+ * @property {number} totalWords - Words in the source.
+ * @property {number} similarity - Share of the document matching this source, in percent.
+ * @property {string|null} text - Text of the source, when the detector provides it.
+ * @property {boolean} excluded - Whether the source was filtered out of the similarity score.
+ */
+
+/**
+ * @typedef {Object} ReportMatch
+ * @property {string} sourceId - Id of the matching source (see ReportSource).
+ * @property {string} type - Plagiarism type: `identical`, `minorChanges` or `paraphrased`.
+ * @property {number} charStart - First character of the match in `document.text`.
+ * @property {number} charLength - Length of the match in characters.
+ * @property {number|null} wordStart - First word of the match, when known.
+ * @property {number|null} wordLength - Length of the match in words, when known.
+ * @property {number|null} sourceCharStart - First character of the matching passage in the source's `text`, when known.
+ * @property {number|null} sourceCharLength - Length of the matching passage in the source, when known.
+ */
+
+/**
+ * @typedef {Object} ReportAiSpan
+ * @property {string} classification - `ai` or `human`.
+ * @property {number|null} probability - Confidence of the classification (0-1).
+ * @property {number|null} charStart - First character of the span in `document.text`, null when it cannot be placed.
+ * @property {number|null} charLength - Length of the span in characters, null when it cannot be placed.
+ * @property {number} wordStart - First word of the span.
+ * @property {number} wordLength - Length of the span in words.
+ */
+
+/**
+ * @typedef {Object} ReportAiPhrase
+ * @property {string} text - The phrase.
+ * @property {number} wordStart - First word of the phrase in the document.
+ * @property {number} wordLength - Length of the phrase in words.
+ * @property {number|null} charStart - First character of the phrase, when known.
+ * @property {number|null} charLength - Length of the phrase in characters, when known.
+ * @property {number} aiCount - How often the phrase appears per million AI-written documents.
+ * @property {number} humanCount - How often the phrase appears per million human-written documents.
+ */
+
+/**
+ * @typedef {Object} ReportAi
+ * @property {number} totalWords - Words in the document scanned for AI content.
+ * @property {number} excludedWords - Words left out of the AI scan.
+ * @property {ReportAiSpan[]} spans - Sections of the document with their AI/human classification, in document order.
+ * @property {ReportAiPhrase[]} phrases - Phrases that are typical for AI or human text.
+ */
+
+/**
+ * @typedef {Object} ReportModel
+ * @property {string} provider - Detector the results come from.
+ * @property {ReportDocument} document - Details of the scanned document.
+ * @property {ReportSimilarity|null} similarity - Plagiarism breakdown, null without a plagiarism scan.
+ * @property {ReportSource[]} sources - Matching sources.
+ * @property {ReportMatch[]} matches - Where the sources match the document, for the sources whose comparison is known.
+ * @property {ReportAi|null} ai - AI detection results, null without an AI scan.
+ */
+
+// Adapters per detector, each one is `(inputs) => ReportModel`
+const REPORT_ADAPTERS = {
+    copyleaks: fromCopyleaks,
+};
+
+/**
+ * Builds the report model from a detector's files.
+ * @param {string} provider - Detector the inputs come from (a key of `REPORT_ADAPTERS`).
+ * @param {Object} inputs - The detector's parsed files, as expected by its adapter.
+ * @returns {ReportModel}
+ */
+const buildReportModel = (provider, inputs) => {
+    const adapter = REPORT_ADAPTERS[provider];
+    if (!adapter) {
+        throw new Error(`No report adapter for provider: ${provider}`);
+    }
+    return adapter(inputs);
+};
+
+// Words in a piece of text
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// Share of `total` that `words` are, in percent with one decimal (0 when there is nothing to share)
+const percentOf = (words, total) => (total ? Math.round((words / total) * 1000) / 10 : 0);
+
+/**
+ * Word counts of the AI detection, over every classified section.
+ * Words of the document that are in no section (excluded by the scan settings or left unclassified) are omitted.
+ * The percentages are shares of all the words, the score is the share of the classified words that are AI written.
+ * @param {ReportModel} model - The report model.
+ * @returns {{ score: number, aiWords: number, humanWords: number, omittedWords: number, totalWords: number,
+ *   aiPercentage: number, humanPercentage: number, omittedPercentage: number }|null} - Null without an AI scan.
+ */
+const getAiSummary = (model) => {
+    if (!model.ai) {
+        return null;
+    }
+    const wordsOf = (classification) => model.ai.spans
+        .filter((span) => span.classification === classification)
+        .reduce((sum, span) => sum + (span.wordLength || 0), 0);
+    const aiWords = wordsOf("ai");
+    const humanWords = wordsOf("human");
+    const classifiedWords = aiWords + humanWords;
+    const totalWords = Math.max(model.ai.totalWords || model.document.totalWords || 0, classifiedWords);
+    const omittedWords = totalWords - classifiedWords;
+    return {
+        score: percentOf(aiWords, classifiedWords),
+        aiWords,
+        humanWords,
+        omittedWords,
+        totalWords,
+        aiPercentage: percentOf(aiWords, totalWords),
+        humanPercentage: percentOf(humanWords, totalWords),
+        omittedPercentage: percentOf(omittedWords, totalWords),
+    };
+};
+
+/**
+ * AI and human words per paragraph of the document text, from the sections overlapping each paragraph.
+ * Sections without character offsets cannot be placed and are left out.
+ * @param {ReportModel} model - The report model.
+ * @returns {{ charStart: number, charLength: number, text: string, words: number, aiWords: number,
+ *   humanWords: number, classification: string|null }[]} - One entry per non-empty paragraph, `classification` being
+ *   the one of most of its classified words (null when none of them is classified). Empty without text or AI scan.
+ */
+const getAiParagraphs = (model) => {
+    const text = model.document.text;
+    if (!model.ai || !text) {
+        return [];
+    }
+    const spans = model.ai.spans.filter((span) => span.charStart !== null && span.charLength);
+    const paragraphs = [];
+    let charStart = 0;
+    text.split("\n").forEach((line) => {
+        const charEnd = charStart + line.length;
+        if (line.trim()) {
+            const wordsOf = (classification) => spans
+                .filter((span) => span.classification === classification)
+                .reduce((sum, span) => {
+                    const start = Math.max(span.charStart, charStart);
+                    const end = Math.min(span.charStart + span.charLength, charEnd);
+                    return end > start ? sum + countWords(text.slice(start, end)) : sum;
+                }, 0);
+            const aiWords = wordsOf("ai");
+            const humanWords = wordsOf("human");
+            let classification = null;
+            if (aiWords || humanWords) {
+                classification = aiWords > humanWords ? "ai" : "human";
+            }
+            paragraphs.push({
+                charStart,
+                charLength: line.length,
+                text: line.trim(),
+                words: countWords(line),
+                aiWords,
+                humanWords,
+                classification,
+            });
+        }
+        charStart = charEnd + 1;
+    });
+    return paragraphs;
+};
+
+// Frequency buckets of the AI phrases, from the most to the least typical for AI text
+const PHRASE_BUCKETS = ["high", "medium", "low"];
+
+/**
+ * The phrases of the AI detection without duplicates, grouped into frequency buckets by their ratio: how many times
+ * more often they appear in AI than in human written documents. A phrase never seen in human text has no ratio
+ * (null) and goes first.
+ * @param {ReportModel} model - The report model.
+ * @param {Object} [options] - Grouping options.
+ * @param {{ medium: number, high: number }} [options.thresholds] - Lowest ratio of the medium and the high bucket.
+ * @param {number} [options.limit] - Most phrases listed, the strongest first; the others are only counted.
+ * @returns {{ buckets: { id: string, minimum: number, maximum: number|null, phrases: Object[], hidden: number }[],
+ *   hidden: number }} - Buckets in `PHRASE_BUCKETS` order, each listing `{ text, occurrences, aiCount, humanCount,
+ *   ratio }` per phrase and counting the phrases left out by the limit in `hidden`.
+ */
+const getAiPhraseInsights = (model, { thresholds = { medium: 3, high: 10 }, limit = Infinity } = {}) => {
+    const phrases = new Map();
+    (model.ai ? model.ai.phrases : []).forEach((phrase) => {
+        const text = phrase.text.replace(/\s+/g, " ").trim();
+        // The same phrase with other casing or punctuation around it is a duplicate
+        const key = text.toLowerCase().replace(/^[\p{P}\s]+|[\p{P}\s]+$/gu, "");
+        if (!key) return;
+        const known = phrases.get(key);
+        if (known) {
+            known.occurrences++;
+            known.aiCount = Math.max(known.aiCount, phrase.aiCount);
+            known.humanCount = Math.max(known.humanCount, phrase.humanCount);
+            return;
+        }
+        phrases.set(key, { text, occurrences: 1, aiCount: phrase.aiCount, humanCount: phrase.humanCount });
+    });
+
+    // Phrases never seen in human text are the strongest
+    const strength = (phrase) => (phrase.ratio === null ? Infinity : phrase.ratio);
+    const ranked = [...phrases.values()]
+        .map((phrase) => ({ ...phrase, ratio: phrase.humanCount > 0 ? phrase.aiCount / phrase.humanCount : null }))
+        .sort((a, b) => (
+            strength(b) - strength(a)
+            || b.aiCount - a.aiCount
+            || b.occurrences - a.occurrences
+            || a.text.localeCompare(b.text)
+        ));
+
+    const bucketOf = (ratio) => {
+        if (ratio === null || ratio >= thresholds.high) return "high";
+        return ratio >= thresholds.medium ? "medium" : "low";
+    };
+    const buckets = PHRASE_BUCKETS.map((id) => ({
+        id,
+        minimum: { high: thresholds.high, medium: thresholds.medium, low: 0 }[id],
+        maximum: { high: null, medium: thresholds.high, low: thresholds.medium }[id],
+        phrases: [],
+        hidden: 0,
+    }));
+    ranked.forEach((phrase, index) => {
+        const bucket = buckets.find((candidate) => candidate.id === bucketOf(phrase.ratio));
+        if (index < limit) {
+            bucket.phrases.push(phrase);
+        } else {
+            bucket.hidden++;
+        }
+    });
+    return { buckets, hidden: Math.max(0, ranked.length - limit) };
+};
+
+/**
+ * Headline scores of a report, in percent (null for a section without results).
+ * The AI score is the share of classified words that were classified as AI written.
+ * @param {ReportModel} model - The report model.
+ * @returns {{ plagiarism: number|null, ai: number|null }}
+ */
+const getReportScores = (model) => {
+    const ai = getAiSummary(model);
+    return {
+        plagiarism: model.similarity ? model.similarity.score : null,
+        ai: ai ? ai.score : null,
+    };
+};
+
+/**
+ * Counts the sources per type and lists the ones counting toward the similarity score, largest match first.
+ * @param {ReportModel} model - The report model.
+ * @returns {{ counts: { internet: number, database: number, batch: number, repository: number, excluded: number },
+ *   sources: ReportSource[] }} - Excluded sources are only counted (in `excluded`, not in their type).
+ */
+const getSourceSummary = (model) => {
+    const counts = { internet: 0, database: 0, batch: 0, repository: 0, excluded: 0 };
+    const sources = [];
+    model.sources.forEach((source) => {
+        if (source.excluded) {
+            counts.excluded++;
+            return;
+        }
+        counts[source.type] = (counts[source.type] || 0) + 1;
+        sources.push(source);
+    });
+    sources.sort((a, b) => (
+        b.matchedWords - a.matchedWords || b.similarity - a.similarity || a.title.localeCompare(b.title)
+    ));
+    return { counts, sources };
+};
+
+/**
+ * Share of the document's words per plagiarism type, and of the words left out of the plagiarism scan.
+ * @param {ReportModel} model - The report model.
+ * @returns {{ identical: number, minorChanges: number, paraphrased: number, omitted: number }|null} - In percent,
+ *   null without a plagiarism scan.
+ */
+const getSimilarityCoverage = (model) => {
+    if (!model.similarity) {
+        return null;
+    }
+    const { identicalWords, minorChangedWords, paraphrasedWords, omittedWords } = model.similarity;
+    const totalWords = Math.max(model.document.totalWords || 0, identicalWords + minorChangedWords + paraphrasedWords + omittedWords);
+    return {
+        identical: percentOf(identicalWords, totalWords),
+        minorChanges: percentOf(minorChangedWords, totalWords),
+        paraphrased: percentOf(paraphrasedWords, totalWords),
+        omitted: percentOf(omittedWords, totalWords),
+    };
+};
+
+module.exports = {
+    REPORT_ADAPTERS,
+    buildReportModel,
+    getReportScores,
+    getSourceSummary,
+    getSimilarityCoverage,
+    getAiSummary,
+    getAiParagraphs,
+    getAiPhraseInsights,
+};
@@ -0,0 +1,248 @@
+const path = require("path");
+const crypto = require("crypto");
+const { default: axios } = require("axios");
+
+/**
+ * Overview:
+ * Outbound notifications sent when a report job finishes (`report.succeeded`) or fails for good (`report.failed`).
+ *
+ * - Every configured URL gets its own delivery, a JSON POST with a unique delivery id.
+ * - With a secret, each request carries `X-Report-Signature: t=<unix seconds>,v1=<hex>`, the HMAC-SHA256 of
+ *   `<t>.<raw body>`. Receivers check it with `verifySignature`.
+ * - Failed deliveries are retried with exponential backoff (with jitter). Once the attempts are used up the
+ *   delivery is written to the dead-letter store (`notifications/dead-letter/<deliveryId>.json` in the storage),
+ *   from where it can be listed and replayed.
+ */
+
+const SIGNATURE_HEADER = "X-Report-Signature";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Signs a notification body.
+ * @param {string} secret - Shared secret.
+ * @param {number} timestamp - Unix time in seconds, part of the signed content so old requests cannot be replayed.
+ * @param {string} body - The raw JSON body.
+ * @returns {string} - The signature header value.
+ */
+const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Checks a signature header on the receiving side.
+ * @param {string} secret - Shared secret.
+ * @param {string} header - The `X-Report-Signature` value.
+ * @param {string|Buffer} body - The raw request body.
+ * @param {number} [toleranceSec=300] - How old the signature may be.
+ * @returns {boolean}
+ */
+const verifySignature = (secret, header, body, toleranceSec = 300) => {
+    const parts = Object.fromEntries(String(header || "").split(",").map((part) => part.split("=")));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSec) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body.toString()).split("v1=")[1]);
+    const received = Buffer.from(parts.v1);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Creates a notifier.
+ * @param {Object} options - Notifier options.
+ * @param {string[]} [options.urls=[]] - Endpoints notified about every finished report.
+ * @param {string} [options.secret] - HMAC secret, requests are not signed without it.
+ * @param {Object} options.storage - Storage adapter holding the dead-letter store (see storage.js).
+ * @param {number} [options.maxAttempts=5] - Attempts per delivery before it is dead-lettered.
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry, doubled for every further one.
+ * @param {number} [options.maxDelayMs=60000] - Upper bound for the delay between retries.
+ * @param {number} [options.timeoutMs=10000] - Timeout of a single request.
+ * @param {string} [options.deadLetterPrefix="notifications/dead-letter"] - Storage folder of the dead-letter store.
+ * @returns {Object} - The notifier (`notify`, `listDeadLetters`, `replayDeadLetter`, `replayDeadLetters`).
+ */
+const createReportNotifier = ({
+    urls = [],
+    secret,
+    storage,
+    maxAttempts = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 60 * 1000,
+    timeoutMs = 10 * 1000,
+    deadLetterPrefix = "notifications/dead-letter",
+}) => {
+    if (urls.length > 0 && !secret) {
+        console.warn("Report notifications are sent unsigned, set REPORT_WEBHOOK_SECRET to sign them");
+    }
+
+    const deadLetterKey = (deliveryId) => path.posix.join(deadLetterPrefix, `${path.basename(deliveryId)}.json`);
+
+    // Sends one request, throws on network errors and non-2xx answers
+    const send = async (delivery) => {
+        const headers = {
+            "Content-Type": "application/json",
+            "X-Report-Event": delivery.event,
+            "X-Report-Delivery": delivery.id,
+        };
+        if (secret) {
+            headers[SIGNATURE_HEADER] = signPayload(secret, Math.floor(Date.now() / 1000), delivery.body);
+        }
+        await axios.post(delivery.url, delivery.body, { headers, timeout: timeoutMs });
+    };
+
+    // 4xx answers other than timeouts and rate limits will not change by trying again
+    const isRetryable = (error) => {
+        const status = error.response && error.response.status;
+        return !status || status >= 500 || status === 408 || status === 429;
+    };
+
+    /**
+     * Sends a delivery, retrying with backoff. Writes it to the dead-letter store when every attempt failed.
+     * @param {Object} delivery - `{ id, url, event, body, createdAt, attempts }`.
+     * @param {number} attempts - Attempts for this run.
+     * @returns {Promise<boolean>} - Whether the delivery went through.
+     */
+    const deliver = async (delivery, attempts) => {
+        let lastError = null;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            delivery.attempts++;
+            try {
+                await send(delivery);
+                return true;
+            } catch (error) {
+                lastError = error;
+                console.error(`Report notification ${delivery.id} to ${delivery.url} failed (attempt ${delivery.attempts}):`, error.message);
+                if (!isRetryable(error)) {
+                    break;
+                }
+                if (attempt < attempts) {
+                    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+                    await sleep(delay / 2 + Math.random() * (delay / 2));
+                }
+            }
+        }
+
+        await storage.writeFile(deadLetterKey(delivery.id), JSON.stringify({
+            ...delivery,
+            lastError: {
+                message: lastError.message,
+                status: lastError.response ? lastError.response.status : null,
+            },
+            deadLetteredAt: new Date().toISOString(),
+        }, null, 2));
+        console.error(`Report notification ${delivery.id} moved to the dead-letter store`);
+        return false;
+    };
+
+    /**
+     * Notifies every configured URL. Resolves once all deliveries went through or were dead-lettered.
+     * @param {string} event - `report.succeeded` or `report.failed`.
+     * @param {Object} data - Event data, merged into the payload.
+     * @returns {Promise<Object[]>} - `{ deliveryId, url, delivered }` per URL.
+     */
+    const notify = (event, data) => Promise.all(urls.map(async (url) => {
+        const id = crypto.randomUUID();
+        const delivery = {
+            id,
+            url,
+            event,
+            body: JSON.stringify({ event, deliveryId: id, occurredAt: new Date().toISOString(), ...data }),
+            createdAt: new Date().toISOString(),
+            attempts: 0,
+        };
+        try {
+            return { deliveryId: id, url, delivered: await deliver(delivery, maxAttempts) };
+        } catch (error) {
+            // The dead-letter store itself failed, there is nothing left to do but log
+            console.error(`Report notification ${id} could not be delivered or stored:`, error);
+            return { deliveryId: id, url, delivered: false };
+        }
+    }));
+
+    /**
+     * Lists the dead-lettered deliveries.
+     * @returns {Promise<Object[]>} - `{ id, url, event, attempts, lastError, createdAt, deadLetteredAt }` per delivery.
+     */
+    const listDeadLetters = async () => {
+        const entries = [];
+        for (const key of await storage.list(deadLetterPrefix)) {
+            if (!key.endsWith(".json")) continue;
+            const { body, ...entry } = JSON.parse((await storage.readFile(key)).toString("utf8"));
+            entries.push(entry);
+        }
+        return entries;
+    };
+
+    /**
+     * Sends a dead-lettered delivery again (same id and body, fresh signature).
+     * It leaves the store when it goes through, otherwise its entry is updated.
+     * @param {string} deliveryId - The delivery to replay.
+     * @param {Object} [options] - `{ attempts }`, defaults to one attempt so callers get an answer quickly.
+     * @returns {Promise<Object|null>} - `{ deliveryId, url, delivered }`, or null if there is no such entry.
+     */
+    const replayDeadLetter = async (deliveryId, { attempts = 1 } = {}) => {
+        let entry;
+        try {
+            entry = JSON.parse((await storage.readFile(deadLetterKey(deliveryId))).toString("utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+
+        const { lastError, deadLetteredAt, ...delivery } = entry;
+        const delivered = await deliver(delivery, attempts);
+        if (delivered) {
+            await storage.remove(deadLetterKey(deliveryId));
+            console.log(`Replayed report notification ${deliveryId}`);
+        }
+        return { deliveryId, url: delivery.url, delivered };
+    };
+
+    /**
+     * Replays every dead-lettered delivery, one after the other.
+     * @param {Object} [options] - Passed to `replayDeadLetter`.
+     * @returns {Promise<Object[]>} - The outcome per delivery.
+     */
+    const replayDeadLetters = async (options) => {
+        const outcomes = [];
+        for (const entry of await listDeadLetters()) {
+            outcomes.push(await replayDeadLetter(entry.id, options));
+        }
+        return outcomes;
+    };
+
+    return { notify, listDeadLetters, replayDeadLetter, replayDeadLetters };
+};
+
+let defaultNotifier = null;
+
+/**
+ * Returns the notifier configured through the environment, created on first use.
+ * - `REPORT_WEBHOOK_URLS`: Comma separated endpoints, nothing is sent when empty.
+ * - `REPORT_WEBHOOK_SECRET`: HMAC secret.
+ * - `REPORT_WEBHOOK_MAX_ATTEMPTS`, `REPORT_WEBHOOK_BASE_DELAY_MS`, `REPORT_WEBHOOK_TIMEOUT_MS`: Delivery settings.
+ * @param {Object} storage - Storage adapter holding the dead-letter store.
+ * @returns {Object} - The notifier.
+ */
+const getReportNotifier = (storage) => {
+    if (!defaultNotifier) {
+        defaultNotifier = createReportNotifier({
+            urls: (process.env.REPORT_WEBHOOK_URLS || "").split(",").map((url) => url.trim()).filter(Boolean),
+            secret: process.env.REPORT_WEBHOOK_SECRET || undefined,
+            storage,
+            maxAttempts: Number(process.env.REPORT_WEBHOOK_MAX_ATTEMPTS) || undefined,
+            baseDelayMs: Number(process.env.REPORT_WEBHOOK_BASE_DELAY_MS) || undefined,
+            timeoutMs: Number(process.env.REPORT_WEBHOOK_TIMEOUT_MS) || undefined,
+        });
+    }
+    return defaultNotifier;
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+    createReportNotifier,
+    getReportNotifier,
+};
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { getReportScores, getSourceSummary } = require("./reportModel");
+
+/**
+ * Overview:
+ * The verdict of a report (Pass, Needs Review or Fail) under the policy of the institution it is generated for.
+ * A policy has a threshold per check, in percent, for each verdict worse than a pass: a check whose value reaches
+ * the `fail` threshold fails, one reaching the `review` threshold needs review (null turns a threshold off).
+ * - `similarity`: The aggregated similarity score of the plagiarism scan.
+ * - `aiText`: The share of the classified text the AI detection found AI written (the AI score of the report).
+ * - `singleSource`: The similarity of the one source matching the most of the document, large matches from a
+ *   single source weigh more than the same score spread over many sources.
+ * A check whose section is not in the report gets the `missing` verdict ("review" by default, "pass" ignores it).
+ * The report gets the worst verdict of its checks, the checks that led to a verdict other than a pass are its
+ * reasons.
+ *
+ * `DEFAULT_POLICY` applies to tenants without a policy of their own. A tenant's policy is `policy.json` in its theme
+ * folder (`THEMES_DIR/<tenantId>/policy.json`, see themes.js) and only lists what differs from the default, it is
+ * merged over it:
+ *   { "checks": { "aiText": { "review": 10, "fail": null } }, "missing": "pass" }
+ */
+
+// From the best to the worst
+const VERDICTS = ["pass", "review", "fail"];
+
+// Checks in the order they are listed
+const POLICY_CHECKS = ["similarity", "aiText", "singleSource"];
+
+const DEFAULT_POLICY = {
+    checks: {
+        similarity: { review: 15, fail: 40 },
+        aiText: { review: 20, fail: 50 },
+        singleSource: { review: 10, fail: 25 },
+    },
+    missing: "review",
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Merges `override` over `base`, nested objects are merged and anything else is replaced
+const mergePolicy = (base, override) => {
+    const merged = { ...base };
+    Object.entries(isPlainObject(override) ? override : {}).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergePolicy(base[key], value) : value;
+    });
+    return merged;
+};
+
+/**
+ * Keeps the thresholds and verdicts of a policy that can be used, the others are replaced by the default ones with
+ * a warning. A review threshold above the fail threshold of its check is swapped with it (with a warning too), the
+ * review verdict could never be reached otherwise.
+ * @param {Object} policy - The policy, merged over `DEFAULT_POLICY`.
+ * @param {string} tenantId - The tenant, for the warnings.
+ * @returns {Object} - The policy.
+ */
+const validatePolicy = (policy, tenantId) => {
+    const threshold = (check, level) => {
+        const value = policy.checks[check] ? policy.checks[check][level] : undefined;
+        if (value === null || (typeof value === "number" && Number.isFinite(value))) {
+            return value;
+        }
+        console.warn(`Invalid ${check}.${level} threshold in the policy of tenant ${tenantId}, using ${DEFAULT_POLICY.checks[check][level]}`);
+        return DEFAULT_POLICY.checks[check][level];
+    };
+    if (!VERDICTS.includes(policy.missing)) {
+        console.warn(`Invalid missing verdict in the policy of tenant ${tenantId}, using "${DEFAULT_POLICY.missing}"`);
+    }
+    const thresholds = (check) => {
+        const review = threshold(check, "review");
+        const fail = threshold(check, "fail");
+        if (review !== null && fail !== null && review > fail) {
+            console.warn(`The ${check}.review threshold (${review}) is above ${check}.fail (${fail}) in the policy of tenant ${tenantId}, swapping them`);
+            return { review: fail, fail: review };
+        }
+        return { review, fail };
+    };
+    return {
+        checks: Object.fromEntries(POLICY_CHECKS.map((check) => [check, thresholds(check)])),
+        missing: VERDICTS.includes(policy.missing) ? policy.missing : DEFAULT_POLICY.missing,
+    };
+};
+
+const policyCache = new Map();
+
+/**
+ * Returns the policy of a tenant, or the default policy when the tenant has none.
+ * Policies are read from `THEMES_DIR` once and cached.
+ * @param {string} [tenantId] - The tenant, e.g. the institution the report is generated for.
+ * @returns {{ checks: Object<string, { review: number|null, fail: number|null }>, missing: string }}
+ */
+const getPolicy = (tenantId = process.env.DEFAULT_TENANT) => {
+    if (!tenantId || !/^[\w-]+$/.test(tenantId)) {
+        return DEFAULT_POLICY;
+    }
+    if (policyCache.has(tenantId)) {
+        return policyCache.get(tenantId);
+    }
+
+    let policy = DEFAULT_POLICY;
+    const themesDir = process.env.THEMES_DIR;
+    const file = themesDir ? path.join(themesDir, tenantId, "policy.json") : null;
+    if (file && fs.existsSync(file)) {
+        try {
+            policy = validatePolicy(mergePolicy(DEFAULT_POLICY, JSON.parse(fs.readFileSync(file, "utf-8"))), tenantId);
+        } catch (error) {
+            console.error(`Error loading the policy of tenant ${tenantId}:`, error.message);
+        }
+    }
+
+    policyCache.set(tenantId, policy);
+    return policy;
+};
+
+/**
+ * The verdict of a report under a policy.
+ * @param {ReportModel} model - The report model (see reportModel.js).
+ * @param {Object} [policy] - The policy (see `getPolicy`), the default policy when omitted.
+ * @returns {{ verdict: string, checks: Object[], reasons: Object[] }} - The verdict (`pass`, `review` or `fail`),
+ *   every check as `{ check, value, review, fail, verdict }` (`value` in percent, null when its section is not in
+ *   the report) and the checks that are not a pass as reasons, `{ check, verdict, value, threshold }`. The reason
+ *   of `singleSource` also names the `source`.
+ */
+const evaluatePolicy = (model, policy = DEFAULT_POLICY) => {
+    const scores = getReportScores(model);
+    const { sources } = getSourceSummary(model);
+    const dominant = sources.reduce((top, source) => (!top || source.similarity > top.similarity ? source : top), null);
+    const values = {
+        similarity: scores.plagiarism,
+        aiText: scores.ai,
+        singleSource: model.similarity ? (dominant ? dominant.similarity : 0) : null,
+    };
+
+    const checks = POLICY_CHECKS.map((check) => {
+        const { review, fail } = policy.checks[check];
+        const value = values[check];
+        let verdict = "pass";
+        if (value === null) verdict = policy.missing;
+        else if (fail !== null && value >= fail) verdict = "fail";
+        else if (review !== null && value >= review) verdict = "review";
+        return { check, value, review, fail, verdict };
+    });
+
+    const reasons = checks
+        .filter((check) => check.verdict !== "pass")
+        .map(({ check, value, verdict, ...thresholds }) => ({
+            check,
+            verdict,
+            value,
+            threshold: value === null ? null : thresholds[verdict],
+            ...(check === "singleSource" && value !== null && dominant ? { source: dominant.title } : {}),
+        }));
+    const verdict = checks.reduce((worst, check) => (VERDICTS.indexOf(check.verdict) > VERDICTS.indexOf(worst) ? check.verdict : worst), "pass");
+    return { verdict, checks, reasons };
+};
+
+module.exports = {
+    VERDICTS,
+    POLICY_CHECKS,
+    DEFAULT_POLICY,
+    getPolicy,
+    evaluatePolicy,
+};
@@ -0,0 +1,261 @@
+const crypto = require("crypto");
+
+/**
+ * Overview:
+ * A small in-process job queue used to run report renders outside of the HTTP request.
+ * Jobs are identified by a generated id, move through queued -> running -> succeeded/failed,
+ * and record the stage they are in so that a status route can report progress.
+ *
+ * - `concurrency` caps how many jobs run at the same time, the rest wait in FIFO order.
+ * - `maxAttempts` lets a failed job be retried automatically (with `retryDelayMs` between attempts). Jobs waiting out
+ *   that delay count against `maxQueued` like the ones waiting for a slot.
+ * - Jobs with the same `key` are de-duplicated while one is still queued or running. Adding the same payload again
+ *   returns the active job (flagged `deduplicated`), a different payload is refused (409) rather than dropped.
+ *   Payloads are compared by value: key order and keys left undefined do not matter.
+ * - `onFinished` is called once a job has succeeded, or has failed for good (no attempts left).
+ */
+
+// A value with the keys of its objects sorted and the undefined ones left out, to compare payloads by value
+const normalize = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(normalize);
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => [key, normalize(value[key])]));
+    }
+    return value;
+};
+
+const samePayload = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Refuses a job because another one is active for its key, the active job goes along for the caller to point to
+const conflictError = (message, active) => {
+    const error = new Error(message);
+    error.status = 409;
+    error.job = active;
+    return error;
+};
+
+const JOB_STATUS = {
+    QUEUED: "queued",
+    RUNNING: "running",
+    SUCCEEDED: "succeeded",
+    FAILED: "failed",
+};
+
+/**
+ * Creates a job queue.
+ * @param {Object} options - Queue options.
+ * @param {Function} options.handler - Async function `(payload, job) => result` that does the actual work.
+ * @param {number} [options.concurrency=2] - Maximum number of jobs running at once.
+ * @param {number} [options.maxAttempts=3] - Attempts per job before it is marked as failed.
+ * @param {number} [options.retryDelayMs=5000] - Delay before a failed attempt is queued again.
+ * @param {number} [options.maxQueued=100] - Maximum number of jobs waiting to run.
+ * @param {number} [options.retentionMs=3600000] - How long finished jobs are kept for status lookups.
+ * @param {Function} [options.isRetryable] - Decides whether an error is worth another attempt.
+ * @param {Function} [options.onFinished] - Called with the job view when a job succeeded or finally failed.
+ * @returns {Object} - The queue API (`enqueue`, `getJob`, `retry`, `stats`).
+ */
+const createJobQueue = ({
+    handler,
+    concurrency = 2,
+    maxAttempts = 3,
+    retryDelayMs = 5000,
+    maxQueued = 100,
+    retentionMs = 60 * 60 * 1000,
+    isRetryable = () => true,
+    onFinished = () => {},
+}) => {
+    const jobs = new Map(); // jobId -> job
+    const activeByKey = new Map(); // key -> jobId, for queued and running jobs only
+    const pending = []; // jobIds waiting for a free slot
+    const delayed = new Set(); // jobIds waiting out the delay before another attempt
+    let running = 0;
+
+    // Strip internal fields before a job is handed to callers
+    const toView = (job) => ({
+        id: job.id,
+        key: job.key,
+        payload: job.payload,
+        status: job.status,
+        stage: job.stage,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        error: job.error,
+        result: job.result,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+    });
+
+    // Drop finished jobs older than the retention window
+    const prune = () => {
+        const cutoff = Date.now() - retentionMs;
+        for (const [id, job] of jobs) {
+            if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+                jobs.delete(id);
+            }
+        }
+    };
+
+    const finish = (job, status) => {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        if (activeByKey.get(job.key) === job.id) {
+            activeByKey.delete(job.key);
+        }
+
+        // A failing listener must not break the queue
+        Promise.resolve()
+            .then(() => onFinished(toView(job)))
+            .catch((error) => console.error(`onFinished failed for job ${job.id}:`, error));
+    };
+
+    const runJob = async (job) => {
+        running++;
+        job.status = JOB_STATUS.RUNNING;
+        job.attempts++;
+        job.startedAt = new Date().toISOString();
+        job.error = null;
+
+        try {
+            job.result = await handler(job.payload, {
+                id: job.id,
+                attempt: job.attempts,
+                setStage: (stage) => {
+                    job.stage = stage;
+                },
+            });
+            finish(job, JOB_STATUS.SUCCEEDED);
+        } catch (error) {
+            console.error(`Job ${job.id} failed on attempt ${job.attempts}:`, error);
+            job.error = { message: error.message, stage: job.stage, status: error.status, details: error.details };
+
+            if (job.attempts < job.maxAttempts && isRetryable(error)) {
+                // Put the job back in the queue after a short delay
+                job.status = JOB_STATUS.QUEUED;
+                delayed.add(job.id);
+                setTimeout(() => {
+                    delayed.delete(job.id);
+                    pending.push(job.id);
+                    drain();
+                }, retryDelayMs);
+            } else {
+                finish(job, JOB_STATUS.FAILED);
+            }
+        } finally {
+            running--;
+            drain();
+        }
+    };
+
+    // Start as many waiting jobs as there are free slots
+    const drain = () => {
+        while (running < concurrency && pending.length > 0) {
+            const job = jobs.get(pending.shift());
+            if (job) {
+                runJob(job);
+            }
+        }
+    };
+
+    /**
+     * Adds a job to the queue. If a job with the same key and payload is still queued or running it is returned
+     * instead, with `deduplicated: true`.
+     * @param {string} key - De-duplication key (e.g. `${userId}/${scanId}`).
+     * @param {Object} payload - Data handed to the handler.
+     * @returns {Object} - The job view.
+     * @throws {Error} - 409 with the active job as `job` when a job with the same key but another payload is still
+     *   queued or running.
+     */
+    const enqueue = (key, payload) => {
+        prune();
+
+        const activeId = activeByKey.get(key);
+        if (activeId && jobs.has(activeId)) {
+            const active = jobs.get(activeId);
+            if (!samePayload(active.payload, payload)) {
+                throw conflictError("Another job with different options is already queued or running, try again once it has finished", toView(active));
+            }
+            return { ...toView(active), deduplicated: true };
+        }
+
+        if (pending.length + delayed.size >= maxQueued) {
+            const error = new Error("Report queue is full, try again later");
+            error.status = 503;
+            throw error;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            key,
+            payload,
+            status: JOB_STATUS.QUEUED,
+            stage: null,
+            attempts: 0,
+            maxAttempts,
+            error: null,
+            result: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+        };
+
+        jobs.set(job.id, job);
+        activeByKey.set(key, job.id);
+        pending.push(job.id);
+        drain();
+
+        return toView(job);
+    };
+
+    /**
+     * Looks up a job by id.
+     * @param {string} jobId - The job id returned by `enqueue`.
+     * @returns {Object|null} - The job view, or null if unknown or expired.
+     */
+    const getJob = (jobId) => {
+        const job = jobs.get(jobId);
+        return job ? toView(job) : null;
+    };
+
+    /**
+     * Queues a failed job again with a fresh set of attempts.
+     * @param {string} jobId - The id of a failed job.
+     * @returns {Object|null} - The job view, or null if the job is unknown or not failed.
+     * @throws {Error} - 409 with the active job as `job` when another job was started for the same key in the meantime.
+     */
+    const retry = (jobId) => {
+        const job = jobs.get(jobId);
+        if (!job || job.status !== JOB_STATUS.FAILED) {
+            return null;
+        }
+
+        // Another job may have been started for the same key in the meantime
+        const activeId = activeByKey.get(job.key);
+        if (activeId && activeId !== job.id) {
+            throw conflictError("Another job for the same report is queued or running, follow that one instead", toView(jobs.get(activeId)));
+        }
+
+        job.status = JOB_STATUS.QUEUED;
+        job.maxAttempts = job.attempts + maxAttempts;
+        job.finishedAt = null;
+        activeByKey.set(job.key, job.id);
+        pending.push(job.id);
+        drain();
+
+        return toView(job);
+    };
+
+    const stats = () => ({ running, queued: pending.length + delayed.size, concurrency });
+
+    return { enqueue, getJob, retry, stats };
+};
+
+module.exports = {
+    JOB_STATUS,
+    createJobQueue,
+};
@@ -0,0 +1,570 @@
+/**
+ * Overview:
+ * Page templates of the generated report sections, rendered by the layout engine in pageLayout.js.
+ * A page is a list of blocks (heading, text, scoreGauge, legendTable, textWithLink, iconGrid, keyValue, table,
+ * highlightedText, columns, divider, spacer, image, footer) bound to the data prepared by the page builders in reportUtils.js.
+ * Changing the look of the report (texts, colors, order, spacing) only means editing the templates below.
+ *
+ * Everything branded comes from the tenant's theme (see themes.js), bound as `{{theme.*}}`: colors from
+ * `theme.palette`, images from `theme.assets`, links from `theme.links`, footer texts and social links.
+ * Fonts are given by role (`heading`, `text`, `ui`, `mono`), the theme decides the family of each role.
+ * Colors are `[r, g, b]`, sizes are in mm and font sizes in pt.
+ *
+ * The copy comes from the message catalog of the report's locale (see i18n.js), bound as `{{t.*}}`. Numbers, dates
+ * and percentages reach the templates already formatted for the locale.
+ */
+
+// The branded footer, stamped at the bottom of the pages with the running footer (see `STAMP_LAYOUTS`)
+const FOOTER = {
+    type: "footer",
+    text: "{{theme.footer.text}}",
+    certImage: "{{theme.assets.certificate}}",
+    social: "{{theme.social}}",
+};
+
+// Columns of the analytics tables
+const ANALYTICS_COLUMNS = [
+    { label: "{{t.analytics.types}}", width: 0.45 },
+    { label: "{{t.analytics.coverage}}", width: 0.3 },
+    { label: "{{t.analytics.words}}", width: 0.25 },
+];
+
+/**
+ * An explanation block: optional colored marker, bold title, text and a "Learn more" link.
+ * @param {string} messages - Key of the `{ title, text }` messages, e.g. `plagiarism.identical`.
+ * @param {string} url - Where "Learn more" points to.
+ * @param {Object} [marker] - `{ color, outline }` of the marker in front of the title.
+ * @returns {Object} - A `textWithLink` block.
+ */
+const aboutBlock = (messages, url, marker) => ({
+    type: "textWithLink",
+    title: `{{t.${messages}.title}}`,
+    text: `{{t.${messages}.text}}`,
+    link: { text: "{{t.common.learnMore}}", url },
+    marker,
+});
+
+// Large page title with the score gauge on the right
+const pageTitle = (title, score, label) => ({
+    type: "columns",
+    widths: [3, 1],
+    gap: 0,
+    columns: [
+        [{ type: "heading", text: title, style: { fontSize: 40 }, spaceBefore: 5 }],
+        [{ type: "scoreGauge", score, label, radius: 20, align: "right", color: "{{theme.palette.gauge}}" }],
+    ],
+});
+
+// Introduction under "About ...", from the `{ title, text }` messages under `messages`
+const aboutIntro = (messages) => [
+    { type: "heading", text: `{{t.${messages}.title}}`, style: { fontSize: 10 }, spaceBefore: 6, spaceAfter: 1 },
+    { type: "text", text: `{{t.${messages}.text}}`, style: { font: "text", fontSize: 8 }, spaceAfter: 6 },
+];
+
+/**
+ * Cover page. Context: `{ theme, t, document: { filename, scanTime, totalPages, totalWords }, similarity, coverage,
+ * sections }`, `similarity` being `{ score, scoreLabel, identicalWords, minorChangedWords, paraphrasedWords,
+ * omittedWords }`, `coverage` as on the detail page and `sections` `{ label, status, markerColor }` per report
+ * section. `totalPages` is left out when the page count is unknown.
+ */
+const COVER_TEMPLATE = {
+    margins: { top: 0 },
+    blocks: [
+        // 45mm high on A4 portrait
+        { type: "image", src: "{{theme.assets.banner}}", aspect: 210 / 45, bleed: true, spaceAfter: 6 },
+        {
+            type: "columns",
+            widths: [5, 3],
+            columns: [
+                [
+                    { type: "heading", text: "{{t.cover.title}}", style: { fontSize: 40, color: "{{theme.palette.primary}}" } },
+                    { type: "text", text: "{{t.cover.subtitle}}", style: { fontStyle: "bold", fontSize: 14 } },
+                    { type: "text", text: "{{document.filename}}", style: { font: "mono", fontStyle: "italic", fontSize: 16, color: "{{theme.palette.accent}}" } },
+                ],
+                [
+                    {
+                        type: "keyValue",
+                        title: "{{t.cover.scanDetails}}",
+                        spaceBefore: 12,
+                        rows: [
+                            { label: "{{t.cover.scanTime}}", value: "{{document.scanTime}}", style: { fontStyle: "italic" } },
+                            { when: "document.totalPages", label: "{{t.cover.totalPages}}", value: "{{document.totalPages}}" },
+                            { label: "{{t.cover.totalWords}}", value: "{{document.totalWords}}" },
+                        ],
+                    },
+                ],
+            ],
+        },
+        {
+            type: "columns",
+            spaceBefore: 4,
+            columns: [
+                [
+                    { type: "heading", text: "{{t.cover.plagiarismDetection}}", spaceAfter: 4 },
+                    { type: "text", when: "!similarity", text: "{{t.common.notInReport}}", style: { color: "{{theme.palette.muted}}" } },
+                    { type: "scoreGauge", when: "similarity", score: "{{similarity.score}}", label: "{{similarity.scoreLabel}}", color: "{{theme.palette.gauge}}", radius: 25, spaceBefore: 6, spaceAfter: 12 },
+                    {
+                        type: "legendTable",
+                        when: "similarity",
+                        title: "{{t.analytics.title}}",
+                        columns: ANALYTICS_COLUMNS,
+                        rowHeight: 10,
+                        rows: [
+                            { marker: { color: "{{theme.palette.identical}}" }, cells: ["{{t.analytics.identical}}", "{{coverage.identical}}", "{{similarity.identicalWords}}"] },
+                            { marker: { color: "{{theme.palette.minorChanges}}" }, cells: ["{{t.analytics.minorChanges}}", "{{coverage.minorChanges}}", "{{similarity.minorChangedWords}}"] },
+                            { marker: { color: "{{theme.palette.paraphrased}}" }, cells: ["{{t.analytics.paraphrased}}", "{{coverage.paraphrased}}", "{{similarity.paraphrasedWords}}"] },
+                        ],
+                    },
+                ],
+                [
+                    { type: "heading", when: "sections", text: "{{t.cover.reportContents}}", spaceAfter: 4 },
+                    {
+                        type: "textWithLink",
+                        each: "sections",
+                        title: "{{item.label}}",
+                        text: "{{item.status}}",
+                        marker: { color: "{{item.markerColor}}", radius: 1.5 },
+                        titleStyle: { font: "ui", fontSize: 10 },
+                        style: { font: "ui", fontSize: 8, color: "{{theme.palette.muted}}" },
+                        spaceAfter: 4,
+                    },
+                ],
+            ],
+        },
+    ],
+};
+
+/**
+ * Executive summary, right after the cover page: the verdict of the institution's policy and the checks behind it
+ * (see reportPolicy.js). Context: `{ theme, t, verdict, reasons, checks }`, `verdict` being `{ label, color }`,
+ * `reasons` `{ title, text, color }` per check that is not a pass and `checks` `{ name, value, review, fail,
+ * verdict }` per check, formatted.
+ */
+const SUMMARY_TEMPLATE = {
+    blocks: [
+        { type: "heading", text: "{{t.summary.title}}", style: { fontSize: 24 }, spaceAfter: 1 },
+        { type: "text", text: "{{t.summary.note}}", style: { fontSize: 8, color: "{{theme.palette.muted}}" }, spaceAfter: 6 },
+        { type: "heading", text: "{{t.summary.verdict}}", style: { fontSize: 12 }, spaceAfter: 1 },
+        { type: "heading", text: "{{verdict.label}}", style: { fontSize: 32, color: "{{verdict.color}}" }, spaceAfter: 6 },
+        { type: "heading", text: "{{t.summary.reasons}}", style: { fontSize: 12 }, spaceAfter: 3 },
+        { type: "text", when: "!reasons.length", text: "{{t.summary.noReasons}}", style: { color: "{{theme.palette.muted}}" } },
+        { type: "textWithLink", each: "reasons", title: "{{item.title}}", text: "{{item.text}}", marker: { color: "{{item.color}}" } },
+        { type: "heading", text: "{{t.summary.checks}}", style: { fontSize: 12 }, spaceBefore: 4, spaceAfter: 3 },
+        {
+            type: "table",
+            columns: [
+                { label: "{{t.summary.check}}", width: 0.34 },
+                { label: "{{t.summary.value}}", width: 0.16, align: "right" },
+                { label: "{{t.summary.reviewAt}}", width: 0.16, align: "right" },
+                { label: "{{t.summary.failAt}}", width: 0.16, align: "right" },
+                { label: "{{t.summary.result}}", width: 0.18 },
+            ],
+            rows: [
+                { each: "checks", cells: ["{{item.name}}", "{{item.value}}", "{{item.review}}", "{{item.fail}}", "{{item.verdict}}"] },
+            ],
+        },
+    ],
+};
+
+/**
+ * Detailed plagiarism analysis. Context: `{ theme, t, similarity, coverage, resultCount, counts }`, `similarity` as on
+ * the cover page, `coverage` the formatted percentage per plagiarism type and `counts` the number of results per
+ * type (`internet`, `database`, `batch`, `repository`, `excluded`).
+ */
+const PLAGIARISM_DETAIL_TEMPLATE = {
+    margins: { top: 5 },
+    blocks: [
+        pageTitle("{{t.plagiarism.title}}", "{{similarity.score}}", "{{similarity.scoreLabel}}"),
+        { type: "heading", text: "{{t.plagiarism.results}} ({{resultCount}})", style: { fontSize: 12 }, spaceAfter: 6 },
+        {
+            type: "columns",
+            columns: [
+                [
+                    {
+                        type: "iconGrid",
+                        rows: [3, 2],
+                        items: [
+                            { icon: "{{theme.assets.icons.repository}}", label: "{{t.plagiarism.repository}}", value: "{{counts.repository}}" },
+                            { icon: "{{theme.assets.icons.internalDatabase}}", label: "{{t.plagiarism.internalDatabase}}", value: "{{counts.database}}" },
+                            { icon: "{{theme.assets.icons.filtered}}", label: "{{t.plagiarism.filtered}}", value: "{{counts.excluded}}" },
+                            { icon: "{{theme.assets.icons.internet}}", label: "{{t.plagiarism.internet}}", value: "{{counts.internet}}" },
+                            { icon: "{{theme.assets.icons.batch}}", label: "{{t.plagiarism.batch}}", value: "{{counts.batch}}" },
+                        ],
+                    },
+                ],
+                [
+                    {
+                        type: "legendTable",
+                        title: "{{t.analytics.title}}",
+                        columns: ANALYTICS_COLUMNS,
+                        rows: [
+                            { marker: { color: "{{theme.palette.identical}}" }, cells: ["{{t.analytics.identical}}", "{{coverage.identical}}", "{{similarity.identicalWords}}"] },
+                            { marker: { color: "{{theme.palette.minorChanges}}" }, cells: ["{{t.analytics.minorChanges}}", "{{coverage.minorChanges}}", "{{similarity.minorChangedWords}}"] },
+                            { marker: { color: "{{theme.palette.paraphrased}}" }, cells: ["{{t.analytics.paraphrased}}", "{{coverage.paraphrased}}", "{{similarity.paraphrasedWords}}"] },
+                            { divider: true },
+                            { marker: { color: "{{theme.palette.omitted}}" }, cells: ["{{t.analytics.omitted}}", "{{coverage.omitted}}", "{{similarity.omittedWords}}"] },
+                        ],
+                    },
+                ],
+            ],
+        },
+        ...aboutIntro("plagiarism.about"),
+        {
+            type: "columns",
+            columns: [
+                [aboutBlock("plagiarism.identical", "{{theme.links.identical}}", { color: "{{theme.palette.identical}}" })],
+                [aboutBlock("plagiarism.minorChanges", "{{theme.links.minorChanges}}", { color: "{{theme.palette.minorChanges}}" })],
+            ],
+        },
+        {
+            type: "columns",
+            columns: [
+                [aboutBlock("plagiarism.paraphrased", "{{theme.links.paraphrased}}", { color: "{{theme.palette.paraphrased}}" })],
+                [aboutBlock("plagiarism.omitted", "{{theme.links.omittedWords}}", { color: "{{theme.palette.omittedOutline}}", outline: true })],
+            ],
+        },
+        { type: "divider" },
+        aboutBlock("plagiarism.internalDatabaseInfo", "{{theme.links.internalDatabase}}"),
+        aboutBlock("plagiarism.filteredInfo", "{{theme.links.filteredResults}}"),
+        aboutBlock("plagiarism.batchInfo", "{{theme.links.batchResults}}"),
+    ],
+};
+
+/**
+ * Sources matching the document, largest match first. Context: `{ theme, t, sources }`, `sources` being
+ * `{ number, title, url, type, identicalWords, minorChangedWords, paraphrasedWords, similarity }` per source, formatted.
+ */
+const PLAGIARISM_SOURCES_TEMPLATE = {
+    blocks: [
+        { type: "heading", text: "{{t.sources.title}}", style: { fontSize: 24 }, spaceAfter: 6 },
+        { type: "text", when: "!sources.length", text: "{{t.sources.none}}", style: { color: "{{theme.palette.muted}}" } },
+        {
+            type: "table",
+            when: "sources.length",
+            columns: [
+                { label: "{{t.sources.number}}", width: 0.05 },
+                { label: "{{t.sources.source}}", width: 0.24 },
+                { label: "{{t.sources.url}}", width: 0.22, direction: "ltr" },
+                { label: "{{t.sources.type}}", width: 0.11 },
+                { label: "{{t.sources.identical}}", width: 0.09, align: "right" },
+                { label: "{{t.sources.minorChanges}}", width: 0.09, align: "right" },
+                { label: "{{t.sources.paraphrased}}", width: 0.11, align: "right" },
+                { label: "{{t.sources.similarity}}", width: 0.09, align: "right" },
+            ],
+            linkStyle: { color: "{{theme.palette.link}}" },
+            rows: [
+                {
+                    each: "sources",
+                    cells: ["{{item.number}}", "{{item.title}}", "{{item.url}}", "{{item.type}}", "{{item.identicalWords}}", "{{item.minorChangedWords}}", "{{item.paraphrasedWords}}", "{{item.similarity}}"],
+                    links: [null, null, "{{item.url}}"],
+                },
+            ],
+        },
+    ],
+};
+
+// Colors of the plagiarism types in highlighted text
+const MATCH_LEGEND = {
+    type: "columns",
+    widths: [1, 1, 1, 1],
+    columns: [
+        [{ type: "textWithLink", title: "{{t.plagiarism.identical.title}}", marker: { color: "{{theme.palette.identical}}", radius: 1.5 }, titleStyle: { font: "ui", fontSize: 9 } }],
+        [{ type: "textWithLink", title: "{{t.plagiarism.minorChanges.title}}", marker: { color: "{{theme.palette.minorChanges}}", radius: 1.5 }, titleStyle: { font: "ui", fontSize: 9 } }],
+        [{ type: "textWithLink", title: "{{t.plagiarism.paraphrased.title}}", marker: { color: "{{theme.palette.paraphrased}}", radius: 1.5 }, titleStyle: { font: "ui", fontSize: 9 } }],
+        [],
+    ],
+};
+
+/**
+ * The scanned document with the passages matching a source highlighted, colored like the plagiarism types of the
+ * analytics and tagged with the number of their source. Context: `{ theme, t, text, spans }`, `spans` being
+ * `{ start, length, color, tag }` (see the `highlightedText` block).
+ */
+const PLAGIARISM_TEXT_TEMPLATE = {
+    blocks: [
+        { type: "heading", text: "{{t.scannedText.title}}", style: { fontSize: 24 }, spaceAfter: 1 },
+        { type: "text", text: "{{t.scannedText.note}}", style: { fontSize: 8, color: "{{theme.palette.muted}}" }, spaceAfter: 4 },
+        MATCH_LEGEND,
+        { type: "divider" },
+        { type: "highlightedText", text: "{{text}}", spans: "{{spans}}", style: { font: "text", fontSize: 10 } },
+    ],
+};
+
+/**
+ * Appendix page of one source: its details and every passage of the document it matches, next to the passage of
+ * the source. Context: `{ theme, t, source, passages, sourcesPage }`, `source` being `{ heading, url, type,
+ * similarity, matchedWords, identicalWords, minorChangedWords, paraphrasedWords }` (formatted), `passages`
+ * `{ documentText, documentSpans, sourceText, sourceSpans }` per match and `sourcesPage` the page of the sources table.
+ */
+const PLAGIARISM_COMPARISON_TEMPLATE = {
+    blocks: [
+        { type: "heading", text: "{{t.comparison.title}}", style: { fontSize: 24 }, spaceAfter: 1 },
+        { type: "textWithLink", when: "sourcesPage", link: { text: "{{t.comparison.back}}", pageNumber: "{{sourcesPage}}" }, linkStyle: { color: "{{theme.palette.primary}}" } },
+        { type: "heading", text: "{{source.heading}}", style: { fontSize: 14 }, spaceBefore: 4 },
+        { type: "textWithLink", when: "source.url", link: { text: "{{source.url}}", url: "{{source.url}}" }, linkStyle: { color: "{{theme.palette.primary}}" } },
+        {
+            type: "columns",
+            columns: [
+                [{
+                    type: "keyValue",
+                    labelWidth: 42,
+                    rows: [
+                        { label: "{{t.comparison.type}}", value: "{{source.type}}" },
+                        { label: "{{t.comparison.similarity}}", value: "{{source.similarity}}" },
+                        { label: "{{t.comparison.matchedWords}}", value: "{{source.matchedWords}}" },
+                    ],
+                }],
+                [{
+                    type: "keyValue",
+                    labelWidth: 42,
+                    rows: [
+                        { label: "{{t.comparison.identical}}", value: "{{source.identicalWords}}" },
+                        { label: "{{t.comparison.minorChanges}}", value: "{{source.minorChangedWords}}" },
+                        { label: "{{t.comparison.paraphrased}}", value: "{{source.paraphrasedWords}}" },
+                    ],
+                }],
+            ],
+        },
+        MATCH_LEGEND,
+        { type: "divider" },
+        {
+            type: "columns",
+            columns: [
+                [{ type: "heading", text: "{{t.comparison.document}}", style: { font: "ui", fontSize: 10 } }],
+                [{ type: "heading", text: "{{t.comparison.source}}", style: { font: "ui", fontSize: 10 } }],
+            ],
+        },
+        {
+            type: "columns",
+            each: "passages",
+            columns: [
+                [{ type: "highlightedText", text: "{{item.documentText}}", spans: "{{item.documentSpans}}", style: { fontSize: 9 }, spaceAfter: 0 }],
+                [{ type: "highlightedText", text: "{{item.sourceText}}", spans: "{{item.sourceSpans}}", style: { fontSize: 9 }, spaceAfter: 0 }],
+            ],
+        },
+    ],
+};
+
+/**
+ * AI content analysis. Context: `{ theme, t, ai: { score, scoreLabel, aiPercentage, aiWords, humanPercentage,
+ * humanWords, omittedPercentage, omittedWords } }`, the percentages being shares of all the words of the document.
+ */
+const AI_ANALYSIS_TEMPLATE = {
+    margins: { top: 5 },
+    blocks: [
+        pageTitle("{{t.ai.title}}", "{{ai.score}}", "{{ai.scoreLabel}}"),
+        {
+            type: "columns",
+            spaceBefore: 6,
+            columns: [
+                [],
+                [
+                    {
+                        type: "legendTable",
+                        title: "{{t.analytics.title}}",
+                        columns: [{ width: 0.45 }, { label: "{{t.analytics.coverage}}", width: 0.3 }, { label: "{{t.analytics.words}}", width: 0.25 }],
+                        rows: [
+                            { marker: { color: "{{theme.palette.ai}}" }, cells: ["{{t.analytics.aiText}}", "{{ai.aiPercentage}}", "{{ai.aiWords}}"] },
+                            { marker: { color: "{{theme.palette.human}}" }, cells: ["{{t.analytics.humanText}}", "{{ai.humanPercentage}}", "{{ai.humanWords}}"] },
+                            { divider: true },
+                            { marker: { color: "{{theme.palette.omitted}}" }, cells: ["{{t.analytics.omitted}}", "{{ai.omittedPercentage}}", "{{ai.omittedWords}}"] },
+                        ],
+                    },
+                ],
+            ],
+        },
+        ...aboutIntro("ai.about"),
+        {
+            type: "columns",
+            columns: [
+                [aboutBlock("ai.aiText", "{{theme.links.aiText}}", { color: "{{theme.palette.ai}}" })],
+                [aboutBlock("ai.humanText", "{{theme.links.humanText}}", { color: "{{theme.palette.human}}" })],
+            ],
+        },
+        { type: "divider" },
+        aboutBlock("ai.effectiveness", "{{theme.links.aiEffectiveness}}"),
+        aboutBlock("ai.textLength", "{{theme.links.textLength}}"),
+        aboutBlock("ai.falsePositives", "{{theme.links.aiFalsePositives}}"),
+        aboutBlock("ai.alertHistory", "{{theme.links.aiAlertHistory}}"),
+        aboutBlock("ai.insights", "{{theme.links.aiInsights}}"),
+    ],
+};
+
+/**
+ * How the AI detection classified the document. Context: `{ theme, t, sections, paragraphs }`, `sections` being
+ * `{ number, excerpt, classification, probability, words }` per classified section and `paragraphs`
+ * `{ number, excerpt, aiWords, humanWords, aiShare, classification }` per paragraph, formatted.
+ */
+const AI_CLASSIFICATION_TEMPLATE = {
+    blocks: [
+        { type: "heading", text: "{{t.aiClassification.title}}", style: { fontSize: 24 }, spaceAfter: 1 },
+        { type: "text", text: "{{t.aiClassification.note}}", style: { fontSize: 8, color: "{{theme.palette.muted}}" }, spaceAfter: 6 },
+        { type: "heading", text: "{{t.aiClassification.sections}}", style: { fontSize: 12 }, spaceAfter: 3 },
+        { type: "text", when: "!sections.length", text: "{{t.aiClassification.noSections}}", style: { color: "{{theme.palette.muted}}" } },
+        {
+            type: "table",
+            when: "sections.length",
+            columns: [
+                { label: "{{t.aiClassification.number}}", width: 0.06 },
+                { label: "{{t.aiClassification.section}}", width: 0.52 },
+                { label: "{{t.aiClassification.classification}}", width: 0.16 },
+                { label: "{{t.aiClassification.probability}}", width: 0.13, align: "right" },
+                { label: "{{t.aiClassification.words}}", width: 0.13, align: "right" },
+            ],
+            rows: [
+                { each: "sections", cells: ["{{item.number}}", "{{item.excerpt}}", "{{item.classification}}", "{{item.probability}}", "{{item.words}}"] },
+            ],
+        },
+        { type: "heading", when: "paragraphs.length", text: "{{t.aiClassification.paragraphs}}", style: { fontSize: 12 }, spaceBefore: 4, spaceAfter: 3 },
+        {
+            type: "table",
+            when: "paragraphs.length",
+            columns: [
+                { label: "{{t.aiClassification.number}}", width: 0.06 },
+                { label: "{{t.aiClassification.paragraph}}", width: 0.42 },
+                { label: "{{t.aiClassification.aiWords}}", width: 0.12, align: "right" },
+                { label: "{{t.aiClassification.humanWords}}", width: 0.12, align: "right" },
+                { label: "{{t.aiClassification.aiShare}}", width: 0.12, align: "right" },
+                { label: "{{t.aiClassification.classification}}", width: 0.16 },
+            ],
+            rows: [
+                { each: "paragraphs", cells: ["{{item.number}}", "{{item.excerpt}}", "{{item.aiWords}}", "{{item.humanWords}}", "{{item.aiShare}}", "{{item.classification}}"] },
+            ],
+        },
+    ],
+};
+
+// Columns of the AI phrase tables, two phrases per row
+const PHRASE_COLUMNS = [
+    { label: "{{t.phrases.phrase}}", width: 0.36 },
+    { label: "{{t.phrases.ratioLabel}}", width: 0.14, align: "right" },
+    { label: "{{t.phrases.phrase}}", width: 0.36 },
+    { label: "{{t.phrases.ratioLabel}}", width: 0.14, align: "right" },
+];
+
+// A frequency bucket of the AI phrases, its title and its phrases from `buckets.<id>` of the context
+const phraseBucket = (id) => [
+    { type: "heading", when: `buckets.${id}.rows.length`, text: `{{buckets.${id}.title}}`, style: { fontSize: 12 }, spaceBefore: 4, spaceAfter: 3 },
+    {
+        type: "table",
+        when: `buckets.${id}.rows.length`,
+        columns: PHRASE_COLUMNS,
+        rows: [
+            { each: `buckets.${id}.rows`, cells: ["{{item.left.text}}", "{{item.left.ratio}}", "{{item.right.text}}", "{{item.right.ratio}}"] },
+        ],
+    },
+];
+
+/**
+ * Phrases typical for AI or human text, each one once, grouped by frequency. Context: `{ theme, t, buckets, none,
+ * more }`, `buckets` being `{ title, rows }` per bucket (`high`, `medium`, `low`), every row holding a `left` and a
+ * `right` phrase `{ text, ratio }`, formatted. `more` says how many phrases were left out, if any.
+ */
+const AI_PHRASES_TEMPLATE = {
+    blocks: [
+        { type: "heading", text: "{{t.phrases.title}}", style: { fontSize: 24 }, spaceAfter: 1 },
+        { type: "text", text: "{{t.phrases.note}}", style: { fontSize: 8, color: "{{theme.palette.muted}}" }, spaceAfter: 4 },
+        { type: "text", when: "none", text: "{{t.phrases.none}}", style: { color: "{{theme.palette.muted}}" } },
+        ...phraseBucket("high"),
+        ...phraseBucket("medium"),
+        ...phraseBucket("low"),
+        { type: "text", when: "more", text: "{{more}}", style: { fontSize: 8, color: "{{theme.palette.muted}}" }, spaceBefore: 2 },
+    ],
+};
+
+/**
+ * The scanned document with the sections classified as AI written highlighted, paragraphs and line breaks kept.
+ * Context: `{ theme, t, text, spans }`, `spans` being `{ start, length, color }` (see the `highlightedText` block).
+ */
+const AI_TEXT_TEMPLATE = {
+    blocks: [
+        { type: "heading", text: "{{t.aiHighlight.title}}", style: { fontSize: 24 }, spaceAfter: 1 },
+        { type: "text", text: "{{t.aiHighlight.note}}", style: { fontSize: 8, color: "{{theme.palette.muted}}" }, spaceAfter: 4 },
+        { type: "textWithLink", title: "{{t.analytics.aiText}}", marker: { color: "{{theme.palette.ai}}", radius: 1.5 }, titleStyle: { font: "ui", fontSize: 9 } },
+        { type: "divider" },
+        { type: "highlightedText", text: "{{text}}", spans: "{{spans}}", style: { font: "text", fontSize: 10 } },
+    ],
+};
+
+/**
+ * Table of contents, the top level of the report's outline. Context: `{ theme, t, entries }`, `entries` being
+ * `{ title, page, link }` with `page` formatted and `link` the URL of the entry's page (see `addTableOfContents`).
+ */
+const CONTENTS_TEMPLATE = {
+    blocks: [
+        { type: "heading", text: "{{t.contents.title}}", style: { fontSize: 24 }, spaceAfter: 6 },
+        {
+            type: "table",
+            columns: [
+                { label: "{{t.contents.section}}", width: 0.85 },
+                { label: "{{t.contents.page}}", width: 0.15, align: "right" },
+            ],
+            linkStyle: { color: "{{theme.palette.text}}" },
+            rows: [
+                { each: "entries", cells: ["{{item.title}}", "{{item.page}}"], links: ["{{item.link}}", "{{item.link}}"] },
+            ],
+        },
+    ],
+};
+
+// Style of the running header and footer
+const STAMP_STYLE = { font: "ui", fontSize: 7, color: "{{theme.palette.muted}}" };
+
+/**
+ * Running headers and footers stamped on the pages of the merged report (see pageStamps.js), by layout name. Each
+ * layout is a template drawn over a page, its texts kept inside `STAMP_BANDS` (mm from the top and the bottom
+ * edge), which the generated pages leave free (the bottom one holds the 25mm branded footer and the running footer
+ * below it). Context: `{ theme, t, stamp }`, `stamp` being `{ brand, title, scanId, generated, page }`, formatted.
+ * The branded `FOOTER` is part of the layouts, not of the page templates, so a page only ever gets the footer of
+ * its layout (and none with the `none` rule).
+ * - `default`: brand and report title on top, the branded footer, then scan ID, generation date and "Page X of Y"
+ *   at the bottom.
+ * - `cover`: no header (the cover banner runs to the top edge), the branded footer with the certification label and
+ *   no page number.
+ * - `imported`: the pages of the detector's PDF, their banner and footer image are stamped already (see
+ *   `addHeaderAndFooterToExistingPDF`), only the generation date and the page number are added.
+ */
+const STAMP_BANDS = { header: 12, footer: 35 };
+
+const STAMP_LAYOUTS = {
+    default: {
+        margins: { top: 5, bottom: 4 },
+        blocks: [
+            { type: "band", left: "{{stamp.brand}}", right: "{{stamp.title}}", style: STAMP_STYLE, spaceAfter: 1 },
+            { type: "divider", lineWidth: 0.2, color: "{{theme.palette.rule}}" },
+            FOOTER,
+            { type: "divider", pin: "bottom", lineWidth: 0.2, color: "{{theme.palette.rule}}" },
+            { type: "band", pin: "bottom", left: "{{stamp.scanId}}", center: "{{stamp.generated}}", right: "{{stamp.page}}", style: STAMP_STYLE },
+        ],
+    },
+    cover: {
+        margins: { bottom: 4 },
+        blocks: [
+            { ...FOOTER, certLabel: "{{theme.footer.certifiedBy}}" },
+            { type: "band", pin: "bottom", left: "{{stamp.scanId}}", right: "{{stamp.generated}}", style: STAMP_STYLE },
+        ],
+    },
+    imported: {
+        margins: { bottom: 4 },
+        blocks: [
+            { type: "band", pin: "bottom", center: "{{stamp.generated}}", right: "{{stamp.page}}", style: STAMP_STYLE },
+        ],
+    },
+};
+
+module.exports = {
+    FOOTER,
+    COVER_TEMPLATE,
+    SUMMARY_TEMPLATE,
+    PLAGIARISM_DETAIL_TEMPLATE,
+    PLAGIARISM_SOURCES_TEMPLATE,
+    PLAGIARISM_TEXT_TEMPLATE,
+    PLAGIARISM_COMPARISON_TEMPLATE,
+    AI_ANALYSIS_TEMPLATE,
+    AI_CLASSIFICATION_TEMPLATE,
+    AI_PHRASES_TEMPLATE,
+    AI_TEXT_TEMPLATE,
+    CONTENTS_TEMPLATE,
+    STAMP_BANDS,
+    STAMP_LAYOUTS,
+};
@@ -1,213 +1,702 @@
 const { jsPDF } = require("jspdf");
-const { PDFDocument, rgb, PDFName } = require('pdf-lib');
+const { PDFDocument, rgb, degrees, PDFName, PDFArray, PDFDict, PDFHexString, PDFString, PDFRef, PDFStream } = require('pdf-lib');
+const crypto = require("crypto");
 const fs = require('fs');
 const path = require('path');
 const QRCode = require("qrcode");
+const { renderTemplate, registerFonts } = require("./pageLayout");
+const { getTheme } = require("./themes");
+const { getLocale } = require("./i18n");
+const { getSourceSummary, getSimilarityCoverage, getAiSummary, getAiParagraphs, getAiPhraseInsights } = require("./reportModel");
+const {
+    COVER_TEMPLATE,
+    SUMMARY_TEMPLATE,
+    PLAGIARISM_DETAIL_TEMPLATE,
+    PLAGIARISM_SOURCES_TEMPLATE,
+    PLAGIARISM_TEXT_TEMPLATE,
+    PLAGIARISM_COMPARISON_TEMPLATE,
+    AI_ANALYSIS_TEMPLATE,
+    AI_CLASSIFICATION_TEMPLATE,
+    AI_PHRASES_TEMPLATE,
+    AI_TEXT_TEMPLATE,
+    CONTENTS_TEMPLATE,
+    STAMP_BANDS,
+    STAMP_LAYOUTS,
+} = require("./reportTemplates");
+const { pageStampLayouts } = require("./pageStamps");
 
 
-
+/**
+ * @typedef {Object} OutlineEntry
+ * @property {string} title - Title shown in the bookmarks of the PDF viewer.
+ * @property {number|null} pageIndex - Index of the page the entry opens, null for an entry that opens no page.
+ * @property {OutlineEntry[]} children - Nested entries.
+ */
 
 /**
- * Draws a circular plagiarism score indicator on a PDF.
- * @param {Object} doc - The jsPDF document instance.
- * @param {number} score - The plagiarism score percentage (0-100).
- * @param {number} x - X-coordinate for the circle center.
- * @param {number} y - Y-coordinate for the circle center.
- * @param {number} radius - Radius of the circle.
+ * Reads the outline (bookmarks) of a PDF. Entries pointing at a page through a named destination open no page.
+ * @param {PDFDocument} pdfDoc - The document.
+ * @returns {OutlineEntry[]}
  */
+const readOutline = (pdfDoc) => {
+    const pageIndices = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+    const outlines = pdfDoc.catalog.lookup(PDFName.of("Outlines"));
+    const seen = new Set();
+
+    const pageOf = (item) => {
+        let dest = item.lookup(PDFName.of("Dest"));
+        const action = item.lookup(PDFName.of("A"));
+        if (!(dest instanceof PDFArray) && action instanceof PDFDict) {
+            dest = action.lookup(PDFName.of("D"));
+        }
+        const index = dest instanceof PDFArray ? pageIndices.get(dest.get(0).toString()) : undefined;
+        return index === undefined ? null : index;
+    };
+    const readItems = (parent) => {
+        const entries = [];
+        let ref = parent.get(PDFName.of("First"));
+        while (ref && !seen.has(ref.toString())) {
+            seen.add(ref.toString());
+            const item = pdfDoc.context.lookup(ref, PDFDict);
+            const title = item.lookup(PDFName.of("Title"));
+            entries.push({
+                title: title instanceof PDFString || title instanceof PDFHexString ? title.decodeText() : "",
+                pageIndex: pageOf(item),
+                children: readItems(item),
+            });
+            ref = item.get(PDFName.of("Next"));
+        }
+        return entries;
+    };
+    return outlines instanceof PDFDict ? readItems(outlines) : [];
+};
 
-function drawPlagiarismCircle(doc, score, x, y, radius) {
-    const startAngle = -Math.PI / 2; // Start from the top (12 o'clock position)
-    const endAngle = startAngle + (2 * Math.PI * (score / 100)); // Calculate the angle based on the score
-
-    // Draw a light gray background circle to represent 100% plagiarism
-    doc.setDrawColor(200, 200, 200); // Light gray color
-    doc.setFillColor(255, 255, 255); // White background
-    doc.circle(x, y, radius); // Draw the full circle
-
-    // Draw the plagiarism score arc (orange segment)
-    const segments = 100; // More segments = smoother arc
-    const angleIncrement = (endAngle - startAngle) / segments; // Split arc into small lines
-    let angle = startAngle;
-
-    doc.setDrawColor(255, 87, 34); // Orange color for the score arc
-    doc.setLineWidth(4); // Make the arc a bit bold
-
-    for (let i = 0; i < segments; i++) {
-        const x1 = x + radius * Math.cos(angle);
-        const y1 = y + radius * Math.sin(angle);
-        angle += angleIncrement;
-        const x2 = x + radius * Math.cos(angle);
-        const y2 = y + radius * Math.sin(angle);
-        doc.line(x1, y1, x2, y2); // Draw each tiny segment of the arc
+/**
+ * Replaces the outline (bookmarks) of a PDF, the viewer shows it when the document is opened.
+ * @param {PDFDocument} pdfDoc - The document.
+ * @param {OutlineEntry[]} entries - The new outline, an empty one removes it.
+ */
+const writeOutline = (pdfDoc, entries) => {
+    const { context, catalog } = pdfDoc;
+    const pages = pdfDoc.getPages();
+    if (entries.length === 0) {
+        catalog.delete(PDFName.of("Outlines"));
+        return;
     }
 
-    // Display the percentage inside the circle
-    doc.setFont("times", "bold");
-    doc.setFontSize(14);
-    doc.setTextColor(0, 0, 0); // Black color
-    doc.text(`${score}%`, x - 5, y + 2); // Center the text
-}
+    // Writes the items under `parentRef`, returns the references of the first and the last one and how many items
+    // there are in all (nested ones included)
+    const writeItems = (items, parentRef) => {
+        const refs = items.map(() => context.nextRef());
+        let count = 0;
+        items.forEach((item, i) => {
+            const dict = { Title: PDFHexString.fromText(item.title), Parent: parentRef };
+            if (i > 0) dict.Prev = refs[i - 1];
+            if (i < refs.length - 1) dict.Next = refs[i + 1];
+            const page = item.pageIndex !== null ? pages[item.pageIndex] : null;
+            if (page) dict.Dest = context.obj([page.ref, "XYZ", null, null, null]);
+            if (item.children.length > 0) {
+                const children = writeItems(item.children, refs[i]);
+                Object.assign(dict, { First: children.first, Last: children.last, Count: children.count });
+                count += children.count;
+            }
+            context.assign(refs[i], context.obj(dict));
+            count++;
+        });
+        return { first: refs[0], last: refs[refs.length - 1], count };
+    };
+
+    const rootRef = context.nextRef();
+    const root = writeItems(entries, rootRef);
+    context.assign(rootRef, context.obj({ Type: "Outlines", First: root.first, Last: root.last, Count: root.count }));
+    catalog.set(PDFName.of("Outlines"), rootRef);
+    catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+};
+
+// The entries with their pages (and the pages of the nested ones) moved by `move(pageIndex)`
+const moveOutline = (entries, move) => entries.map((entry) => ({
+    ...entry,
+    pageIndex: entry.pageIndex === null ? null : move(entry.pageIndex),
+    children: moveOutline(entry.children, move),
+}));
 
 /**
- * Adds text to a PDF with a clickable hyperlink.
- * @param {Object} doc - The jsPDF document instance.
- * @param {string} text - The main content to display.
- * @param {string} linkText - The clickable text for the hyperlink.
- * @param {number} x - X position to start the text.
- * @param {number} y - Y position to start the text.
- * @param {Array} linkColor - RGB color array for the link text.
- * @param {string} linkUrl - The URL for the hyperlink.
- * @param {number} [div=2] - Factor to control text width (default: 2 for half-page width).
- * @returns {number} - Updated Y position after adding the text.
+ * Loads a PDF from any of the forms passed around the report pipeline.
+ * @param {string|Uint8Array|ArrayBuffer|PDFDocument|jsPDF} input - A file path, raw bytes, a pdf-lib document or a jsPDF document.
+ * @returns {Promise<PDFDocument>} - The pdf-lib document (returned as is if it already is one).
  */
+const loadPdfDocument = async (input) => {
+    if (input instanceof PDFDocument) {
+        return input;
+    }
+    if (input && typeof input.output === "function") {
+        // jsPDF document. jsPDF only encodes outline titles it can write in PDFDocEncoding, the outline is written
+        // again from its tree.
+        const pdfDoc = await PDFDocument.load(input.output("arraybuffer"));
+        const toEntry = (node) => ({
+            title: node.title,
+            pageIndex: node.options && node.options.pageNumber ? node.options.pageNumber - 1 : null,
+            children: node.children.map(toEntry),
+        });
+        writeOutline(pdfDoc, input.outline.root.children.map(toEntry));
+        return pdfDoc;
+    }
+    if (typeof input === "string") {
+        return PDFDocument.load(await fs.promises.readFile(input));
+    }
+    return PDFDocument.load(input);
+};
 
+/**
+ * Copies pages of a PDF into another one, keeping the links between them working. pdf-lib copies the page a link
+ * points to as a loose object, so the destination of every internal link is pointed back at the copied page.
+ * @param {PDFDocument} target - The document the pages are copied into.
+ * @param {PDFDocument} source - The document the pages come from.
+ * @param {number[]} indices - Indices of the pages to copy.
+ * @returns {Promise<PDFPage[]>} - The copied pages, not added to `target` yet.
+ */
+const copyPagesWithLinks = async (target, source, indices) => {
+    const sourcePages = source.getPages();
+    const copied = await target.copyPages(source, indices);
+    const copiedByRef = new Map(indices.map((index, i) => [sourcePages[index].ref.toString(), copied[i]]));
+    // Destination of a link annotation (`/Dest [page /XYZ left top zoom]`), null for other annotations
+    const destinationOf = (annotation) => {
+        const dest = annotation.lookup(PDFName.of("Dest"));
+        return dest instanceof PDFArray ? dest : null;
+    };
 
-const addTextWithLink = (doc, text, linkText, x, y, linkColor, linkUrl, div = 2) => {
-    const maxWidth = doc.internal.pageSize.width / div - 30; // Ensures the text doesn't go off-page
-    const textLines = doc.splitTextToSize(text, maxWidth); // Break text into multiple lines if needed
+    indices.forEach((index, i) => {
+        const sourceAnnots = sourcePages[index].node.Annots();
+        const copiedAnnots = copied[i].node.Annots();
+        if (!sourceAnnots || !copiedAnnots) return;
+        sourceAnnots.asArray().forEach((ref, k) => {
+            const sourceDest = destinationOf(source.context.lookup(ref));
+            const targetPage = sourceDest && copiedByRef.get(sourceDest.get(0).toString());
+            const copiedDest = targetPage && destinationOf(target.context.lookup(copiedAnnots.get(k)));
+            if (copiedDest) {
+                copiedDest.set(0, targetPage.ref);
+            }
+        });
+    });
+    return copied;
+};
 
-    // Add the main text in black
-    doc.setTextColor(0, 0, 0);
-    doc.text(textLines, x, y);
+/**
+ * Pages of a document picked by a page selection.
+ * @param {string|number[]} [pages] - 1-based page numbers and ranges, e.g. `"1-3,5,8-"` (`8-` runs to the last page,
+ *   and is empty when the document is shorter). Every page when not given.
+ * @param {number} pageCount - Pages of the document.
+ * @returns {number[]} - Indices of the pages, in the order they were selected.
+ */
+const selectPages = (pages, pageCount) => {
+    if (pages === undefined || pages === null) {
+        return Array.from({ length: pageCount }, (_, index) => index);
+    }
+    const ranges = Array.isArray(pages) ? pages.map(String) : String(pages).split(",").map((range) => range.trim()).filter(Boolean);
+    return ranges.flatMap((range) => {
+        const match = range.match(/^(\d+)(?:(-)(\d*))?$/);
+        const open = Boolean(match && match[2] && !match[3]);
+        const first = match ? Number(match[1]) : 0;
+        const last = open ? pageCount : Number(match && (match[3] || match[1]));
+        if (!match || first < 1 || (!open && (last < first || last > pageCount))) {
+            throw new Error(`Invalid page range "${range}" for a document of ${pageCount} pages`);
+        }
+        return Array.from({ length: Math.max(0, last - first + 1) }, (_, i) => first - 1 + i);
+    });
+};
 
-    // Move the Y position down for the hyperlink
-    y += textLines.length * 4;
+// Objects kept once when several inputs of `composePDFs` hold the same: fonts, the streams fonts point at and images
+const FONT_TYPES = [PDFName.of("Font"), PDFName.of("FontDescriptor")];
+const FONT_STREAMS = ["FontFile", "FontFile2", "FontFile3", "ToUnicode", "CIDToGIDMap"].map((key) => PDFName.of(key));
+
+// Points every reference to an object of `replacements` (keyed by reference) at the object replacing it
+const replaceReferences = (object, replacements) => {
+    if (object instanceof PDFStream) {
+        replaceReferences(object.dict, replacements);
+    } else if (object instanceof PDFDict) {
+        object.entries().forEach(([key, value]) => {
+            if (value instanceof PDFRef) {
+                if (replacements.has(value)) object.set(key, replacements.get(value));
+            } else {
+                replaceReferences(value, replacements);
+            }
+        });
+    } else if (object instanceof PDFArray) {
+        object.asArray().forEach((value, i) => {
+            if (value instanceof PDFRef) {
+                if (replacements.has(value)) object.set(i, replacements.get(value));
+            } else {
+                replaceReferences(value, replacements);
+            }
+        });
+    }
+};
 
-    // Add the hyperlink in blue
-    doc.setTextColor(173, 216, 230); // Light blue for links
-    doc.textWithLink(linkText, x, y, { url: linkUrl });
+/**
+ * Keeps one copy of the fonts and images that are byte for byte the same in a document, as when the pages of several
+ * documents embedding the theme's images and the Unicode font are put together. A font is only the same as another
+ * once its font file is, so this runs until nothing is left to share.
+ * @param {PDFDocument} pdfDoc - The document.
+ * @returns {number} - How many objects were removed.
+ */
+const dedupeResources = (pdfDoc) => {
+    const { context } = pdfDoc;
+    let removed = 0;
+    for (;;) {
+        const objects = context.enumerateIndirectObjects();
+        const candidates = new Set();
+        objects.forEach(([ref, object]) => {
+            if (object instanceof PDFStream && object.dict.get(PDFName.of("Subtype")) === PDFName.of("Image")) {
+                candidates.add(ref);
+            } else if (object instanceof PDFDict && FONT_TYPES.includes(object.get(PDFName.of("Type")))) {
+                candidates.add(ref);
+                FONT_STREAMS.forEach((key) => {
+                    const stream = object.get(key);
+                    if (stream instanceof PDFRef) candidates.add(stream);
+                });
+            }
+        });
 
-    // Move Y down a bit to ensure spacing after the link
-    y += 6;
+        // The first object with given contents replaces the ones after it
+        const firstByHash = new Map();
+        const replacements = new Map();
+        objects.forEach(([ref, object]) => {
+            if (!candidates.has(ref)) return;
+            const hash = crypto.createHash("sha1");
+            if (object instanceof PDFStream) {
+                hash.update(object.dict.toString()).update(object.getContents());
+            } else {
+                hash.update(object.toString());
+            }
+            const digest = hash.digest("hex");
+            if (firstByHash.has(digest)) {
+                replacements.set(ref, firstByHash.get(digest));
+            } else {
+                firstByHash.set(digest, ref);
+            }
+        });
+        if (replacements.size === 0) {
+            return removed;
+        }
 
-    return y;
+        objects.forEach(([ref, object]) => {
+            if (!replacements.has(ref)) replaceReferences(object, replacements);
+        });
+        replacements.forEach((_, ref) => context.delete(ref));
+        removed += replacements.size;
+    }
 };
 
+/**
+ * @typedef {Object} ComposeInput
+ * @property {string|Uint8Array|ArrayBuffer|PDFDocument|jsPDF} source - The PDF (path, bytes or document).
+ * @property {string|number[]} [pages] - The pages taken from it (see `selectPages`), all of them by default.
+ * @property {number} [at] - Where its pages go among the pages of the inputs before it (0 puts them first), after
+ *   them by default.
+ * @property {number} [rotate=0] - Degrees its pages are turned clockwise, a multiple of 90 added to their rotation.
+ * @property {string} [bookmark] - Title of an outline entry for its pages, its own entries are nested under it.
+ */
+
+/**
+ * Composes one PDF from pages of any number of PDFs, keeping the outline (bookmarks) of every input and the links
+ * between the pages that are kept.
+ * @param {Array<string|Uint8Array|ArrayBuffer|PDFDocument|jsPDF|ComposeInput>} inputs - The PDFs, in order, each on
+ *   its own (every page, appended) or with the options of `ComposeInput`.
+ * @param {Object} [options] - Composition options.
+ * @param {boolean} [options.dedupe=true] - Whether fonts and images found in several inputs are kept only once.
+ * @returns {Promise<PDFDocument>} - The composed PDF document.
+ */
+const composePDFs = async (inputs, { dedupe = true } = {}) => {
+    const composed = await PDFDocument.create();
+
+    // Pages in their final order, with the input they come from and their index in it
+    const order = [];
+    const parts = [];
+    for (const input of inputs) {
+        const { source, pages, at, rotate = 0, bookmark } = input && input.source ? input : { source: input };
+        if (rotate % 90 !== 0) {
+            throw new Error(`Pages can only be rotated by a multiple of 90 degrees, not ${rotate}`);
+        }
+        if (at !== undefined && (!Number.isInteger(at) || at < 0 || at > order.length)) {
+            throw new Error(`Cannot insert pages at ${at}, there are ${order.length} pages before them`);
+        }
+
+        const pdfDoc = await loadPdfDocument(source);
+        const indices = selectPages(pages, pdfDoc.getPageCount());
+        const copied = await copyPagesWithLinks(composed, pdfDoc, indices);
+        if (rotate) {
+            copied.forEach((page) => page.setRotation(degrees((((page.getRotation().angle + rotate) % 360) + 360) % 360)));
+        }
+
+        const part = { pdfDoc, bookmark };
+        parts.push(part);
+        order.splice(at === undefined ? order.length : at, 0, ...copied.map((page, i) => ({ page, part, sourceIndex: indices[i] })));
+    }
+    order.forEach(({ page }) => composed.addPage(page));
+
+    // Outline entries of every input follow its pages, the ones of pages left out open the next page that is kept
+    const outline = parts
+        .map((part) => {
+            const outputIndices = new Map();
+            order.forEach((item, index) => {
+                if (item.part === part && !outputIndices.has(item.sourceIndex)) outputIndices.set(item.sourceIndex, index);
+            });
+            if (outputIndices.size === 0) return null;
+
+            const kept = [...outputIndices.keys()].sort((a, b) => a - b);
+            const move = (index) => {
+                const next = kept.find((keptIndex) => keptIndex >= index);
+                return next === undefined ? null : outputIndices.get(next);
+            };
+            const first = Math.min(...outputIndices.values());
+            const entries = moveOutline(readOutline(part.pdfDoc), move);
+            return { first, entries: part.bookmark ? [{ title: part.bookmark, pageIndex: first, children: entries }] : entries };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.first - b.first);
+    writeOutline(composed, outline.flatMap((part) => part.entries));
+
+    if (dedupe) {
+        dedupeResources(composed);
+    }
+    return composed;
+};
 
 /**
- * Merges two PDFs into one.
- * @param {string} existingDocPath - Path to the first PDF.
- * @param {string} pdfToMergePath - Path to the second PDF.
+ * Merges two PDFs into one, keeping the outline (bookmarks) of both (see `composePDFs` for more than two).
+ * @param {string|Uint8Array|PDFDocument|jsPDF} existingDoc - The first PDF (path, bytes or document).
+ * @param {string|Uint8Array|PDFDocument|jsPDF} pdfToMerge - The second PDF (path, bytes or document).
  * @param {boolean} skipFirstPage - Whether to skip the first page of the second PDF.
+ * @param {Object} [options] - Merge options.
+ * @param {string} [options.bookmark] - Title of an outline entry for the pages of the second PDF, its own entries
+ *   are nested under it.
  * @returns {Promise<PDFDocument>} - The merged PDF document.
  */
-
-const mergePDFs = async (existingDocPath, pdfToMergePath, skipFirstPage = false) => {
+const mergePDFs = async (existingDoc, pdfToMerge, skipFirstPage = false, { bookmark } = {}) => {
     try {
-        // Load the first PDF
-        const existingDocBytes = fs.readFileSync(existingDocPath);
-        const pdfDoc1 = await PDFDocument.load(existingDocBytes);
+        return await composePDFs([
+            existingDoc,
+            { source: pdfToMerge, pages: skipFirstPage ? "2-" : undefined, bookmark },
+        ]);
+    } catch (error) {
+        console.error("Error merging PDFs:", error);
+        throw new Error("Failed to merge PDFs");
+    }
+};
 
-        // Load the second PDF
-        const pdfBytes2 = fs.readFileSync(pdfToMergePath);
-        const pdfDoc2 = await PDFDocument.load(pdfBytes2);
+// Links of the table of contents point at `#page=<number>` while it is rendered on its own, `resolvePageLinks`
+// turns them into links to the pages of the report
+const PAGE_LINK = /^#page=(\d+)$/;
 
-        // Create a new PDF document for the merged result
-        const mergedPdfDoc = await PDFDocument.create();
+/**
+ * Turns the `#page=<number>` URI links of some pages into links to those pages of the document.
+ * @param {PDFDocument} pdfDoc - The document.
+ * @param {number[]} indices - Indices of the pages with such links.
+ */
+const resolvePageLinks = (pdfDoc, indices) => {
+    const pages = pdfDoc.getPages();
+    indices.forEach((index) => {
+        const annots = pages[index].node.Annots();
+        if (!annots) return;
+        annots.asArray().forEach((ref) => {
+            const annotation = pdfDoc.context.lookup(ref, PDFDict);
+            const action = annotation.lookup(PDFName.of("A"));
+            const uri = action instanceof PDFDict && action.lookup(PDFName.of("URI"));
+            const match = uri && uri.decodeText().match(PAGE_LINK);
+            const page = match && pages[Number(match[1]) - 1];
+            if (page) {
+                annotation.delete(PDFName.of("A"));
+                annotation.set(PDFName.of("Dest"), pdfDoc.context.obj([page.ref, "XYZ", null, null, null]));
+            }
+        });
+    });
+};
 
-        // Copy all pages from the first PDF
-        const pages1 = await mergedPdfDoc.copyPages(pdfDoc1, pdfDoc1.getPageIndices());
-        pages1.forEach(page => mergedPdfDoc.addPage(page));
+/**
+ * Adds a table of contents (`CONTENTS_TEMPLATE`) to a report: the top-level entries of its outline with their page
+ * numbers, every row linking to its page. The outline gets an entry for the table of contents too.
+ * @param {PDFDocument} pdfDoc - The report, all its pages merged (page numbers are those of this document).
+ * @param {Object} [theme] - The branding theme, the same the report was created with.
+ * @param {Object} [locale] - The report locale, the same the report was created with.
+ * @param {Object} [options] - Table of contents options.
+ * @param {number} [options.after=1] - How many pages come before the table of contents (the cover page).
+ * @param {Object} [options.page] - `{ format, orientation }` of its pages (see `pageSetup`), A4 portrait by default.
+ * @returns {Promise<PDFDocument>} - The same document.
+ */
+const addTableOfContents = async (pdfDoc, theme = getTheme(), locale = getLocale(), { after = 1, page } = {}) => {
+    const outline = readOutline(pdfDoc);
+    const fonts = reportFonts(theme, locale);
+
+    // Page numbers depend on how many pages the table of contents takes: rendered again when it is more than one
+    const render = (pageCount) => {
+        const move = (index) => (index >= after ? index + pageCount : index);
+        const doc = createDocument(fonts, page);
+        renderTemplate(doc, CONTENTS_TEMPLATE, {
+            theme,
+            t: locale.catalog({ brand: theme.name }),
+            entries: outline.filter((entry) => entry.pageIndex !== null).map((entry) => ({
+                title: entry.title,
+                page: locale.formatNumber(move(entry.pageIndex) + 1),
+                link: `#page=${move(entry.pageIndex) + 1}`,
+            })),
+        }, { fonts, direction: locale.direction, bands: STAMP_BANDS });
+        return { doc, move };
+    };
+    let contents = render(1);
+    if (contents.doc.getNumberOfPages() > 1) {
+        contents = render(contents.doc.getNumberOfPages());
+    }
 
-        // Copy pages from the second PDF, optionally skipping the first page
-        const pageIndices = skipFirstPage ? pdfDoc2.getPageIndices().slice(1) : pdfDoc2.getPageIndices();
-        const pages2 = await mergedPdfDoc.copyPages(pdfDoc2, pageIndices);
-        pages2.forEach(page => mergedPdfDoc.addPage(page));
+    const contentsDoc = await PDFDocument.load(contents.doc.output("arraybuffer"));
+    const pages = await pdfDoc.copyPages(contentsDoc, contentsDoc.getPageIndices());
+    pages.forEach((page, i) => pdfDoc.insertPage(after + i, page));
+    resolvePageLinks(pdfDoc, pages.map((page, i) => after + i));
+
+    const moved = moveOutline(outline, contents.move);
+    // The entry of the table of contents goes before the first entry of a page that follows it
+    const entry = { title: locale.t("outline.contents"), pageIndex: after, children: [] };
+    const position = moved.findIndex((item) => item.pageIndex !== null && item.pageIndex >= after + pages.length);
+    moved.splice(position < 0 ? moved.length : position, 0, entry);
+    writeOutline(pdfDoc, moved);
+    return pdfDoc;
+};
 
-        return mergedPdfDoc;
-    } catch (error) {
-        console.error("Error merging PDFs:", error);
-        throw new Error("Failed to merge PDFs");
+const PT_TO_MM = 25.4 / 72;
+
+/**
+ * Stamps the running header and footer on the pages of a report, in one pass over the merged document: the layout
+ * of every page (`STAMP_LAYOUTS`) comes from the stamping rules (see pageStamps.js), the page numbers are those of
+ * the whole report. The generated pages keep `STAMP_BANDS` free for them. A `/Rotate`d page (see the `rotate` option
+ * of `composePDFs`) gets its stamp as it is shown, upright along its top and bottom edge.
+ * @param {PDFDocument} pdfDoc - The report, all its pages merged.
+ * @param {Object} [theme] - The branding theme, the same the report was created with.
+ * @param {Object} [locale] - The report locale, the same the report was created with.
+ * @param {Object} options - Stamping options.
+ * @param {{ pages: string, layout: string }[]} options.rules - The stamping rules (see `parseStampRules`).
+ * @param {{ id: string, pages: number }[]} [options.parts] - Parts of the report in order and their page counts,
+ *   for the rules selecting pages by part.
+ * @param {string} options.scanId - The scan the report is for.
+ * @param {Date} [options.generatedAt] - When the report was generated, now by default.
+ * @returns {Promise<PDFDocument>} - The same document.
+ */
+const stampPages = async (pdfDoc, theme = getTheme(), locale = getLocale(), { rules, parts, scanId, generatedAt = new Date() }) => {
+    const pages = pdfDoc.getPages();
+    const layouts = pageStampLayouts(pages.length, rules, parts);
+    const stamped = pages
+        .map((page, index) => ({ page, index, layout: layouts[index], rotation: ((page.getRotation().angle % 360) + 360) % 360 }))
+        .filter(({ layout }) => layout);
+    if (stamped.length === 0) {
+        return pdfDoc;
     }
+
+    // Every stamp is rendered on a page of its own, as large as the page it goes on, and drawn over that page
+    const fonts = reportFonts(theme, locale);
+    const t = locale.catalog({ brand: theme.name });
+    const pageCount = locale.formatNumber(pages.length);
+    const scanLabel = locale.t("stamps.scanId", { scanId });
+    const generated = locale.t("stamps.generated", { date: locale.formatDate(generatedAt) });
+    let doc = null;
+    // Size of a page as it is shown, turned by its rotation
+    const shownSize = (page, rotation) => {
+        const { width, height } = page.getMediaBox();
+        return rotation === 90 || rotation === 270 ? { width: height, height: width } : { width, height };
+    };
+    stamped.forEach(({ page, index, layout, rotation }) => {
+        const { width, height } = shownSize(page, rotation);
+        const format = [width * PT_TO_MM, height * PT_TO_MM];
+        const orientation = width > height ? "landscape" : "portrait";
+        if (doc) {
+            doc.addPage(format, orientation);
+        } else {
+            doc = createDocument(fonts, { format, orientation });
+        }
+        renderTemplate(doc, STAMP_LAYOUTS[layout], {
+            theme,
+            t,
+            stamp: {
+                brand: theme.name,
+                title: t.cover.title,
+                scanId: scanLabel,
+                generated,
+                page: locale.t("stamps.page", { page: locale.formatNumber(index + 1), pages: pageCount }),
+            },
+        }, { fonts, direction: locale.direction });
+    });
+
+    const stampDoc = await PDFDocument.load(doc.output("arraybuffer"));
+    const stamps = await pdfDoc.embedPdf(stampDoc, stampDoc.getPageIndices());
+    stamped.forEach(({ page, rotation }, i) => {
+        // The stamp is turned back by the page's rotation, from the corner of the media box its bottom left ends up at
+        const box = page.getMediaBox();
+        const [x, y] = {
+            90: [box.x + box.width, box.y],
+            180: [box.x + box.width, box.y + box.height],
+            270: [box.x, box.y + box.height],
+        }[rotation] || [box.x, box.y];
+        page.drawPage(stamps[i], { x, y, ...shownSize(page, rotation), rotate: degrees(rotation) });
+    });
+    return pdfDoc;
 };
 
+// Space of the detector's pages kept for the banner (top) and the footer image (bottom), in pt
+const IMPORTED_HEADER_HEIGHT = 130;
+const IMPORTED_FOOTER_HEIGHT = 50;
+const IMPORTED_FOOTER_WIDTH = 100;
+
 /**
- * Adds a header, footer, and a QR code to an existing PDF.
- * @param {string} inputPath - Path to the existing PDF file.
- * @param {string} outputPath - Path to save the modified PDF.
- * @param {string} headerImagePath - Path to the header image.
- * @param {string} footerImagePath - Path to the footer image.
- * @param {string} footerLink - URL associated with the footer (not used in this version).
- * @param {string} interactivelink - Dynamic value for generating the QR code.
+ * Redraws a page as a form XObject of itself, scaled (aspect ratio kept) and centered into the frame left between
+ * `top` and `bottom`, so nothing drawn above or below it covers its content. A `/Rotate`d page is turned upright
+ * first, with the size it is shown at. The page keeps its object, links to it and outline entries still open it,
+ * and its annotations are moved along with the content.
+ * @param {PDFDocument} pdfDoc - The document of the page.
+ * @param {PDFPage} page - The page.
+ * @param {Object} frame - Space kept free, in pt.
+ * @param {number} frame.top - Space kept free at the top of the page.
+ * @param {number} frame.bottom - Space kept free at the bottom of the page.
+ * @returns {Promise<void>}
  */
+const fitPageIntoFrame = async (pdfDoc, page, { top, bottom }) => {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const turned = rotation === 90 || rotation === 270;
+    const width = turned ? box.height : box.width;
+    const height = turned ? box.width : box.height;
+
+    const scale = Math.max(0, Math.min(1, (height - top - bottom) / height));
+    const offsetX = (width - width * scale) / 2;
+    const offsetY = bottom + (height - top - bottom - height * scale) / 2;
+
+    // Where a point of the crop box is shown once the page is turned upright, and how the form is drawn to match
+    const upright = {
+        0: (a, b) => [a, b],
+        90: (a, b) => [b, box.width - a],
+        180: (a, b) => [box.width - a, box.height - b],
+        270: (a, b) => [box.height - b, a],
+    }[rotation] || ((a, b) => [a, b]);
+    const placement = { 90: [-90, 0, box.width], 180: [180, box.width, box.height], 270: [90, box.height, 0] }[rotation] || [0, 0, 0];
+    const toPage = (x, y) => {
+        const [u, v] = upright(x - box.x, y - box.y);
+        return [offsetX + u * scale, offsetY + v * scale];
+    };
 
+    page.setMediaBox(0, 0, width, height);
+    page.setCropBox(0, 0, width, height);
+    page.setRotation(degrees(0));
+    ["BleedBox", "TrimBox", "ArtBox"].forEach((name) => page.node.delete(PDFName.of(name)));
 
+    // A page without content has nothing to move
+    if (!page.node.Contents()) {
+        return;
+    }
 
+    // The form holds the page's content as it is now, so it is embedded before the content is replaced
+    const form = await pdfDoc.embedPage(page, { left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height });
+    await form.embed();
+    page.node.set(PDFName.of("Contents"), pdfDoc.context.obj([]));
+    page.node.set(PDFName.of("Resources"), pdfDoc.context.obj({ Font: {}, XObject: {}, ExtGState: {} }));
+    const [angle, x, y] = placement;
+    page.drawPage(form, {
+        x: offsetX + x * scale,
+        y: offsetY + y * scale,
+        xScale: scale,
+        yScale: scale,
+        rotate: degrees(angle),
+    });
+
+    const annots = page.node.Annots();
+    (annots ? annots.asArray() : []).forEach((ref) => {
+        const annotation = pdfDoc.context.lookup(ref, PDFDict);
+        const rect = annotation.lookup(PDFName.of("Rect"));
+        if (!(rect instanceof PDFArray)) return;
+        const [x1, y1, x2, y2] = rect.asArray().map((value) => value.asNumber());
+        const [ax, ay] = toPage(x1, y1);
+        const [bx, by] = toPage(x2, y2);
+        annotation.set(PDFName.of("Rect"), pdfDoc.context.obj([Math.min(ax, bx), Math.min(ay, by), Math.max(ax, bx), Math.max(ay, by)]));
+        // Viewers fall back to the rectangle
+        annotation.delete(PDFName.of("QuadPoints"));
+    });
+};
+
+/**
+ * Adds a header, footer, and a QR code linking to the online report to an existing PDF. The QR code is left out when
+ * the theme has no `reportUrl`. The content of every page is scaled down into the frame
+ * left between the header and the footer (see `fitPageIntoFrame`), whatever the size and orientation of the page.
+ * @param {string|Uint8Array|PDFDocument} input - The existing PDF (path, bytes or document). A document is modified in place.
+ * @param {string|Uint8Array|null} headerImageInput - Path to (or bytes of) the header image, null for the theme's `pdfHeader`.
+ * @param {string|Uint8Array|null} footerImageInput - Path to (or bytes of) the footer image, null for the theme's `pdfFooter`.
+ * @param {string} interactivelink - Dynamic value for generating the QR code (the scan id in the theme's `reportUrl`).
+ * @param {Object} [theme] - The branding theme (see themes.js), the default theme when omitted.
+ * @returns {Promise<PDFDocument>} - The modified PDF document.
+ */
 const addHeaderAndFooterToExistingPDF = async (
-    inputPath,
-    outputPath,
-    headerImagePath,
-    footerImagePath,
-    footerLink,
-    interactivelink
+    input,
+    headerImageInput,
+    footerImageInput,
+    interactivelink,
+    theme = getTheme()
 ) => {
+    // Reads an image from a path, or uses the bytes as they are
+    const readImageBytes = (image) => typeof image === "string" ? fs.promises.readFile(image) : image;
+    // Theme assets may be PNG or JPEG, JPEG files start with FF D8
+    const embedImage = (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 ? pdfDoc.embedJpg(bytes) : pdfDoc.embedPng(bytes);
+
     // Step 1: Load the existing PDF
-    const existingPdfBytes = fs.readFileSync(inputPath);
-    const pdfDoc = await PDFDocument.load(existingPdfBytes);
+    const pdfDoc = await loadPdfDocument(input);
 
-    // Step 2: Load the header image
-    const headerImageBytes = fs.readFileSync(headerImagePath);
-    const headerImage = await pdfDoc.embedPng(headerImageBytes);
-    const headerImageWidth = pdfDoc.getPage(0).getWidth(); // Full width
-    const headerImageHeight = 130; // Fixed height for header
+    // Step 2: Load the header and footer images
+    const headerImage = await embedImage(await readImageBytes(headerImageInput || theme.assets.pdfHeader));
+    const footerImage = await embedImage(await readImageBytes(footerImageInput || theme.assets.pdfFooter));
 
-    // Step 3: Add the header to each page
+    // Step 3: Scale the content of every page into the frame between the header and the footer, each page with its
+    // own size and orientation, then add the header (full width) and the footer on top
     const pages = pdfDoc.getPages();
-    pages.forEach((page) => {
-        const { height } = page.getSize();
+    for (const page of pages) {
+        await fitPageIntoFrame(pdfDoc, page, { top: IMPORTED_HEADER_HEIGHT, bottom: IMPORTED_FOOTER_HEIGHT });
+        const { width, height } = page.getSize();
         page.drawImage(headerImage, {
             x: 0, // Start from the left
-            y: height - headerImageHeight, // Position at the top
-            width: headerImageWidth,
-            height: headerImageHeight,
+            y: height - IMPORTED_HEADER_HEIGHT, // Position at the top
+            width,
+            height: IMPORTED_HEADER_HEIGHT,
         });
-    });
-
-    // Step 4: Load the footer image
-    const footerImageBytes = fs.readFileSync(footerImagePath);
-    const footerImage = await pdfDoc.embedPng(footerImageBytes);
-    const footerImageWidth = 100; // Fixed width for footer
-    const footerImageHeight = 50; // Fixed height for footer
-
-    // Step 5: Add the footer to each page
-    pages.forEach((page) => {
         page.drawImage(footerImage, {
             x: 0, // Start from the left
             y: 0, // Position at the bottom
-            width: footerImageWidth,
-            height: footerImageHeight,
+            width: IMPORTED_FOOTER_WIDTH,
+            height: IMPORTED_FOOTER_HEIGHT,
         });
-    });
+    }
 
-    // Step 6: Generate a QR Code with the given interactive link
-    const qrValue = `http://62.72.58.111:4000/user/scanreport/${interactivelink}`; // URL to encode in QR code
-    const qrCodePath = path.join(__dirname, "qrcode.png"); // Temporary QR code file path
-
-    // Generate the QR code and save it as a PNG
-    await QRCode.toFile(qrCodePath, qrValue, {
-        width: 200, // Define QR code size
-        margin: 2, // Small margin
-        color: {
-            dark: "#000000", // Black for QR code
-            light: "#FFFFFF", // White background
-        },
-    });
+    // The QR code goes on the second page (if available) and needs the URL of the online report
+    if (!theme.reportUrl) {
+        console.warn("No report URL configured (REPORT_BASE_URL), the QR code is left out");
+    } else if (pages.length > 1) {
+        // Step 4: Generate a QR Code with the given interactive link
+        const qrValue = theme.reportUrl.replace("{scanId}", encodeURIComponent(interactivelink)); // URL to encode in QR code
+
+        // Generate the QR code as PNG bytes (no temporary file, so parallel reports cannot overwrite each other's code)
+        const qrCodeImageBytes = await QRCode.toBuffer(qrValue, {
+            type: "png",
+            width: 200, // Define QR code size
+            margin: 2, // Small margin
+            color: {
+                dark: "#000000", // Black for QR code
+                light: "#FFFFFF", // White background
+            },
+        });
 
-    // Step 7: Load the QR code into the PDF
-    const qrCodeImageBytes = fs.readFileSync(qrCodePath);
-    const qrCodeImage = await pdfDoc.embedPng(qrCodeImageBytes);
-    const qrCodeWidth = 120; // Set QR code width
-    const qrCodeHeight = 150; // Set QR code height
+        // Step 5: Load the QR code into the PDF
+        const qrCodeImage = await pdfDoc.embedPng(qrCodeImageBytes);
+        const qrCodeWidth = 120; // Set QR code width
+        const qrCodeHeight = 150; // Set QR code height
 
-    // Step 8: Add the QR code to the second page only (if available)
-    if (pages.length > 1) {
+        // Step 6: Add the QR code to the second page
         const secondPage = pages[1]; // Get second page
         const { width, height } = secondPage.getSize();
 
         // Position the QR code in the top-right corner
         const qrCodeX = width - qrCodeWidth - 5; // Right margin
-        const qrCodeY = height - headerImageHeight - qrCodeHeight - 405; // Adjust height
+        const qrCodeY = Math.max(IMPORTED_FOOTER_HEIGHT, height - IMPORTED_HEADER_HEIGHT - qrCodeHeight - 405); // Adjust height, above the footer
 
         // Draw a white background rectangle behind the QR code (optional)
         secondPage.drawRectangle({
@@ -229,1100 +718,560 @@ const addHeaderAndFooterToExistingPDF = async (
         });
     }
 
-    // Step 9: Save the modified PDF
-    const modifiedPdfBytes = await pdfDoc.save();
-    fs.writeFileSync(outputPath, modifiedPdfBytes);
-    console.log(`Header, Footer, and QR Code added. Saved as: ${outputPath}`);
-
-    // Step 10: Delete the temporary QR code file
-    fs.unlinkSync(qrCodePath);
+    return pdfDoc;
 };
 
 /**
- * Generates a cover page for a report with custom header, footer, and social media links.
- * @param {Object} data - The data used to populate the report.
- * @param {Object} data.scannedDocument - The scanned document information.
- * @param {string} data.scannedDocument.metadata.filename - The name of the scanned file.
- * @param {number} data.scannedDocument.creationTime - The timestamp when the document was scanned.
- * @param {number} data.scannedDocument.totalWords - The total word count of the scanned document.
- * @param {number} data.scannedDocument.totalExcluded - The number of omitted words during the plagiarism scan.
- * @param {Object} data.results.score - The plagiarism score data.
- * @param {number} data.results.score.aggregatedScore - The aggregated plagiarism score.
- * @param {number} data.results.score.identicalWords - The number of identical words found.
- * @param {number} data.results.score.minorChangedWords - The number of minor changed words found.
- * @param {number} data.results.score.relatedMeaningWords - The number of paraphrased words found.
- * @returns {jsPDF} - The jsPDF document object with the cover page added.
+ * Fonts of a report: the theme's, with the roles of the locale (e.g. an Arabic font for Arabic reports) on top.
+ * @param {Object} theme - The branding theme.
+ * @param {Object} locale - The report locale (see i18n.js).
+ * @returns {Object} - Family per role and the TTF files to embed.
  */
-const coverpage = (data) => {
-    const doc = new jsPDF(); // Create a new jsPDF instance for the document
-    const pageWidth = doc.internal.pageSize.width; // Get the width of the page
-    const pageHeight = doc.internal.pageSize.height; // Get the height of the page
-    const imageHeight = 45; // Height for the header image
-    const footerHeight = 10; // Height for the footer
-
-    /**
-     * Reads a Base64 encoded file and returns its content.
-     * @param {string} filename - The name of the file to read.
-     * @returns {string} - The Base64 content of the file.
-     */
-    const readBase64File = (filename) => {
-        try {
-            // Read the file content and trim extra whitespace
-            return fs.readFileSync(path.join(__dirname, "images", filename), "utf-8").trim();
-        } catch (error) {
-            console.error(`Error reading file ${filename}:`, error.message);
-            return ''; // Return empty string in case of error
-        }
-    };
-
-    // Reading images in Base64 format
-    const headerImageBase64 = readBase64File("banner_base64.txt");
-    console.log("Header Image Loaded");
-    const certImage = readBase64File("footerbanner_base64.txt");
-    console.log("Footer Image Loaded");
-    const instagramIcon = readBase64File("instagram_icon_base64.txt");
-    console.log("Instagram Icon Loaded");
-    const facebookIcon = readBase64File("facebook_icon_base64.txt");
-    console.log("Facebook Icon Loaded");
-    const linkedinIcon = readBase64File("linkedin_icon_base64.txt");
-    console.log("LinkedIn Icon Loaded");
-    const twitterIcon = readBase64File("twitter_icon_base64.txt");
-    console.log("Twitter Icon Loaded");
-
-    // Add the header image to the document
-    doc.addImage(headerImageBase64, "PNG", 0, 0, pageWidth, imageHeight);
-    console.log("Added Header Image to the Document");
-
-    // Add a footer text to the document
-    doc.setFontSize(10);
-    doc.text("Generated by Your App", pageWidth / 2, pageHeight - footerHeight, { align: "center" });
-
-    // Add the certificate image to the footer
-    doc.addImage(certImage, "PNG", 0, pageHeight - footerHeight - 5, 50, 15);
-    console.log("Added Certificate Image to the Document");
-
-    // Add the certificate text to the footer
-    doc.setFontSize(16);
-    doc.setFont("times", "bold");
-    doc.setTextColor(169, 169, 169); // Gray color
-    doc.text("Certified by", 5, pageHeight - footerHeight - 10);
-
-    // Define social media links and icons
-    const socialMediaMargin = pageWidth - 60;
-    const socialLinks = [
-        { file: instagramIcon, url: "https://www.instagram.com/yourcompany" },
-        { file: facebookIcon, url: "https://www.facebook.com/yourcompany" },
-        { file: linkedinIcon, url: "https://www.linkedin.com/company/yourcompany" },
-        { file: twitterIcon, url: "https://twitter.com/yourcompany" }
-    ];
-
-    // Loop through the social media icons and add them to the footer
-    socialLinks.forEach((item, index) => {
-        const icon = item.file;
-        console.log(`Added ${item.url} Icon`);
-        doc.addImage(icon, "PNG", socialMediaMargin + index * 15, pageHeight - footerHeight - 5, 10, 10);
-        doc.link(socialMediaMargin + index * 15, pageHeight - footerHeight - 10, 10, 10, { url: item.url });
-    });
-
-    // Add the title "Analysis Report" to the cover page
-    doc.setFont("times", "bold");
-    doc.setFontSize(40);
-    doc.setTextColor(0, 102, 204); // Blue color
-    doc.text("Analysis Report", 10, imageHeight + 20);
-
-    // Add subtitle "Plagiarism Detection and AI Detection Report"
-    doc.setFont("helvetica", "bold");
-    doc.setFontSize(14);
-    doc.setTextColor(0, 0, 0); // Black color
-    doc.text("Plagiarism Detection and AI Detection Report", 12, imageHeight + 30);
-
-    // Add the filename from the scanned document metadata
-    doc.setFont("courier", "italic");
-    doc.setFontSize(16);
-    doc.setTextColor(255, 87, 34); // Orange color
-    doc.text(`${data.scannedDocument.metadata.filename}`, 12, imageHeight + 36);
-
-    // Add scan details to the cover page
-    const scanDetailsY = imageHeight + 30;
-    const marginRight = pageWidth - 60;
-    doc.setFont("courier", "bold");
-    doc.setFontSize(8);
-    doc.setTextColor(0); // Black color
-    doc.text("Scan Details", marginRight, scanDetailsY);
-
-    doc.setFont("courier", "normal");
-    doc.text("Scan Time:", marginRight, scanDetailsY + 5);
-    doc.setFont("courier", "italic");
-    doc.text(new Date(data.scannedDocument.creationTime).toLocaleString(), marginRight + 20, scanDetailsY + 5);
-
-    doc.setFont("courier", "normal");
-    doc.text("Total Pages:", marginRight, scanDetailsY + 9);
-    doc.text("1", marginRight + 20, scanDetailsY + 9);
-    doc.text("Total Words:", marginRight, scanDetailsY + 13);
-    doc.text(data.scannedDocument.totalWords.toString(), marginRight + 20, scanDetailsY + 13);
-
-    // Add sections to the cover page
-    const sectionsStartY = scanDetailsY + 20;
-    doc.setFont("times", "bold");
-    doc.setFontSize(16);
-    doc.text("Plagiarism Detection", 25, sectionsStartY);
-
-    // Draw the plagiarism circle based on score
-    const plagiarismScore = data.results.score.aggregatedScore;
-    drawPlagiarismCircle(doc, plagiarismScore, 75, sectionsStartY + 40, 25);
-
-    // Add analytics section header
-    const analyticsStartY = sectionsStartY + 80;
-    doc.setFont("times", "bold");
-    doc.setFontSize(12);
-    doc.text("Analytics", 25, analyticsStartY);
-    doc.setLineWidth(0.5);
-    doc.setDrawColor(169, 169, 169); // Gray color
-    doc.line(25, analyticsStartY + 5, pageWidth / 2 - 10, analyticsStartY + 5);
-
-    // Add table headers for plagiarism types
-    const tableStartY = analyticsStartY + 15;
-    doc.setFont("helvetica", "bold");
-    doc.setFontSize(10);
-    doc.text("Plagiarism Types", 25, tableStartY);
-    doc.text("Test Coverage", 65, tableStartY);
-    doc.text("Words", 95, tableStartY);
-    doc.line(25, tableStartY + 5, pageWidth / 2 - 10, tableStartY + 5);
-
-    // Add the plagiarism types data to the table
-    let currentY = tableStartY + 15;
-    const plagiarismTypes = [
-        { label: "Identical Insights", color: [255, 0, 0], words: data.results.score.identicalWords },
-        { label: "Minor Changes", color: [255, 102, 102], words: data.results.score.minorChangedWords },
-        { label: "Paraphrased", color: [255, 165, 0], words: data.results.score.relatedMeaningWords }
-    ];
-    doc.setFont("helvetica", "normal");
-    doc.setFontSize(8);
-    plagiarismTypes.forEach(type => {
-        doc.setFillColor(...type.color);
-        doc.circle(25, currentY - 1.5, 1.5, "F");
-        doc.text(type.label, 28, currentY);
-        doc.text(type.words.toString(), 95, currentY);
-        currentY += 10;
-    });
+const reportFonts = (theme, locale) => ({
+    ...theme.fonts,
+    ...locale.fonts,
+    files: [...theme.fonts.files, ...locale.fonts.files],
+});
 
-    return doc; // Return the generated jsPDF document
-};
-
-
-// Function to create the detailed analysis page
-const PlagiarismdetailedAnalysisPage = (doc, data) => {
-    // Add a new page
-    doc.addPage();
-
-    // Add the "Plagiarism" header
-    doc.setFont("times", "bold"); // Times font, bold
-    doc.setFontSize(40); // Increase the font size
-    doc.text("Plagiarism", 20, 20); // Text at the top left
-
-    // Add a circle with the plagiarism score
-    const circleX = 180; // X-coordinate for the circle
-    const circleY = 30; // Y-coordinate for the circle
-    const radius = 20; // Radius of the circle
-    drawPlagiarismCircle(doc, data.results.score.aggregatedScore, circleX, circleY, radius);
-
-    // Add "Result (0)" above the first row of images
-    const resultText = "Result (0)";
-    doc.setFontSize(12);
-    doc.text(resultText, doc.internal.pageSize.width / 8, circleY + radius + 10, { align: "center" });
-
-    // Define constants for image placement
-    const pageWidth = doc.internal.pageSize.width;
-    const imageWidth = 10; // Width of each image
-    const imageHeight = 10; // Height of each image
-    const columnSpacing = 25; // Space between images in a row
-    const rowSpacing = 20; // Space between rows
-    const offsetLeft = 50; // Adjust to move images to the left
-    const imageYStart = circleY + radius + 20; // Start Y-coordinate for the images
-
-    // Image file data
-    const images = [
-        {
-            base64: fs.readFileSync(path.join(__dirname, "images", "database_base64.txt"), "utf-8").trim(),
-
-            heading: "Repository",
-        },
-        {
-            base64: fs.readFileSync(path.join(__dirname, "images", "internal_database_base64.txt"), "utf-8").trim(),
+// Paper sizes the generated pages can be printed on (jsPDF format names)
+const PAPER_SIZES = ["a3", "a4", "a5", "letter", "legal"];
 
-            // fs.readFileSync("images/internal_database_base64.txt", "utf-8").trim(),
-            heading: "Internal Database",
-        },
-        {
-            base64: fs.readFileSync(path.join(__dirname, "images", "filter_base64.txt"), "utf-8").trim(),
-            // fs.readFileSync("images/filter_base64.txt", "utf-8").trim(),
-            heading: "Filtered/Excluded",
-        },
-        {
-            base64: fs.readFileSync(path.join(__dirname, "images", "internet_base64.txt"), "utf-8").trim(),
-            // fs.readFileSync("images/internet_base64.txt", "utf-8").trim(),
-            heading: "Internet Sources",
-        },
-        {
-            base64: fs.readFileSync(path.join(__dirname, "images", "batch_base64.txt"), "utf-8").trim(),
-            // fs.readFileSync("images/batch_base64.txt", "utf-8").trim(),
-            heading: "Current Batch",
-        },
-    ];
-
-    // Center-align first row (3 images) and shift left
-    let x = (pageWidth - (3 * imageWidth + 2 * columnSpacing)) / 2 - offsetLeft;
-    let y = imageYStart;
-
-    for (let i = 0; i < 3; i++) {
-        const img = images[i];
-        doc.addImage(img.base64, "PNG", x, y, imageWidth, imageHeight);
-        doc.setFont("times", "normal");
-        doc.setFontSize(10);
-        doc.text(img.heading, x + imageWidth / 2, y + imageHeight + 5, { align: "center" });
-        doc.text("0", x + imageWidth / 2, y + imageHeight + 10, { align: "center" });
-        x += imageWidth + columnSpacing; // Move to the next image
-    }
-
-    // Center-align second row (2 images) and shift left
-    x = (pageWidth - (2 * imageWidth + columnSpacing)) / 2 - offsetLeft;
-    y += imageHeight + rowSpacing; // Move to the next row
-
-    for (let i = 3; i < 5; i++) {
-        const img = images[i];
-        doc.addImage(img.base64, "PNG", x, y, imageWidth, imageHeight);
-        doc.setFont("times", "normal");
-        doc.setFontSize(10);
-        doc.text(img.heading, x + imageWidth / 2, y + imageHeight + 5, { align: "center" });
-        doc.text("0", x + imageWidth / 2, y + imageHeight + 10, { align: "center" });
-        x += imageWidth + columnSpacing; // Move to the next image
-    }
-
-    // Add plagiarism analytics after the circle
-    const plagiarismSectionX = pageWidth / 2 + 10; // Adjust to position on the right half
-    const plagiarismSectionWidth = pageWidth / 2 - 20; // Width of the plagiarism section
-    const analyticsStartY = circleY + radius + 20;
-
-    doc.setFont("times", "bold");
-    doc.setFontSize(12);
-    doc.text("Analytics", plagiarismSectionX, analyticsStartY);
-
-    // Add a gray line under the title
-    doc.setLineWidth(0.5);
-    doc.setDrawColor(169, 169, 169);
-    doc.line(plagiarismSectionX, analyticsStartY + 5, plagiarismSectionX + plagiarismSectionWidth - 10, analyticsStartY + 5);
-
-    // Add table headers
-    const tableStartY = analyticsStartY + 15;
-    doc.setFont("helvetica", "bold");
-    doc.setFontSize(10);
-    doc.text("Plagiarism Types", plagiarismSectionX, tableStartY);
-    doc.text("Test Coverage", plagiarismSectionX + 40, tableStartY);
-    doc.text("Words", plagiarismSectionX + 70, tableStartY);
-
-    // Add a gray line under the headers
-    doc.line(plagiarismSectionX, tableStartY + 5, plagiarismSectionX + plagiarismSectionWidth - 10, tableStartY + 5);
-
-    // Add rows for analytics
-    doc.setFont("helvetica", "normal");
-    doc.setFontSize(8);
-
-    let currentY = tableStartY + 15;
-
-
-
-    // Row 1: Identical Insights
-    doc.setFillColor(255, 0, 0);
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "F");
-    doc.text("Identical Insights", plagiarismSectionX + 3, currentY);
-    doc.text("100%", plagiarismSectionX + 45, currentY);
-    doc.text(`${data.results.score.identicalWords}`, plagiarismSectionX + 70, currentY);
-
-    // Row 2: Minor Changes
-    currentY += 5;
-    doc.setFillColor(255, 102, 102);
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "F");
-    doc.text("Minor Changes", plagiarismSectionX + 3, currentY);
-    doc.text("0%", plagiarismSectionX + 45, currentY);
-    doc.text(`${data.results.score.minorChangedWords}`, plagiarismSectionX + 70, currentY);
-
-    // Row 3: Paraphrased
-    currentY += 5;
-    doc.setFillColor(255, 165, 0);
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "F");
-    doc.text("Paraphrased", plagiarismSectionX + 3, currentY);
-    doc.text("0%", plagiarismSectionX + 45, currentY);
-    doc.text(`${data.results.score.relatedMeaningWords}`, plagiarismSectionX + 70, currentY);
-
-    // Add a gray line after the rows
-    currentY += 5;
-    doc.line(plagiarismSectionX, currentY, plagiarismSectionX + plagiarismSectionWidth - 10, currentY);
-    currentY += 5;
-    // Lighter blue color for the circle
-    doc.setFillColor(173, 216, 230); // Light blue color for the fill
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "F"); // Filled circle
-
-    // Dotted outline for the circle
-    doc.setLineWidth(0.5); // Thin line for the outline
-    doc.setDrawColor(173, 216, 230); // Same light blue for the outline
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "D"); // Dotted circle outlin
-    doc.text("Ommitted Words", plagiarismSectionX + 3, currentY);
-    doc.text("0%", plagiarismSectionX + 45, currentY);
-    doc.text(`${data.results.score.relatedMeaningWords}`, plagiarismSectionX + 70, currentY);
-
-    // Add excluded words
-    // Adjust sectionStartY based on the current content position
-    const sectionStartY = currentY + 20;
-
-    // Define the page margins and maximum text width
-    const marginLeft = 10;
-    const marginRight = 20;
-    let maxTextWidth = doc.internal.pageSize.width - marginLeft - marginRight;
-
-    // Add the heading
-    doc.setFont("times", "bold");
-    doc.setFontSize(10);
-    doc.text(
-        "About Our Plagiarism Detection",
-        marginLeft,
-        sectionStartY
-    );
-
-    // Add the body text with wrapping
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    const bodyText =
-        "Our AI-powered plagiarism scans offer three layers of text similarity detection: Identical, Minor Changes, and Paraphrased. Based on your scan settings, we also provide insights on how much of the text you are not scanning for plagiarism (Omitted words).";
-    const wrappedText = doc.splitTextToSize(bodyText, maxTextWidth);
-    doc.text(wrappedText, marginLeft, sectionStartY + 5);
-
-
-    // Define constants for the rows
-    // Constants for layout
-    const colSpacing = 20; // Adjust column spacing
-    const leftColX = 15; // Left column X position
-    const rightColX = doc.internal.pageSize.width / 2 + 5; // Right column X position
-
-    // First row
-    let rowY = sectionStartY + 25; // Initial row Y position
-
-    // Left: Identical
-    doc.setFillColor(255, 0, 0); // Red color
-    doc.circle(leftColX, rowY - 3, 3, "F");
-    doc.setFont("times", "bold");
-    doc.text("Identical", leftColX + 5, rowY - 3);
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "One-to-one exact word matches.",
-        "Learn more",
-        leftColX,
-        rowY + 5,
-        "lightblue",
-        "https://example.com/identical"
-    );
-
-    // Right: Minor Changes
-    doc.setTextColor(0, 0, 0); // Reset text color
-    let minorChangesY = sectionStartY + 23; // Ensure alignment with Identical
-    doc.setFillColor(255, 102, 102); // Light red color
-    doc.circle(rightColX, minorChangesY - 3, 3, "F");
-    doc.setFont("times", "bold");
-    doc.setFontSize(10);
-    doc.text("Minor Changes", rightColX + 5, minorChangesY - 2);
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    minorChangesY = addTextWithLink(
-        doc,
-        "Words that hold nearly the same meaning but have a change of their form (e.g., 'large' becomes 'largely').",
-        "Learn more",
-        rightColX,
-        minorChangesY + 5,
-        "lightblue",
-        "https://example.com/minor-changes"
-    );
-
-    // Second row
-    rowY = Math.max(rowY, minorChangesY) + colSpacing - 10; // Ensure proper alignment for the second row
-
-    // Left: Paraphrased
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.setFillColor(255, 165, 0); // Orange color
-    doc.circle(leftColX, rowY - 3, 3, "F");
-    doc.setFont("times", "bold");
-    doc.setFontSize(10);
-    doc.text("Paraphrased", leftColX + 5, rowY - 2);
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "Different words that hold the same meaning that replace the original content (e.g., 'large' becomes 'big').",
-        "Learn more",
-        leftColX,
-        rowY + 5,
-        "lightblue",
-        "https://example.com/paraphrased"
-    );
-
-    // Right: Omitted Words
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.setLineWidth(0.5);
-    doc.setDrawColor(0, 0, 255); // Blue color
-    doc.circle(rightColX, rowY - 24, 3, "D"); // Dotted circle
-    doc.setFont("times", "bold");
-    doc.setFontSize(10);
-    doc.text("Omitted Words", rightColX + 5, rowY - 23);
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "The portion of text not being scanned for plagiarism based on the scan settings (e.g., the 'ignore quotation' setting is enabled, and the document is 20% quotation, making the omitted words percentage 20%).",
-        "Learn more",
-        rightColX,
-        rowY - 15,
-        "lightblue",
-        "https://example.com/omitted-words"
-    );
-
-    // Continuing from previous code...
-
-    rowY += 2; // Spacing for the next section
-    doc.setDrawColor(192); // Set gray color for the line
-    doc.setLineWidth(0.5); // Set thin line width
-    doc.line(10, rowY, doc.internal.pageSize.width - 10, rowY); // Draw a horizontal line across the page
-
-    // Copyleaks Internal Database
-    rowY += 5; // Spacing for the next section
-    doc.setFont("times", "bold");
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.text("Skyline Academics Internal Database", 10, rowY); // Use full page width
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "Our Internal Database is a collection of millions of user-submitted documents that you can utilize as a scan resource and choose whether or not you would like to submit the file you are scanning into the Internal Database.",
-        "Learn more",
-        10, // Start at the left edge of the page
-        rowY + 5,
-        "lightblue",
-        "https://example.com/copyleaks-internal-database",
-        1
-    );
-
-    // Filtered and Excluded Results
-    rowY += 2; // Spacing for the next section
-    doc.setFont("times", "bold");
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.text("Filtered and Excluded Results", 10, rowY); // Use full page width
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "The report will generate a complete list of results. There is always the option to exclude specific results that are not relevant. Note, by unchecking certain results, the similarity percentage may change.",
-        "Learn more",
-        10, // Start at the left edge
-        rowY + 5,
-        "lightblue",
-        "https://example.com/filtered-excluded-results",
-        1
-    );
-
-    // Current Batch Results
-    rowY += 2; // Spacing for the next section
-    doc.setFont("times", "bold");
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.text("Current Batch Results", 10, rowY); // Use full page width
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "These are the results displayed from the collection, or batch, of files uploaded for a scan at the same time.",
-        "Learn more",
-        10, // Start at the left edge
-        rowY + 5,
-        "lightblue",
-        "https://example.com/current-batch-results",
-        1
-    );
-
-    // Reset text color
-    doc.setTextColor(0, 0, 0); // Reset text color to black
-
-    const pageHeight = doc.internal.pageSize.height;
-    const footerHeight = 10; // Space for the footer
-
-    // // Add the text in the footer center
-    doc.setFontSize(10);
-    doc.text("Generated by Your App", pageWidth / 2, pageHeight - footerHeight, { align: "center" });
-
-    // Add certification image on the left with "Certified by"
-    const certImage = fs.readFileSync(path.join(__dirname, "images/footerbanner_base64.txt"), "utf-8").trim();
-    const certImageWidth = 50; // Width of the certification image
-    const certImageHeight = 15; // Height of the certification image
-
-    // Add certification image
-    doc.addImage(certImage, "PNG", 0, pageHeight - footerHeight - 5, certImageWidth, certImageHeight); // Adjust the position
-
-
-
-
-    // Function to add social media icons to the footer
-    const addSocialMediaIcons = (doc, pageWidth, pageHeight, footerHeight) => {
-        const socialMediaMargin = pageWidth - 60; // Start the icons 60 units from the right
-
-        // Define social media links and icon paths
-        const socialMediaData = [
-            { iconPath: "images/instagram_icon_base64.txt", url: "https://www.instagram.com/yourcompany", xOffset: 0 },
-            { iconPath: "images/facebook_icon_base64.txt", url: "https://www.facebook.com/yourcompany", xOffset: 15 },
-            { iconPath: "images/linkedin_icon_base64.txt", url: "https://www.linkedin.com/company/yourcompany", xOffset: 30 },
-            { iconPath: "images/twitter_icon_base64.txt", url: "https://twitter.com/yourcompany", xOffset: 45 }
-        ];
-
-        // Loop through the social media data and add icons
-        socialMediaData.forEach((socialMedia) => {
-            const iconBase64 = fs.readFileSync(path.join(__dirname, socialMedia.iconPath), "utf-8").trim();
-            const xPosition = socialMediaMargin + socialMedia.xOffset;
-            const yPosition = pageHeight - footerHeight - 5;
-            const iconSize = 10;
-
-            doc.addImage(iconBase64, "PNG", xPosition, yPosition, iconSize, iconSize);
-            doc.link(xPosition, pageHeight - footerHeight - 10, iconSize, iconSize, { url: socialMedia.url });
-        });
+/**
+ * The paper size and orientation of the generated pages, as the page builders take them. Values that are not known
+ * fall back to A4 portrait.
+ * @param {string} [paper] - One of `PAPER_SIZES`.
+ * @param {string} [orientation] - `portrait` or `landscape`.
+ * @returns {{ format: string, orientation: string }}
+ */
+const pageSetup = (paper, orientation) => {
+    const format = String(paper || "").toLowerCase();
+    return {
+        format: PAPER_SIZES.includes(format) ? format : "a4",
+        orientation: orientation === "landscape" ? "landscape" : "portrait",
     };
+};
 
-    // Call the function
-    addSocialMediaIcons(doc, pageWidth, pageHeight, footerHeight);
-
-
-
-
-
+/**
+ * Creates a jsPDF document with the report's TTF fonts embedded.
+ * @param {Object} fonts - The report fonts (see `reportFonts`).
+ * @param {Object} [page] - Size of the first page, A4 portrait by default.
+ * @param {string|number[]} [page.format] - A paper name or `[width, height]` in mm.
+ * @param {string} [page.orientation] - `portrait` or `landscape`.
+ * @returns {jsPDF}
+ */
+const createDocument = (fonts, { format, orientation } = {}) => {
+    const doc = new jsPDF({ format, orientation });
+    registerFonts(doc, fonts.files);
     return doc;
-}
-
+};
 
+/**
+ * Adds an outline entry (bookmark) to a jsPDF document, `loadPdfDocument` carries it over to pdf-lib.
+ * @param {jsPDF} doc - The document.
+ * @param {string} title - Title of the entry.
+ * @param {Object} [options] - Entry options.
+ * @param {number} [options.pageNumber] - Page the entry opens (1-based), the next page added by default.
+ * @param {Object} [options.parent] - Entry to nest it under, the top level by default.
+ * @returns {Object} - The entry, to nest others under.
+ */
+const bookmark = (doc, title, { pageNumber = doc.getNumberOfPages() + 1, parent = null } = {}) =>
+    doc.outline.add(parent, title, { pageNumber });
+
+// The similarity figures as the pages print them, formatted for the locale
+const similarityView = (similarity, locale) => similarity && {
+    score: similarity.score,
+    scoreLabel: locale.formatPercent(similarity.score),
+    identicalWords: locale.formatNumber(similarity.identicalWords),
+    minorChangedWords: locale.formatNumber(similarity.minorChangedWords),
+    paraphrasedWords: locale.formatNumber(similarity.paraphrasedWords),
+    omittedWords: locale.formatNumber(similarity.omittedWords),
+};
 
-// Function to create the detailed analysis page
-const AiAnalysisPage = (aidata, aivalueData) => {
+// Share of the document per plagiarism type (see `getSimilarityCoverage`), formatted for the locale
+const coverageView = (model, locale) => model.similarity && Object.fromEntries(
+    Object.entries(getSimilarityCoverage(model)).map(([type, percent]) => [type, locale.formatPercent(percent)]),
+);
 
-    const doc = new jsPDF();
-    // const pageWidth = doc.internal.pageSize.width; // Width of the page
-    // Add a new page
-    // doc.addPage();
+/**
+ * Generates a cover page for a report with custom header, footer, and social media links.
+ * The layout is `COVER_TEMPLATE` in reportTemplates.js.
+ * @param {ReportModel} model - The report model (see reportModel.js).
+ * @param {ReportDocument} model.document - The scanned document's filename, scan time and word count.
+ * @param {ReportSimilarity|null} model.similarity - The plagiarism score and word counts per plagiarism type.
+ *   When it is null (no plagiarism scan), the plagiarism gauge and analytics are left out.
+ * @param {Object} [options] - Cover page options.
+ * @param {Object[]} [options.sections] - Report sections listed under "Report Contents",
+ *   as `{ label, included, reason }` (reason is shown for sections that are not included).
+ * @param {Object} [options.theme] - The branding theme (see themes.js), the default theme when omitted.
+ * @param {Object} [options.locale] - The report locale (see i18n.js), the default locale when omitted.
+ * @param {Object} [options.page] - `{ format, orientation }` of the document (see `pageSetup`), A4 portrait by default.
+ *   The cover page itself is always portrait, the pages added after it get the orientation.
+ * @returns {jsPDF} - The jsPDF document object with the cover page added.
+ */
+const coverpage = (model, options = {}) => {
+    const theme = options.theme || getTheme();
+    const locale = options.locale || getLocale();
+    const fonts = reportFonts(theme, locale);
+    const doc = createDocument(fonts, { ...options.page, orientation: "portrait" });
+    bookmark(doc, locale.t("outline.cover"), { pageNumber: 1 });
+
+    return renderTemplate(doc, COVER_TEMPLATE, {
+        theme,
+        t: locale.catalog({ brand: theme.name }),
+        document: {
+            filename: model.document.filename,
+            scanTime: locale.formatDate(model.document.createdAt),
+            totalPages: model.document.pageCount ? locale.formatNumber(model.document.pageCount) : null,
+            totalWords: locale.formatNumber(model.document.totalWords),
+        },
+        similarity: similarityView(model.similarity, locale),
+        coverage: coverageView(model, locale),
+        // Green when included, gray when missing
+        sections: options.sections && options.sections.map((section) => ({
+            label: section.label,
+            status: section.included ? locale.t("cover.included") : locale.t("cover.notIncluded", { reason: section.reason }),
+            markerColor: section.included ? theme.palette.included : theme.palette.excluded,
+        })),
+    }, { fonts, direction: locale.direction, bands: { footer: STAMP_BANDS.footer } });
+};
 
-    // Add the "Plagiarism" header
-    doc.setFont("times", "bold"); // Times font, bold
-    doc.setFontSize(40); // Increase the font size
-    doc.text("AI Content", 20, 20); // Text at the top left
 
-    // Add a circle with the plagiarism score
-    const circleX = 180; // X-coordinate for the circle
-    const circleY = 30; // Y-coordinate for the circle
-    const radius = 20; // Radius of the circle
-    drawPlagiarismCircle(doc, 100, circleX, circleY, radius);
-
-
-    // Define constants for image placement
-    const pageWidth = doc.internal.pageSize.width;
-    const imageWidth = 10; // Width of each image
-    const imageHeight = 10; // Height of each image
-    const columnSpacing = 25; // Space between images in a row
-    const rowSpacing = 20; // Space between rows
-    const offsetLeft = 50; // Adjust to move images to the left
-    const imageYStart = circleY + radius + 20; // Start Y-coordinate for the images
-
-
-
-    // Add plagiarism analytics after the circle
-    const plagiarismSectionX = pageWidth / 2 + 10; // Adjust to position on the right half
-    const plagiarismSectionWidth = pageWidth / 2 - 20; // Width of the plagiarism section
-    const analyticsStartY = circleY + radius + 20;
-
-    doc.setFont("times", "bold");
-    doc.setFontSize(12);
-    doc.text("Analytics", plagiarismSectionX, analyticsStartY);
-
-    // // Add a gray line under the title
-    doc.setLineWidth(0.5);
-    doc.setDrawColor(169, 169, 169);
-    // // doc.line(plagiarismSectionX, analyticsStartY + 5, plagiarismSectionX + plagiarismSectionWidth - 10, analyticsStartY + 5);
-
-    // Add table headers
-    const tableStartY = analyticsStartY + 5;
-    doc.setFont("helvetica", "bold");
-    doc.setFontSize(10);
-    // doc.text("Plagiarism Types", plagiarismSectionX, tableStartY);
-    doc.text("Test Coverage", plagiarismSectionX + 40, tableStartY);
-    doc.text("Words", plagiarismSectionX + 70, tableStartY);
-
-    // Add a gray line under the headers
-    doc.line(plagiarismSectionX, tableStartY + 5, plagiarismSectionX + plagiarismSectionWidth - 10, tableStartY + 5);
-
-    // Add rows for analytics
-    doc.setFont("helvetica", "normal");
-    doc.setFontSize(8);
-
-    let currentY = tableStartY + 15;
-    // Calculate the sum of the lengths array under patterns.text.words
-    const wordLengthsSum = aidata.explain.patterns.text.words.lengths.reduce((sum, length) => sum + length, 0);
-    // Get the total words from matches.text.words.lengths[0]
-    const totalWords = aidata.results[0].matches[0].text.words.lengths[0];
-    // Calculate the percentage
-    const percentage = (wordLengthsSum / totalWords) * 100;
-
-
-    // Sum the lengths array under patterns.text.words for the second text
-    const identicalWordsSum = aidata.explain.patterns.text.words.lengths.reduce((sum, length) => sum + length, 0);
-    const humanTextPercentage = 100 - percentage;
-    const humanWords = totalWords - wordLengthsSum;
-
-
-
-
-    // Row 1: Identical Insights
-    doc.setFillColor(204, 153, 255); // Light purple color for AI Text
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "F");
-    doc.text("AI Text", plagiarismSectionX + 3, currentY);
-
-    // Add the percentage to the PDF
-    doc.text(`${percentage.toFixed(2)}%`, plagiarismSectionX + 45, currentY);
-
-    // Add the sum to the PDF
-    doc.text(`${identicalWordsSum}`, plagiarismSectionX + 70, currentY);
-
-    // Row 2: Minor Changes
-    currentY += 5;
-    doc.setFillColor(211, 211, 211); // Lighter gray color
-    // Gray color for Human Text
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "F");
-    doc.text("Human Text", plagiarismSectionX + 3, currentY);
-    doc.text(`${humanTextPercentage.toFixed(2)}%`, plagiarismSectionX + 45, currentY);
-    doc.text(`${humanWords}`, plagiarismSectionX + 70, currentY);
-
-    // // Row 3: Paraphrased
-    // currentY += 5;
-    // doc.setFillColor(255, 165, 0);
-    // doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "F");
-    // doc.text("Paraphrased", plagiarismSectionX + 3, currentY);
-    // doc.text("0%", plagiarismSectionX + 45, currentY);
-    // doc.text(`${data.results.score.relatedMeaningWords}`, plagiarismSectionX + 70, currentY);
-
-    // Add a gray line after the rows
-    currentY += 5;
-    doc.line(plagiarismSectionX, currentY, plagiarismSectionX + plagiarismSectionWidth - 10, currentY);
-    currentY += 5;
-    // Lighter blue color for the circle
-    doc.setFillColor(173, 216, 230); // Light blue color for the fill
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "F"); // Filled circle
-
-    // Dotted outline for the circle
-    doc.setLineWidth(0.5); // Thin line for the outline
-    doc.setDrawColor(173, 216, 230); // Same light blue for the outline
-    doc.circle(plagiarismSectionX, currentY - 1.5, 1.5, "D"); // Dotted circle outlin
-    doc.text("Ommitted Words", plagiarismSectionX + 3, currentY);
-    doc.text("0%", plagiarismSectionX + 45, currentY);
-    doc.text('X', plagiarismSectionX + 70, currentY);
-    // currentY += 5;
-
-
-    // Add excluded words
-    // Adjust sectionStartY based on the current content position
-    const sectionStartY = currentY + 20;
-
-    // Define the page margins and maximum text width
-    const marginLeft = 10;
-    const marginRight = 20;
-    let maxTextWidth = doc.internal.pageSize.width - marginLeft - marginRight;
-
-    // Add the heading
-    doc.setFont("times", "bold");
-    doc.setFontSize(10);
-    doc.text(
-        "About Our AI Detection",
-        marginLeft,
-        sectionStartY
-    );
-
-    // Add the body text with wrapping
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    const bodyText =
-        "Our AI Detector is the only enterprise-level solution that can verify if the content was written by a human or generated by AI, including source code and text that has been plagiarized or modified";
-    const wrappedText = doc.splitTextToSize(bodyText, maxTextWidth);
-    doc.text(wrappedText, marginLeft, sectionStartY + 5);
-
-
-    // Define constants for the rows
-    // Constants for layout
-    const colSpacing = 20; // Adjust column spacing
-    const leftColX = 15; // Left column X position
-    const rightColX = doc.internal.pageSize.width / 2 + 5; // Right column X position
-
-    // First row
-    let rowY = sectionStartY + 25; // Initial row Y position
-
-    // Left: Identical
-    doc.setFillColor(204, 153, 255);// Light Pruple
-    doc.circle(leftColX, rowY - 3, 3, "F");
-    doc.setFont("times", "bold");
-    doc.text("AI Text", leftColX + 5, rowY - 3);
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "A body of the text that has been generated or altered by AI technology.",
-        "Learn more",
-        leftColX,
-        rowY + 5,
-        "lightblue",
-        "https://example.com/identical"
-    );
-
-    // Right: Minor Changes
-    doc.setTextColor(0, 0, 0); // Reset text color
-    let minorChangesY = sectionStartY + 23; // Ensure alignment with Identical
-    doc.setFillColor(211, 211, 211); // Lighter gray color
-    // Gray color for Human Text
-    doc.circle(rightColX, minorChangesY - 3, 3, "F");
-    doc.setFont("times", "bold");
-    doc.setFontSize(10);
-    doc.text("Human Text", rightColX + 5, minorChangesY - 2);
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    minorChangesY = addTextWithLink(
-        doc,
-        "Any text that has been fully written by a human and has not been altered or generated by AI.",
-        "Learn more",
-        rightColX,
-        minorChangesY + 5,
-        "lightblue",
-        "https://example.com/minor-changes"
-    );
-
-
-
-    // Continuing from previous code...
-
-    rowY += 2; // Spacing for the next section
-    doc.setDrawColor(192); // Set gray color for the line
-    doc.setLineWidth(0.5); // Set thin line width
-    doc.line(10, rowY, doc.internal.pageSize.width - 10, rowY); // Draw a horizontal line across the page
-
-    // Copyleaks Internal Database
-    rowY += 5; // Spacing for the next section
-    doc.setFont("times", "bold");
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.text("Skyline Academics AI Detector Effectiveness", 10, rowY); // Use full page width
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "Credible data at scale, coupled with machine learning and widespread adoption, allows us to continually refine and improve our ability to understand complex text patterns, resulting in over 99% accuracy—far higher than any other AI detector—and improving daily.",
-        "Learn more",
-        10, // Start at the left edge of the page
-        rowY + 5,
-        "lightblue",
-        "https://example.com/copyleaks-internal-database",
-        1
-    );
-
-    // Filtered and Excluded Results
-    rowY += 2; // Spacing for the next section
-    doc.setFont("times", "bold");
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.text("Ideal Text Length", 10, rowY); // Use full page width
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "The higher the character count, the easier for our technology to determine irregular patterns, which results in a higher confidence rating for AI detection.",
-        "Learn more",
-        10, // Start at the left edge
-        rowY + 5,
-        "lightblue",
-        "https://example.com/filtered-excluded-results",
-        1
-    );
-
-    // Current Batch Results
-    rowY += 2; // Spacing for the next section
-    doc.setFont("times", "bold");
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.text("Reasons It Might Be AI When You Think It's Not", 10, rowY); // Use full page width
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "The AI Detector can detect a variety of AI-generated text, including tools that use AI technology to paraphrase content, auto-complete sentences, and more.",
-        "Learn more",
-        10, // Start at the left edge
-        rowY + 5,
-        "lightblue",
-        "https://example.com/current-batch-results",
-        1
-    );
-
-    // Current Batch Results
-    rowY += 2; // Spacing for the next section
-    doc.setFont("times", "bold");
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.text("User AI Alert History", 10, rowY); // Use full page width
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "Historical data of how many times a user has been flagged for potentially having AI text within their content.",
-        "Learn more",
-        10, // Start at the left edge
-        rowY + 5,
-        "lightblue",
-        "https://example.com/current-batch-results",
-        1
-    );
-    // Current Batch Results
-    rowY += 2; // Spacing for the next section
-    doc.setFont("times", "bold");
-    doc.setTextColor(0, 0, 0); // Reset text color
-    doc.text("AI Insights", 10, rowY); // Use full page width
-    doc.setFont("times", "normal");
-    doc.setFontSize(8);
-    rowY = addTextWithLink(
-        doc,
-        "The number of times a phrase was found more frequently in AI vs. human text is shown according to low, medium, and high frequency.",
-        "Learn more",
-        10, // Start at the left edge
-        rowY + 5,
-        "lightblue",
-        "https://example.com/current-batch-results",
-        1
-    );
-    // Reset text color
-    doc.setTextColor(0, 0, 0); // Reset text color to black
-
-    const pageHeight = doc.internal.pageSize.height;
-    const footerHeight = 10; // Space for the footer
-
-    // // Add the text in the footer center
-    doc.setFontSize(10);
-    doc.text("Generated by Your App", pageWidth / 2, pageHeight - footerHeight, { align: "center" });
-
-    // Add certification image on the left with "Certified by"
-    const certImage = fs.readFileSync(path.join(__dirname, "images/footerbanner_base64.txt"), "utf-8").trim();
-    const certImageWidth = 50; // Width of the certification image
-    const certImageHeight = 15; // Height of the certification image
-
-    // Add certification image
-    doc.addImage(certImage, "PNG", 0, pageHeight - footerHeight - 5, certImageWidth, certImageHeight); // Adjust the position
-
-    // // Add "Certified by" text next to the image with grayish color and bold font
-    // doc.setFontSize(16);
-    // doc.setFont("times", "bold"); // Set font to bold
-    // doc.setTextColor(169, 169, 169); // Set color to a grayish shade (RGB: 169, 169, 169)
-    // doc.text("Certified by", 5, pageHeight - footerHeight - 10);
-
-
-    // Add social media icons to the right side of the footer
-    // Function to add social media icons to the footer
-    const addSocialMediaIcons = (doc, pageWidth, pageHeight, footerHeight) => {
-        const socialMediaMargin = pageWidth - 60; // Start the icons 60 units from the right
-
-        // Define social media links and icon paths
-        const socialMediaData = [
-            { iconPath: "images/instagram_icon_base64.txt", url: "https://www.instagram.com/yourcompany", xOffset: 0 },
-            { iconPath: "images/facebook_icon_base64.txt", url: "https://www.facebook.com/yourcompany", xOffset: 15 },
-            { iconPath: "images/linkedin_icon_base64.txt", url: "https://www.linkedin.com/company/yourcompany", xOffset: 30 },
-            { iconPath: "images/twitter_icon_base64.txt", url: "https://twitter.com/yourcompany", xOffset: 45 }
-        ];
-
-        // Loop through the social media data and add icons
-        socialMediaData.forEach((socialMedia) => {
-            const iconBase64 = fs.readFileSync(path.join(__dirname, socialMedia.iconPath), "utf-8").trim();
-            const xPosition = socialMediaMargin + socialMedia.xOffset;
-            const yPosition = pageHeight - footerHeight - 5;
-            const iconSize = 10;
-
-            doc.addImage(iconBase64, "PNG", xPosition, yPosition, iconSize, iconSize);
-            doc.link(xPosition, pageHeight - footerHeight - 10, iconSize, iconSize, { url: socialMedia.url });
-        });
-    };
+/**
+ * Adds the executive summary page (`SUMMARY_TEMPLATE`): the verdict of the institution's policy, why the report got
+ * it and the value and thresholds of every check.
+ * @param {jsPDF} doc - The document to add the page to (usually the one returned by `coverpage`).
+ * @param {Object} assessment - The verdict, checks and reasons, as `evaluatePolicy` in reportPolicy.js returns them.
+ * @param {Object} [theme] - The branding theme, the same the document was created with.
+ * @param {Object} [locale] - The report locale, the same the document was created with.
+ * @param {Object} [options] - Page options.
+ * @param {Object} [options.page] - `{ format, orientation }` of the pages (see `pageSetup`), the document's by default.
+ * @returns {jsPDF} - The same document.
+ */
+const ExecutiveSummaryPage = (doc, assessment, theme = getTheme(), locale = getLocale(), { page } = {}) => {
+    const verdictLabel = (verdict) => locale.t(`summary.verdicts.${verdict}`);
+    // Thresholds that are turned off are shown as such
+    const threshold = (value) => (value === null ? locale.t("summary.off") : locale.formatPercent(value));
+    bookmark(doc, locale.t("outline.summary"));
+    return renderTemplate(doc, SUMMARY_TEMPLATE, {
+        theme,
+        t: locale.catalog({ brand: theme.name }),
+        verdict: { label: verdictLabel(assessment.verdict), color: theme.palette[assessment.verdict] },
+        reasons: assessment.reasons.map((reason) => ({
+            title: locale.t(`summary.checkNames.${reason.check}`),
+            text: reason.value === null
+                ? locale.t("summary.missing")
+                : locale.t(reason.source ? "summary.reachedSource" : "summary.reached", {
+                    value: locale.formatPercent(reason.value),
+                    threshold: locale.formatPercent(reason.threshold),
+                    verdict: verdictLabel(reason.verdict),
+                    source: reason.source,
+                }),
+            color: theme.palette[reason.verdict],
+        })),
+        checks: assessment.checks.map((check) => ({
+            name: locale.t(`summary.checkNames.${check.check}`),
+            value: check.value === null ? locale.t("summary.notAvailable") : locale.formatPercent(check.value),
+            review: threshold(check.review),
+            fail: threshold(check.fail),
+            verdict: verdictLabel(check.verdict),
+        })),
+    }, { addPage: true, page, fonts: reportFonts(theme, locale), direction: locale.direction, bands: STAMP_BANDS });
+};
 
-    // Call the function
-    addSocialMediaIcons(doc, pageWidth, pageHeight, footerHeight);
-
-    let text = aivalueData.text.value.split(" ");
-    const aiStats = aidata.explain.patterns.statistics;
-    let aiWords = aidata.explain.patterns.text.words;
-
-    // Extract AI and human counts
-    const aiCounts = aiStats.aiCount;
-    const humanCounts = aiStats.humanCount;
-    let starts = aiWords.starts;
-    let lengths = aiWords.lengths;
-
-    // Prepare data by computing percentages
-    let data = starts.map((startIndex, i) => {
-        const phraseWords = text.slice(startIndex, startIndex + lengths[i]).join(" ");
-        const aiPercentage = Math.round((aiCounts[i] / humanCounts[i])); // Convert to percentage
-
-        return {
-            phrase: phraseWords,
-            aiPercentage: aiPercentage,
-            aiText: (aiCounts[i]).toFixed(2),
-            humanText: (humanCounts[i]).toFixed(2)
-        };
-    });
+/**
+ * Adds the detailed plagiarism analysis page (`PLAGIARISM_DETAIL_TEMPLATE`).
+ * @param {jsPDF} doc - The document to add the page to (usually the one returned by `coverpage`).
+ * @param {ReportModel} model - The report model, `model.similarity` must be set.
+ * @param {Object} [theme] - The branding theme, the same the document was created with.
+ * @param {Object} [locale] - The report locale, the same the document was created with.
+ * @param {Object} [options] - Page options.
+ * @param {Object} [options.page] - `{ format, orientation }` of the pages (see `pageSetup`), the document's by default.
+ * @returns {jsPDF} - The same document.
+ */
+const PlagiarismdetailedAnalysisPage = (doc, model, theme = getTheme(), locale = getLocale(), { page } = {}) => {
+    const { counts, sources } = getSourceSummary(model);
+    bookmark(doc, locale.t("outline.plagiarismSummary"));
+    return renderTemplate(doc, PLAGIARISM_DETAIL_TEMPLATE, {
+        theme,
+        t: locale.catalog({ brand: theme.name }),
+        similarity: similarityView(model.similarity, locale),
+        resultCount: locale.formatNumber(sources.length),
+        counts: Object.fromEntries(Object.entries(counts).map(([type, count]) => [type, locale.formatNumber(count)])),
+        coverage: coverageView(model, locale),
+    }, { addPage: true, page, fonts: reportFonts(theme, locale), direction: locale.direction, bands: STAMP_BANDS });
+};
 
-    // Sort by AI percentage (descending)
-    data.sort((a, b) => b.aiPercentage - a.aiPercentage);
-
-    // Add a new page
-    doc.addPage();
-
-    let x = 10;
-    let y = 20;
-    let lineHeight = 10;
-    let maxY = 280; // Bottom margin before adding a new page
-    const lightPurple = [204, 153, 255]; // Light purple color for highlights
-    const columnWidth = (doc.internal.pageSize.width - 30) / 2; // Divide page into two columns
-    const padding = 5; // Padding between columns
-
-    // Function to draw rounded rectangles
-    const drawRoundedRect = (x, y, width, height, radius) => {
-        doc.setLineWidth(0.5);
-        doc.setDrawColor(0, 0, 0);
-        doc.setFillColor(...lightPurple);
-        doc.roundedRect(x, y, width, height, radius, radius, "FD"); // Fill and draw
-    };
+/**
+ * Adds the list of matching sources (`PLAGIARISM_SOURCES_TEMPLATE`), largest match first, as a table running over
+ * as many pages as it needs. Sources excluded from the score are left out (they are counted on the detail page).
+ * @param {jsPDF} doc - The document to add the pages to.
+ * @param {ReportModel} model - The report model.
+ * @param {Object} [theme] - The branding theme, the same the document was created with.
+ * @param {Object} [locale] - The report locale, the same the document was created with.
+ * @param {Object} [options] - Page options.
+ * @param {Object} [options.page] - `{ format, orientation }` of the pages (see `pageSetup`), the document's by default.
+ * @returns {jsPDF} - The same document.
+ */
+const PlagiarismSourcesPage = (doc, model, theme = getTheme(), locale = getLocale(), { page } = {}) => {
+    bookmark(doc, locale.t("outline.sources"));
+    return renderTemplate(doc, PLAGIARISM_SOURCES_TEMPLATE, {
+        theme,
+        t: locale.catalog({ brand: theme.name }),
+        sources: getSourceSummary(model).sources.map((source, index) => ({
+            number: locale.formatNumber(index + 1),
+            title: source.title,
+            url: source.url,
+            type: locale.t(`sources.types.${source.type}`),
+            identicalWords: locale.formatNumber(source.identicalWords),
+            minorChangedWords: locale.formatNumber(source.minorChangedWords),
+            paraphrasedWords: locale.formatNumber(source.paraphrasedWords),
+            similarity: locale.formatPercent(source.similarity),
+        })),
+    }, { addPage: true, page, fonts: reportFonts(theme, locale), direction: locale.direction, bands: STAMP_BANDS });
+};
 
+// Plagiarism types from the strongest to the weakest, a character matched in several ways shows the strongest
+const MATCH_PRIORITY = ["identical", "minorChanges", "paraphrased"];
 
-    // Function to handle page breaks
-    const checkPageBreak = () => {
-        if (y > maxY) {
-            doc.addPage();
-            y = 20; // Reset y for the new page
+/**
+ * Resolves the matches of the listed sources into highlight spans that do not overlap: every character gets the
+ * strongest type matching it, and runs of characters with the same type become one span tagged with the numbers
+ * of all sources matching it (their # in the sources table).
+ * @param {ReportModel} model - The report model.
+ * @param {Object} theme - The branding theme, giving the color of each type.
+ * @param {Object} locale - The report locale, formatting the source numbers.
+ * @returns {Object[]} - `{ start, length, color, tag }` per span, in text order.
+ */
+const highlightSpans = (model, theme, locale) => {
+    const text = model.document.text || "";
+    const numbers = new Map(getSourceSummary(model).sources.map((source, index) => [source.id, index + 1]));
+    const types = new Array(text.length).fill(MATCH_PRIORITY.length);
+    const sources = new Array(text.length).fill(null);
+
+    model.matches.forEach((match) => {
+        const number = numbers.get(match.sourceId);
+        const priority = MATCH_PRIORITY.indexOf(match.type);
+        if (!number || priority < 0) return;
+        const end = Math.min(text.length, match.charStart + match.charLength);
+        for (let i = Math.max(0, match.charStart); i < end; i++) {
+            types[i] = Math.min(types[i], priority);
+            sources[i] = sources[i] || new Set();
+            sources[i].add(number);
         }
-    };
-
-    // Write the header
-    doc.setFont("helvetica", "bold");
-    doc.text("AI & Human Phrase Analysis", x, y);
-    y += 15;
-
-    // Function to write a phrase in a column
-    const writePhrase = (phraseData, columnX) => {
-        const { phrase, aiPercentage, aiText, humanText } = phraseData;
-
-        // Draw rounded rectangle for the percentage and phrase
-        const percentageText = `${aiPercentage}X`;
-        const phraseText = ` ${phrase}`;
-        const percentageWidth = doc.getTextWidth(percentageText);
-        const phraseWidth = doc.getTextWidth(phraseText);
-        const totalWidth = percentageWidth + phraseWidth + 10; // Add padding
-
-        drawRoundedRect(columnX, y - 6, totalWidth, lineHeight, 3); // Rounded rectangle
-
-        // Write the percentage text (inside rectangle)
-        doc.setTextColor(255, 255, 255); // White text for better contrast
-        doc.text(percentageText, columnX + 2, y);
-
-        // Write phrase text (next to the percentage)
-        doc.setTextColor(0, 0, 0);
-        doc.text(phraseText, columnX + percentageWidth + 5, y);
-        y += lineHeight;
-
-        // Write AI text and Human text
-        doc.setFont("helvetica", "normal");
-        const aiTextLabel = `AI text: ${aiText} / 1,000,000 Documents`;
-        const humanTextLabel = `Human text: ${humanText} / 1,000,000 Documents`;
-
-        // Align AI and Human text
-        const maxLabelWidth = Math.max(doc.getTextWidth(aiTextLabel), doc.getTextWidth(humanTextLabel));
-        doc.text(aiTextLabel, columnX + 5, y);
-        y += lineHeight;
-
-        doc.text(humanTextLabel, columnX + 5, y);
-        y += lineHeight * 1.2; // Reduce vertical space
-
-        // // Draw a triangle around the phrase
-        // drawTriangle(columnX + totalWidth / 2 - 5, y - 15, 10); // Adjust position as needed
-        // y += lineHeight * 0.5; // Add small space after the triangle
-    };
-
-    // Write the sorted phrases in two columns
-    for (let i = 0; i < data.length; i += 2) {
-        // First column
-        writePhrase(data[i], x);
-        checkPageBreak();
+    });
 
-        // Second column
-        if (i + 1 < data.length) {
-            writePhrase(data[i + 1], x + columnWidth + padding);
-            checkPageBreak();
+    const spans = [];
+    for (let i = 0; i < text.length;) {
+        const type = types[i];
+        let end = i + 1;
+        while (end < text.length && types[end] === type) end++;
+        if (type < MATCH_PRIORITY.length) {
+            const matched = new Set();
+            sources.slice(i, end).forEach((numbersAt) => numbersAt.forEach((number) => matched.add(number)));
+            spans.push({
+                start: i,
+                length: end - i,
+                color: theme.palette[MATCH_PRIORITY[type]],
+                tag: [...matched].sort((a, b) => a - b).map((number) => locale.formatNumber(number)).join(","),
+            });
         }
+        i = end;
     }
-    // Add a new page before highlighting detected words
-    doc.addPage();
-
-    // Extract text and AI-detected word positions
-    text = aivalueData.text.value.split(/\s+/); // Splits by space but ignores \n properly
-    aiWords = aidata.explain.patterns.text.words;
+    return spans;
+};
 
-    x = 10;
-    y = 20;
-    // let pageWidth = 180;
-    const bottomMargin = 280;
+/**
+ * Adds the scanned document with the passages matching a source highlighted (`PLAGIARISM_TEXT_TEMPLATE`), as many
+ * pages as the text needs. Passages are colored by plagiarism type and tagged with the # of their sources.
+ * @param {jsPDF} doc - The document to add the pages to.
+ * @param {ReportModel} model - The report model, `model.document.text` must be set.
+ * @param {Object} [theme] - The branding theme, the same the document was created with.
+ * @param {Object} [locale] - The report locale, the same the document was created with.
+ * @param {Object} [options] - Page options.
+ * @param {Object} [options.page] - `{ format, orientation }` of the pages (see `pageSetup`), the document's by default.
+ * @returns {jsPDF} - The same document.
+ */
+const PlagiarismTextPage = (doc, model, theme = getTheme(), locale = getLocale(), { page } = {}) => {
+    bookmark(doc, locale.t("outline.scannedText"));
+    return renderTemplate(doc, PLAGIARISM_TEXT_TEMPLATE, {
+        theme,
+        t: locale.catalog({ brand: theme.name }),
+        text: model.document.text,
+        spans: highlightSpans(model, theme, locale),
+    }, { addPage: true, page, fonts: reportFonts(theme, locale), direction: locale.direction, bands: STAMP_BANDS });
+};
 
+// Characters of context shown on each side of a compared passage
+const PASSAGE_CONTEXT = 80;
+// Longest passage shown in a comparison, longer ones are cut
+const PASSAGE_MAX_LENGTH = 700;
 
-    // Loop through words and highlight detected ones
-    text.forEach((word, index) => {
-        if (!word.trim()) return; // Skip empty words (including \n)
+/**
+ * A passage of a text with some context around it (cut at whitespace, "…" where the text goes on) and the span
+ * of the passage in it.
+ * @param {string} text - The whole text.
+ * @param {number} start - First character of the passage.
+ * @param {number} length - Length of the passage.
+ * @param {number[]} color - Color of the passage's span.
+ * @returns {{ text: string, spans: Object[] }}
+ */
+const passageExcerpt = (text, start, length, color) => {
+    const end = Math.min(text.length, start + Math.min(length, PASSAGE_MAX_LENGTH));
+    // The context stays inside the passage's paragraphs
+    const paragraphEnd = text.indexOf("\n", end);
+    let from = Math.max(0, start - PASSAGE_CONTEXT, text.lastIndexOf("\n", start - 1) + 1);
+    let to = end < start + length ? end : Math.min(text.length, end + PASSAGE_CONTEXT, paragraphEnd < 0 ? text.length : paragraphEnd);
+    while (from > 0 && !/\s/.test(text[from - 1])) from--;
+    while (to < text.length && to > end && !/\s/.test(text[to])) to++;
+
+    const prefix = from > 0 ? "… " : "";
+    return {
+        text: `${prefix}${text.slice(from, to)}${to < text.length ? " …" : ""}`,
+        spans: [{ start: prefix.length + start - from, length: end - start, color }],
+    };
+};
 
-        let isHighlighted = false;
-        let wordWidth = doc.getTextWidth(word + " ");
+/**
+ * Adds the source comparison appendix (`PLAGIARISM_COMPARISON_TEMPLATE`): a page for each of the top sources with
+ * its details and every passage of the document it matches next to the passage of the source, colored by
+ * plagiarism type. Sources whose matches are not known (their comparison was not exported) are skipped.
+ * @param {jsPDF} doc - The document to add the pages to.
+ * @param {ReportModel} model - The report model, `model.document.text` must be set.
+ * @param {Object} [theme] - The branding theme, the same the document was created with.
+ * @param {Object} [locale] - The report locale, the same the document was created with.
+ * @param {Object} [options] - Appendix options.
+ * @param {number} [options.limit=5] - How many sources get a page, largest match first.
+ * @param {number} [options.sourcesPage] - Page of the sources table in `doc`, every comparison page links back to it.
+ * @param {Object} [options.page] - `{ format, orientation }` of the pages (see `pageSetup`), the document's by default.
+ * @returns {jsPDF} - The same document.
+ */
+const PlagiarismComparisonPages = (doc, model, theme = getTheme(), locale = getLocale(), { limit = 5, sourcesPage, page } = {}) => {
+    const text = model.document.text || "";
+    const t = locale.catalog({ brand: theme.name });
+    const fonts = reportFonts(theme, locale);
+    let outline = null;
+
+    getSourceSummary(model).sources
+        .map((source, index) => ({
+            source,
+            number: index + 1,
+            matches: model.matches
+                .filter((match) => match.sourceId === source.id)
+                .sort((a, b) => a.charStart - b.charStart),
+        }))
+        .filter(({ matches }) => matches.length > 0)
+        .slice(0, limit)
+        .forEach(({ source, number, matches }) => {
+            // One entry for the appendix, with the sources under it
+            outline = outline || bookmark(doc, locale.t("outline.comparison"));
+            const heading = locale.t("comparison.heading", { number: locale.formatNumber(number), title: source.title });
+            bookmark(doc, heading, { parent: outline });
+            renderTemplate(doc, PLAGIARISM_COMPARISON_TEMPLATE, {
+                theme,
+                t,
+                sourcesPage,
+                source: {
+                    heading,
+                    url: source.url,
+                    type: locale.t(`sources.types.${source.type}`),
+                    similarity: locale.formatPercent(source.similarity),
+                    matchedWords: locale.formatNumber(source.matchedWords),
+                    identicalWords: locale.formatNumber(source.identicalWords),
+                    minorChangedWords: locale.formatNumber(source.minorChangedWords),
+                    paraphrasedWords: locale.formatNumber(source.paraphrasedWords),
+                },
+                passages: matches.map((match) => {
+                    const color = theme.palette[match.type];
+                    const suspected = passageExcerpt(text, match.charStart, match.charLength, color);
+                    const original = source.text && match.sourceCharStart !== null
+                        ? passageExcerpt(source.text, match.sourceCharStart, match.sourceCharLength, color)
+                        : { text: t.comparison.noSourceText, spans: [] };
+                    return {
+                        documentText: suspected.text,
+                        documentSpans: suspected.spans,
+                        sourceText: original.text,
+                        sourceSpans: original.spans,
+                    };
+                }),
+            }, { addPage: true, page, fonts, direction: locale.direction, bands: STAMP_BANDS });
+        });
+    return doc;
+};
 
-        // Check if the current word should be highlighted
-        if (aiWords.starts.includes(index)) {
-            isHighlighted = true;
 
-            // Draw highlight rectangle behind the text
-            doc.setFillColor(...lightPurple);
-            doc.rect(x - 1, y - 7, wordWidth + 2, lineHeight + 2, "F"); // Small highlight box
-        }
 
-        // Set text color based on highlight status
-        doc.setTextColor(isHighlighted ? 128 : 0, 0, isHighlighted ? 128 : 0); // Purple for AI words
+// Characters of a section or paragraph shown in the AI classification tables
+const EXCERPT_LENGTH = 120;
 
-        // Write the word
-        doc.text(word, x, y);
-        x += wordWidth; // Move x forward for the next word
+// The start of a text, cut at a word and marked with "…" when it goes on
+const excerpt = (text) => {
+    const flat = text.replace(/\s+/g, " ").trim();
+    if (flat.length <= EXCERPT_LENGTH) {
+        return flat;
+    }
+    const cut = flat.lastIndexOf(" ", EXCERPT_LENGTH);
+    return `${flat.slice(0, cut > 0 ? cut : EXCERPT_LENGTH)} …`;
+};
 
-        // Wrap to next line if needed
-        if (x > pageWidth) {
-            x = 10;
-            y += lineHeight;
-        }
+// Documents the phrase frequencies of the AI detection are counted in
+const PHRASE_DOCUMENTS = 1000000;
 
-        // Check if we need a new page
-        if (y > bottomMargin) {
-            doc.addPage();
-            y = 20; // Reset Y for new page
+/**
+ * Formats the phrase insights for `AI_PHRASES_TEMPLATE`: a title per bucket and its phrases two per row, each with
+ * its AI and human frequencies and its ratio.
+ * @param {ReportModel} model - The report model, `model.ai` must be set.
+ * @param {Object} locale - The report locale.
+ * @param {Object} options - `{ thresholds, limit }` (see `getAiPhraseInsights`).
+ * @returns {{ buckets: Object, none: boolean, more: string|null }}
+ */
+const phraseInsights = (model, locale, options) => {
+    const insights = getAiPhraseInsights(model, options);
+    const total = locale.formatNumber(PHRASE_DOCUMENTS);
+    const frequency = (count) => locale.formatNumber(count, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const ratio = (value) => (value === null ? "-" : locale.formatNumber(value, { maximumFractionDigits: 1 }));
+    const cell = (phrase) => (phrase ? {
+        text: [
+            phrase.text,
+            locale.t("phrases.aiText", { count: frequency(phrase.aiCount), total }),
+            locale.t("phrases.humanText", { count: frequency(phrase.humanCount), total }),
+            ...(phrase.occurrences > 1 ? [locale.t("phrases.occurrences", { count: locale.formatNumber(phrase.occurrences) })] : []),
+        ].join("\n"),
+        ratio: phrase.ratio === null ? locale.t("phrases.aiOnly") : locale.t("phrases.ratio", { ratio: ratio(phrase.ratio) }),
+    } : { text: "", ratio: "" });
+
+    const buckets = {};
+    const hidden = {};
+    insights.buckets.forEach((bucket) => {
+        const rows = [];
+        for (let i = 0; i < bucket.phrases.length; i += 2) {
+            rows.push({ left: cell(bucket.phrases[i]), right: cell(bucket.phrases[i + 1]) });
         }
+        buckets[bucket.id] = {
+            title: locale.t(`phrases.buckets.${bucket.id}`, { minimum: ratio(bucket.minimum), maximum: ratio(bucket.maximum) }),
+            rows,
+        };
+        hidden[bucket.id] = locale.formatNumber(bucket.hidden);
     });
+    return {
+        buckets,
+        none: insights.buckets.every((bucket) => bucket.phrases.length === 0) && insights.hidden === 0,
+        more: insights.hidden > 0 ? locale.t("phrases.more", { count: locale.formatNumber(insights.hidden), ...hidden }) : null,
+    };
+};
 
-    return doc;
-
-
+/**
+ * Highlight spans of the sections classified as AI written, whole sections from their character offsets.
+ * @param {ReportModel} model - The report model, `model.ai` must be set.
+ * @param {Object} theme - The branding theme, giving the AI color.
+ * @returns {Object[]} - `{ start, length, color }` per AI section (see the `highlightedText` block).
+ */
+const aiHighlightSpans = (model, theme) => model.ai.spans
+    .filter((span) => span.classification === "ai" && span.charStart !== null && span.charLength)
+    .map((span) => ({ start: span.charStart, length: span.charLength, color: theme.palette.ai }));
 
+/**
+ * Creates the AI section: the AI analysis page (`AI_ANALYSIS_TEMPLATE`), the classification of the document by
+ * section and by paragraph (`AI_CLASSIFICATION_TEMPLATE`), the phrase analysis and the document text with its AI
+ * written sections highlighted (`AI_TEXT_TEMPLATE`).
+ * Right-to-left locales get mirrored pages. The highlighted document text keeps the direction of each paragraph (an
+ * Urdu essay is written from right to left in an English report too).
+ * @param {ReportModel} model - The report model, `model.ai` must be set.
+ * @param {Object} [theme] - The branding theme (see themes.js), the default theme when omitted.
+ * @param {Object} [locale] - The report locale (see i18n.js), the default locale when omitted.
+ * @param {Object} [options] - Section options.
+ * @param {Object} [options.phrases] - `{ thresholds, limit }` of the phrase analysis (see `getAiPhraseInsights`), and
+ *   the `orientation` of its pages, the section's by default (the two-column tables read better in landscape).
+ * @param {Object} [options.page] - `{ format, orientation }` of the section (see `pageSetup`), A4 portrait by default.
+ * @returns {jsPDF} - A new jsPDF document holding the AI section.
+ */
+const AiAnalysisPage = (model, theme = getTheme(), locale = getLocale(), { phrases = {}, page = {} } = {}) => {
+
+    const fonts = reportFonts(theme, locale);
+    const doc = createDocument(fonts, page);
+
+    const summary = getAiSummary(model);
+    const t = locale.catalog({ brand: theme.name });
+    bookmark(doc, locale.t("outline.aiContent"), { pageNumber: 1 });
+    renderTemplate(doc, AI_ANALYSIS_TEMPLATE, {
+        theme,
+        t,
+        ai: {
+            score: summary.score,
+            scoreLabel: locale.formatPercent(summary.score),
+            aiPercentage: locale.formatPercent(summary.aiPercentage),
+            aiWords: locale.formatNumber(summary.aiWords),
+            humanPercentage: locale.formatPercent(summary.humanPercentage),
+            humanWords: locale.formatNumber(summary.humanWords),
+            omittedPercentage: locale.formatPercent(summary.omittedPercentage),
+            omittedWords: locale.formatNumber(summary.omittedWords),
+        },
+    }, { fonts, direction: locale.direction, bands: STAMP_BANDS });
+
+    const documentText = model.document.text || "";
+    const classificationLabel = (classification) => locale.t(`aiClassification.classifications.${classification || "none"}`);
+    bookmark(doc, locale.t("outline.aiClassification"));
+    renderTemplate(doc, AI_CLASSIFICATION_TEMPLATE, {
+        theme,
+        t,
+        sections: model.ai.spans.map((span, index) => ({
+            number: locale.formatNumber(index + 1),
+            excerpt: span.charStart !== null ? excerpt(documentText.substr(span.charStart, span.charLength)) : "-",
+            classification: classificationLabel(span.classification),
+            probability: span.probability !== null ? locale.formatPercent(span.probability * 100) : "-",
+            words: locale.formatNumber(span.wordLength),
+        })),
+        paragraphs: getAiParagraphs(model).map((paragraph, index) => {
+            const classifiedWords = paragraph.aiWords + paragraph.humanWords;
+            return {
+                number: locale.formatNumber(index + 1),
+                excerpt: excerpt(paragraph.text),
+                aiWords: locale.formatNumber(paragraph.aiWords),
+                humanWords: locale.formatNumber(paragraph.humanWords),
+                aiShare: classifiedWords ? locale.formatPercent((paragraph.aiWords / classifiedWords) * 100) : "-",
+                classification: classificationLabel(paragraph.classification),
+            };
+        }),
+    }, { addPage: true, page, fonts, direction: locale.direction, bands: STAMP_BANDS });
+
+    bookmark(doc, locale.t("outline.phrases"));
+    renderTemplate(doc, AI_PHRASES_TEMPLATE, {
+        theme,
+        t,
+        ...phraseInsights(model, locale, phrases),
+    }, { addPage: true, page: { ...page, orientation: phrases.orientation || page.orientation }, fonts, direction: locale.direction, bands: STAMP_BANDS });
+
+    // The document with its AI written sections highlighted
+    if (model.document.text) {
+        bookmark(doc, locale.t("outline.aiText"));
+        renderTemplate(doc, AI_TEXT_TEMPLATE, {
+            theme,
+            t,
+            text: model.document.text,
+            spans: aiHighlightSpans(model, theme),
+        }, { addPage: true, page, fonts, direction: locale.direction, bands: STAMP_BANDS });
+    }
 
-}
+    return doc;
+};
 
 
 module.exports = {
+    PAPER_SIZES,
+    pageSetup,
+    loadPdfDocument,
+    selectPages,
+    composePDFs,
+    dedupeResources,
     mergePDFs,
+    addTableOfContents,
+    stampPages,
     addHeaderAndFooterToExistingPDF,
     coverpage,
+    ExecutiveSummaryPage,
     PlagiarismdetailedAnalysisPage,
+    PlagiarismSourcesPage,
+    PlagiarismTextPage,
+    PlagiarismComparisonPages,
     AiAnalysisPage,
 };
 
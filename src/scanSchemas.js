@@ -0,0 +1,303 @@
+/**
+ * Overview:
+ * Versioned schemas for the JSON inputs of a scan, checked before anything is rendered.
+ * The schemas use a small subset of JSON Schema (`type`, `required`, `properties`, `items`, `minItems`,
+ * `minimum`, `maximum`, `minLength`, `pattern`, `anyOf`) which is all the report inputs need.
+ *
+ * The text comparison of each matching source (`results/<resultId>.json`) is checked against `result.json`. Result
+ * ids end up in storage keys, so they must be plain names (`isResultId`): no `/`, `\` or `..`.
+ *
+ * `validateScanInput(file, json)` returns a list of problems, each naming the file, the schema version,
+ * the JSON path (e.g. `$.results.score.aggregatedScore`) and what is wrong with it. An empty list means the input is valid.
+ */
+
+const numberArray = { type: "array", items: { type: "number" } };
+
+// Id of a matching source, also the name of its `results/<resultId>.json` file
+const resultId = { type: "string", minLength: 1, pattern: "^(?!.*\\.\\.)[^/\\\\]+$" };
+
+// A matching source listed in scan_results.json
+const sourceResult = {
+    type: "object",
+    required: ["id"],
+    properties: { id: resultId },
+};
+
+// Character or word ranges used by Copyleaks for matches (`{ starts: [], lengths: [] }`)
+const ranges = {
+    type: "object",
+    required: ["starts", "lengths"],
+    properties: { starts: numberArray, lengths: numberArray },
+};
+
+const SCHEMAS = {
+    "scan_results.json": {
+        1: {
+            type: "object",
+            required: ["scannedDocument", "results"],
+            properties: {
+                scannedDocument: {
+                    type: "object",
+                    required: ["metadata", "creationTime", "totalWords"],
+                    properties: {
+                        metadata: {
+                            type: "object",
+                            required: ["filename"],
+                            properties: { filename: { type: "string" } },
+                        },
+                        creationTime: { anyOf: [{ type: "string" }, { type: "number" }] },
+                        totalWords: { type: "number", minimum: 0 },
+                        totalExcluded: { type: "number", minimum: 0 },
+                    },
+                },
+                results: {
+                    type: "object",
+                    required: ["score"],
+                    properties: {
+                        score: {
+                            type: "object",
+                            required: ["aggregatedScore", "identicalWords", "minorChangedWords", "relatedMeaningWords"],
+                            properties: {
+                                aggregatedScore: { type: "number", minimum: 0, maximum: 100 },
+                                identicalWords: { type: "number", minimum: 0 },
+                                minorChangedWords: { type: "number", minimum: 0 },
+                                relatedMeaningWords: { type: "number", minimum: 0 },
+                            },
+                        },
+                        internet: { type: "array", items: sourceResult },
+                        database: { type: "array", items: sourceResult },
+                        batch: { type: "array", items: sourceResult },
+                        repositories: { type: "array", items: sourceResult },
+                    },
+                },
+            },
+        },
+    },
+    "ai_result.json": {
+        1: {
+            type: "object",
+            required: ["results", "explain"],
+            properties: {
+                results: {
+                    type: "array",
+                    minItems: 1,
+                    items: {
+                        type: "object",
+                        required: ["matches"],
+                        properties: {
+                            classification: { type: "number" },
+                            probability: { type: "number", minimum: 0, maximum: 1 },
+                            matches: {
+                                type: "array",
+                                minItems: 1,
+                                items: {
+                                    type: "object",
+                                    required: ["text"],
+                                    properties: {
+                                        text: {
+                                            type: "object",
+                                            required: ["words"],
+                                            properties: { chars: ranges, words: ranges },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                explain: {
+                    type: "object",
+                    required: ["patterns"],
+                    properties: {
+                        patterns: {
+                            type: "object",
+                            required: ["statistics", "text"],
+                            properties: {
+                                statistics: {
+                                    type: "object",
+                                    required: ["aiCount", "humanCount"],
+                                    properties: { aiCount: numberArray, humanCount: numberArray },
+                                },
+                                text: {
+                                    type: "object",
+                                    required: ["words"],
+                                    properties: { chars: ranges, words: ranges },
+                                },
+                            },
+                        },
+                    },
+                },
+                scannedDocument: {
+                    type: "object",
+                    properties: {
+                        totalWords: { type: "number", minimum: 0 },
+                        totalExcluded: { type: "number", minimum: 0 },
+                    },
+                },
+            },
+        },
+    },
+    "crawled_version.json": {
+        1: {
+            type: "object",
+            required: ["text"],
+            properties: {
+                text: {
+                    type: "object",
+                    required: ["value"],
+                    properties: {
+                        value: { type: "string" },
+                        // Where each page of the scanned document starts in `value`
+                        pages: { type: "object", properties: { startPosition: numberArray } },
+                    },
+                },
+            },
+        },
+    },
+    "result.json": {
+        1: {
+            type: "object",
+            required: ["text"],
+            properties: {
+                text: {
+                    type: "object",
+                    required: ["comparison"],
+                    properties: {
+                        // Text of the source, when it was exported
+                        value: { type: "string" },
+                        // Matches per plagiarism type, `suspected` being their position in the scanned document and
+                        // `source` in the text of the source
+                        comparison: {
+                            type: "object",
+                            properties: Object.fromEntries(["identical", "minorChanges", "relatedMeaning"].map((type) => [type, {
+                                type: "object",
+                                required: ["suspected"],
+                                properties: {
+                                    suspected: {
+                                        type: "object",
+                                        required: ["chars", "words"],
+                                        properties: { chars: ranges, words: ranges },
+                                    },
+                                    source: {
+                                        type: "object",
+                                        properties: { chars: ranges, words: ranges },
+                                    },
+                                },
+                            }])),
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+// Schema version each input is validated against
+const CURRENT_SCHEMA_VERSIONS = {
+    "scan_results.json": 1,
+    "ai_result.json": 1,
+    "crawled_version.json": 1,
+    "result.json": 1,
+};
+
+// Like `typeof`, but tells arrays and null apart the way JSON Schema does
+const typeOf = (value) => {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {Object} schema - The (sub)schema.
+ * @param {*} value - The value to check.
+ * @param {string} jsonPath - JSON path of the value, used in the messages.
+ * @returns {Object[]} - Problems found, as `{ path, message }`.
+ */
+const validate = (schema, value, jsonPath) => {
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some((option) => validate(option, value, jsonPath).length === 0);
+        return matches ? [] : [{
+            path: jsonPath,
+            message: `expected ${schema.anyOf.map((option) => option.type).join(" or ")}, got ${typeOf(value)}`,
+        }];
+    }
+
+    if (schema.type && typeOf(value) !== schema.type) {
+        return [{ path: jsonPath, message: `expected ${schema.type}, got ${typeOf(value)}` }];
+    }
+
+    const errors = [];
+    if (schema.type === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: jsonPath, message: `must be at least ${schema.minimum}, got ${value}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: jsonPath, message: `must be at most ${schema.maximum}, got ${value}` });
+        }
+    }
+
+    if (schema.type === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: jsonPath, message: `must have at least ${schema.minLength} character(s), got ${value.length}` });
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: jsonPath, message: `must match ${schema.pattern}, got ${JSON.stringify(value)}` });
+        }
+    }
+
+    if (schema.type === "object") {
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined) {
+                errors.push({ path: `${jsonPath}.${key}`, message: "is required" });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validate(propertySchema, value[key], `${jsonPath}.${key}`));
+            }
+        });
+    }
+
+    if (schema.type === "array") {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: jsonPath, message: `must have at least ${schema.minItems} item(s), got ${value.length}` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(schema.items, item, `${jsonPath}[${index}]`));
+            });
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validates one JSON input of a scan.
+ * @param {string} file - Input file name (`scan_results.json`, `ai_result.json` or `crawled_version.json`).
+ * @param {*} json - The parsed file contents.
+ * @param {number} [version] - Schema version, the current one by default.
+ * @returns {Object[]} - Problems found, as `{ file, schemaVersion, path, message }`.
+ */
+const validateScanInput = (file, json, version = CURRENT_SCHEMA_VERSIONS[file]) => {
+    const schema = SCHEMAS[file] && SCHEMAS[file][version];
+    if (!schema) {
+        throw new Error(`No schema version ${version} for ${file}`);
+    }
+    return validate(schema, json, "$").map((problem) => ({ file, schemaVersion: version, ...problem }));
+};
+
+/**
+ * Tells whether a value can be the id of a matching source, a non-empty name that is safe in a storage key.
+ * @param {*} id - The id, e.g. from scan_results.json or a webhook URL.
+ * @returns {boolean}
+ */
+const isResultId = (id) => validate(resultId, id, "$").length === 0;
+
+module.exports = {
+    SCHEMAS,
+    CURRENT_SCHEMA_VERSIONS,
+    validateScanInput,
+    isResultId,
+};
@@ -0,0 +1,289 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Overview:
+ * Storage backends for scan inputs and generated reports.
+ * Everything is addressed by a key relative to the storage root, e.g. `ScanDoc/<userId>/<scanId>/scan_results.json`.
+ *
+ * Every adapter exposes the same interface:
+ * - `readFile(key)`: Resolves to a Buffer, rejects with `code: "ENOENT"` if the key does not exist.
+ * - `writeFile(key, data)`: Writes the whole object at once (readers never see a partial file).
+ * - `exists(key)`: Resolves to true/false.
+ * - `stat(key)`: Resolves to `{ size, mtimeMs }` or null if the key does not exist.
+ * - `remove(key)`: Deletes the key if present.
+ * - `list(prefix)`: Resolves to the keys of the files directly under `prefix` (not recursive).
+ * - `watch(prefix, onChange)`: Calls `onChange` when something under `prefix` changes, returns `{ close }`,
+ *   or null when the backend cannot push changes (callers then poll `stat`).
+ * - `getLocation(key)`: A URL describing where the key lives (`file://...` or `s3://...`).
+ * Keys are relative: absolute keys and keys with a `..` segment are refused by every adapter with a 400 error.
+ *
+ * `getStorage()` returns the backend selected with `STORAGE_DRIVER` (`local` or `s3`).
+ */
+
+// Error thrown for keys that do not exist, shaped like the fs error so callers can check `code`
+const notFoundError = (key) => {
+    const error = new Error(`Storage key not found: ${key}`);
+    error.code = "ENOENT";
+    return error;
+};
+
+// Error thrown for keys that could point outside of the root (or prefix) of an adapter, a bad request (400)
+const invalidKeyError = (key) => {
+    const error = new Error(`Invalid storage key: ${JSON.stringify(key)}`);
+    error.code = "EINVALIDKEY";
+    error.status = 400;
+    return error;
+};
+
+// Refuses empty and absolute keys, and keys with a `..` segment
+const checkKey = (key) => {
+    if (typeof key !== "string" || key === "" || key.startsWith("/") || key.split(/[\\/]/).includes("..")) {
+        throw invalidKeyError(key);
+    }
+    return key;
+};
+
+/**
+ * Local filesystem adapter.
+ * @param {Object} options - Adapter options.
+ * @param {string} options.root - Folder the keys are resolved against.
+ * @returns {Object} - The storage adapter.
+ */
+const createLocalStorage = ({ root }) => {
+    // Resolve a key inside the root, refusing keys that would escape it
+    const resolve = (key) => {
+        const filePath = path.resolve(root, checkKey(key));
+        if (filePath !== path.resolve(root) && !filePath.startsWith(path.resolve(root) + path.sep)) {
+            throw invalidKeyError(key);
+        }
+        return filePath;
+    };
+
+    const readFile = async (key) => fs.promises.readFile(resolve(key));
+
+    // Written to a temporary file in the same folder and renamed, so the write is atomic
+    const writeFile = async (key, data) => {
+        const filePath = resolve(key);
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        try {
+            await fs.promises.writeFile(tempPath, data);
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+    };
+
+    const stat = async (key) => {
+        try {
+            const stats = await fs.promises.stat(resolve(key));
+            return { size: stats.size, mtimeMs: stats.mtimeMs };
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    };
+
+    const exists = async (key) => (await stat(key)) !== null;
+
+    const remove = async (key) => fs.promises.rm(resolve(key), { force: true });
+
+    const list = async (prefix) => {
+        try {
+            const entries = await fs.promises.readdir(resolve(prefix), { withFileTypes: true });
+            return entries
+                .filter((entry) => entry.isFile() && !entry.name.endsWith(".tmp"))
+                .map((entry) => path.posix.join(prefix, entry.name));
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+    };
+
+    const watch = (prefix, onChange) => {
+        try {
+            const watcher = fs.watch(resolve(prefix), () => onChange());
+            watcher.on("error", () => watcher.close());
+            return { close: () => watcher.close() };
+        } catch (error) {
+            // The folder does not exist yet
+            return null;
+        }
+    };
+
+    const getLocation = (key) => `file://${resolve(key)}`;
+
+    return { driver: "local", readFile, writeFile, exists, stat, remove, list, watch, getLocation };
+};
+
+/**
+ * S3-compatible adapter (AWS S3, MinIO, ...).
+ * Needs `@aws-sdk/client-s3`, which is only loaded when this adapter is used.
+ * @param {Object} options - Adapter options.
+ * @param {string} options.bucket - Bucket holding the keys.
+ * @param {string} [options.prefix] - Prefix prepended to every key.
+ * @param {string} [options.region="us-east-1"] - Bucket region.
+ * @param {string} [options.endpoint] - Custom endpoint, e.g. `http://localhost:9000` for a local MinIO.
+ * @param {string} [options.accessKeyId] - Access key, the default AWS credential chain is used when omitted.
+ * @param {string} [options.secretAccessKey] - Secret key.
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs (needed by MinIO), defaults to true with an endpoint.
+ * @returns {Object} - The storage adapter.
+ */
+const createS3Storage = ({
+    bucket,
+    prefix = "",
+    region = "us-east-1",
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = Boolean(endpoint),
+}) => {
+    const {
+        S3Client,
+        GetObjectCommand,
+        PutObjectCommand,
+        HeadObjectCommand,
+        DeleteObjectCommand,
+        ListObjectsV2Command,
+    } = require("@aws-sdk/client-s3");
+
+    if (!bucket) {
+        throw new Error("S3 storage needs a bucket");
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    const toObjectKey = (key) => path.posix.join(prefix, checkKey(key));
+
+    // S3 answers 404 for missing keys (NoSuchKey on GET, NotFound on HEAD)
+    const isNotFound = (error) =>
+        error.name === "NoSuchKey" || error.name === "NotFound" || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+    const readFile = async (key) => {
+        try {
+            const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+            return Buffer.from(await Body.transformToByteArray());
+        } catch (error) {
+            if (isNotFound(error)) throw notFoundError(key);
+            throw error;
+        }
+    };
+
+    // A PUT replaces the object in one go, so it is atomic as is
+    const writeFile = async (key, data) => {
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: toObjectKey(key),
+            Body: typeof data === "string" ? data : Buffer.from(data),
+            ContentType: key.endsWith(".pdf") ? "application/pdf" : key.endsWith(".json") ? "application/json" : undefined,
+        }));
+    };
+
+    const stat = async (key) => {
+        try {
+            const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+            return { size: head.ContentLength, mtimeMs: head.LastModified ? head.LastModified.getTime() : 0 };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    };
+
+    const exists = async (key) => (await stat(key)) !== null;
+
+    const remove = async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+    };
+
+    const list = async (keyPrefix) => {
+        const objectPrefix = `${toObjectKey(keyPrefix)}/`;
+        const keys = [];
+        let ContinuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: objectPrefix,
+                Delimiter: "/",
+                ContinuationToken,
+            }));
+            (page.Contents || []).forEach((object) => {
+                keys.push(path.posix.join(keyPrefix, object.Key.slice(objectPrefix.length)));
+            });
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return keys;
+    };
+
+    // S3 has no change feed we can subscribe to here, callers poll `stat` instead
+    const watch = () => null;
+
+    const getLocation = (key) => `s3://${bucket}/${toObjectKey(key)}`;
+
+    return { driver: "s3", readFile, writeFile, exists, stat, remove, list, watch, getLocation };
+};
+
+/**
+ * Creates a storage adapter.
+ * @param {Object} options - `{ driver: "local" | "s3", ...adapterOptions }`.
+ * @returns {Object} - The storage adapter.
+ */
+const createStorage = ({ driver = "local", ...options } = {}) => {
+    switch (driver) {
+        case "local":
+            return createLocalStorage(options);
+        case "s3":
+            return createS3Storage(options);
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+};
+
+let defaultStorage = null;
+
+/**
+ * Returns the storage configured through the environment, created on first use.
+ * - `STORAGE_DRIVER`: `local` (default) or `s3`.
+ * - `STORAGE_ROOT`: Root folder of the local adapter.
+ * - `S3_BUCKET`, `S3_PREFIX`, `S3_REGION`, `S3_ENDPOINT`, `S3_ACCESS_KEY_ID`, `S3_SECRET_ACCESS_KEY`: S3 adapter settings.
+ * @param {string} [defaultRoot] - Local root used when `STORAGE_ROOT` is not set.
+ * @returns {Object} - The storage adapter.
+ */
+const getStorage = (defaultRoot) => {
+    if (!defaultStorage) {
+        defaultStorage = createStorage({
+            driver: process.env.STORAGE_DRIVER || "local",
+            root: process.env.STORAGE_ROOT || defaultRoot,
+            bucket: process.env.S3_BUCKET,
+            prefix: process.env.S3_PREFIX,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        });
+    }
+    return defaultStorage;
+};
+
+/**
+ * Replaces the storage returned by `getStorage` (e.g. for a different environment or in tests).
+ * @param {Object} storage - A storage adapter.
+ */
+const setStorage = (storage) => {
+    defaultStorage = storage;
+};
+
+module.exports = {
+    createLocalStorage,
+    createS3Storage,
+    createStorage,
+    getStorage,
+    setStorage,
+};
@@ -0,0 +1,253 @@
+/**
+ * Overview:
+ * Text flow and pagination shared by the page layouts (see pageLayout.js). Nothing here draws or knows about block
+ * types, widths are measured and blocks are drawn through the functions the caller passes in.
+ * - `wrapText`: Wraps text into lines at spaces, keeping its line breaks. There is no hyphenation at syllables, only
+ *   words wider than a whole line (URLs, paths, identifiers) are broken, with a hyphen between two Latin letters and
+ *   preferably after a `/`, `-`, `?`, `&`...
+ * - `wrapLines`: The same lines with where each one starts and ends in the text, to split a text between two lines.
+ * - `breakWord`: The pieces `wrapText` breaks an overlong word into.
+ * - `fitLines`: How many lines of a text go on the rest of a page, with widow and orphan control: a paragraph is
+ *   not broken to leave fewer than `orphans` lines at the bottom of a page or `widows` lines at the top of the next.
+ * - `flowBlocks`: Places blocks down the pages and starts new pages. Blocks that can split fill the rest of a page,
+ *   `keepTogether` blocks only split when they are taller than a whole page, `keepWithNext` blocks (headings) go to
+ *   the next page with the block that follows them rather than being left alone at the bottom, and `breakBefore`
+ *   blocks always start a new page. Nothing is drawn below the flow area: a block taller than a page that cannot
+ *   split is cut at the bottom of the page.
+ */
+
+// Lines of a paragraph kept together at the bottom (orphans) and at the top (widows) of a page
+const ORPHANS = 2;
+const WIDOWS = 2;
+
+const LATIN_LETTER = /[A-Za-z\u00c0-\u024f]/;
+
+// Characters an overlong word (a URL, a path) is best broken after, no hyphen needed
+const BREAK_AFTER = /[/\-?&=_.,;:|\\]/;
+
+/**
+ * Breaks a word wider than a line into pieces that fit, each piece filling as much of a line as it can.
+ * @param {string} word - The word.
+ * @param {number} width - Width of a line.
+ * @param {function(string): number} measure - Width of a text in the current font.
+ * @returns {string[]} - The pieces, hyphenated where the word was cut between two Latin letters.
+ */
+const breakWord = (word, width, measure) => {
+    const pieces = [];
+    let rest = word;
+    while (rest.length > 1 && measure(rest) > width) {
+        const hyphen = (cut) => (LATIN_LETTER.test(rest[cut - 1]) && LATIN_LETTER.test(rest[cut]) ? "-" : "");
+        // Longest head that fits, at least one character
+        let low = 1;
+        let high = rest.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (measure(rest.slice(0, middle) + hyphen(middle)) <= width) low = middle;
+            else high = middle - 1;
+        }
+        let cut = low;
+        for (let i = low; i > low / 2; i--) {
+            if (BREAK_AFTER.test(rest[i - 1])) {
+                cut = i;
+                break;
+            }
+        }
+        pieces.push(rest.slice(0, cut) + (cut === low ? hyphen(cut) : ""));
+        rest = rest.slice(cut);
+    }
+    pieces.push(rest);
+    return pieces;
+};
+
+/**
+ * Wraps a text into lines no wider than `width`, keeping its line breaks (an empty line stays an empty line), and
+ * tells where each line comes from in the text.
+ * @param {string} text - The text.
+ * @param {number} width - Width of a line.
+ * @param {function(string): number} measure - Width of a text in the current font.
+ * @returns {{ text: string, start: number, end: number, hyphenated: boolean, paragraphStart: boolean }[]} - The
+ *   lines: `start` and `end` are offsets in the text (the spaces around a line are outside of them),
+ *   `hyphenated` when a hyphen was added to a broken word and `paragraphStart` for the first line after a line break.
+ */
+const wrapLines = (text, width, measure) => {
+    const source = String(text);
+    const spaceWidth = measure(" ");
+    const lines = [];
+    let paragraphOffset = 0;
+    source.split("\n").forEach((paragraph) => {
+        let line = null;
+        const startLine = (start) => {
+            line = { text: "", width: 0, start, end: start, hyphenated: false, paragraphStart: line === null };
+            lines.push(line);
+        };
+        const words = /\S+/g;
+        let match;
+        while ((match = words.exec(paragraph))) {
+            const word = match[0];
+            const wordStart = paragraphOffset + match.index;
+            const wordWidth = measure(word);
+            if (line && line.text && line.width + spaceWidth + wordWidth <= width) {
+                line.text += ` ${word}`;
+                line.width += spaceWidth + wordWidth;
+                line.end = wordStart + word.length;
+                continue;
+            }
+            // A word that does not fit starts a line, an overlong one is broken over several
+            const pieces = wordWidth > width ? breakWord(word, width, measure) : [word];
+            let pieceStart = wordStart;
+            pieces.forEach((piece, i) => {
+                const hyphenated = i < pieces.length - 1 && piece.endsWith("-") && source[pieceStart + piece.length - 1] !== "-";
+                if (!line || line.text) startLine(pieceStart);
+                line.text = piece;
+                line.width = measure(piece);
+                line.end = pieceStart + piece.length - (hyphenated ? 1 : 0);
+                line.hyphenated = hyphenated;
+                pieceStart = line.end;
+            });
+        }
+        if (!line) startLine(paragraphOffset);
+        paragraphOffset += paragraph.length + 1;
+    });
+    return lines.map(({ width: lineWidth, ...line }) => line);
+};
+
+/**
+ * Wraps a text into lines no wider than `width`, keeping its line breaks (an empty line stays an empty line).
+ * @param {string} text - The text.
+ * @param {number} width - Width of a line.
+ * @param {function(string): number} measure - Width of a text in the current font.
+ * @returns {string[]} - The lines.
+ */
+const wrapText = (text, width, measure) => wrapLines(text, width, measure).map((line) => line.text);
+
+/**
+ * How many lines go on the rest of a page: as many as fit, then fewer so that no paragraph leaves fewer than
+ * `orphans` lines before the break or `widows` lines after it.
+ * @param {{ height: number, paragraphStart: boolean }[]} lines - Height of every line (with the space above it) and
+ *   whether it starts a paragraph. The first line always counts as the start of one.
+ * @param {number} height - Height left on the page.
+ * @param {Object} [options] - Widow and orphan control.
+ * @param {number} [options.orphans=2] - Least lines of a paragraph left at the bottom of a page.
+ * @param {number} [options.widows=2] - Least lines of a paragraph carried to the top of the next page.
+ * @param {boolean} [options.atTop=false] - Whether the lines start at the top of a page. Moving them all to the next
+ *   page would not help then, the lines that fit are kept.
+ * @returns {number} - Lines on this page, 0 when the text should start on the next one.
+ */
+const fitLines = (lines, height, { orphans = ORPHANS, widows = WIDOWS, atTop = false } = {}) => {
+    let used = 0;
+    let count = 0;
+    while (count < lines.length && used + lines[count].height <= height) {
+        used += lines[count].height;
+        count++;
+    }
+    if (count === 0 || count === lines.length) {
+        return count;
+    }
+
+    // The paragraph the break falls in
+    let start = count;
+    while (start > 0 && !lines[start].paragraphStart) start--;
+    let end = count + 1;
+    while (end < lines.length && !lines[end].paragraphStart) end++;
+
+    let balanced = count;
+    if (balanced > start) {
+        if (end - balanced < widows) balanced = Math.max(start, end - widows);
+        if (balanced - start < orphans) balanced = start;
+    }
+    return balanced === 0 && atTop ? count : balanced;
+};
+
+/**
+ * Places blocks one after the other down the pages, starting a new page whenever the next block does not fit.
+ * @param {Object[]} blocks - The blocks, in order. `keepTogether`, `keepWithNext` and `breakBefore` are read from
+ *   them (see the overview), everything else is left to the callbacks.
+ * @param {Object} page - The flow area and the callbacks.
+ * @param {number} page.top - Top of the flow area on every page.
+ * @param {number} page.bottom - Bottom of the flow area on every page.
+ * @param {function(): void} page.newPage - Starts a new page.
+ * @param {function(Object): number} page.measure - Height of a block.
+ * @param {function(Object, number, Object): (Object[]|null)} [page.split] - Splits a block so that its head fits
+ *   in the given height, `[head, rest]`, or null when it cannot (the block then goes to the next page whole). Gets
+ *   `{ atTop }` as third argument.
+ * @param {function(Object, number, Object): void} page.draw - Draws a block with its top at `y`. Gets
+ *   `{ maxHeight }` as third argument when the block is taller than the flow area and has to be cut to it.
+ * @param {function(Object): number} [page.spaceBefore] - Space above a block.
+ * @param {function(Object): number} [page.spaceAfter] - Space below a block.
+ * @param {function(Object): boolean} [page.keepWithNext] - Whether a block stays with the next one, the block's
+ *   `keepWithNext` by default.
+ * @returns {number} - Where the flow ended on the last page.
+ */
+const flowBlocks = (blocks, {
+    top,
+    bottom,
+    newPage,
+    measure,
+    split = () => null,
+    draw,
+    spaceBefore = (block) => block.spaceBefore || 0,
+    spaceAfter = (block) => block.spaceAfter || 0,
+    keepWithNext = (block) => Boolean(block.keepWithNext),
+}) => {
+    const trySplit = (block, height, atTop) => (block.keepTogether || height <= 0 ? null : split(block, height, { atTop }));
+
+    let y = top;
+    const queue = [...blocks];
+    while (queue.length > 0) {
+        const block = queue.shift();
+        if (block.breakBefore && y > top) {
+            newPage();
+            y = top;
+        }
+        const height = measure(block);
+        y += spaceBefore(block);
+
+        if (y + height > bottom) {
+            // A block that can split fills the rest of the page, the remainder goes first on the next page
+            const atTop = y <= top + spaceBefore(block);
+            // Taller than a whole page: keeping it together cannot work, it is split if it can be
+            const parts = trySplit(block, bottom - y, atTop)
+                || (atTop && block.keepTogether ? split(block, bottom - y, { atTop }) : null);
+            if (parts) {
+                draw(parts[0], y);
+                queue.unshift({ ...parts[1], spaceBefore: 0, breakBefore: false });
+                newPage();
+                y = top;
+                continue;
+            }
+            if (!atTop) {
+                // Tried again at the top of the next page
+                newPage();
+                y = top;
+                queue.unshift({ ...block, spaceBefore: 0, breakBefore: false });
+                continue;
+            }
+            // Cannot split: cut at the bottom of the flow area rather than drawn over what is below it
+            draw(block, y, { maxHeight: bottom - y });
+            y = bottom;
+            continue;
+        } else if (keepWithNext(block) && queue.length > 0 && y > top + spaceBefore(block)) {
+            // Nothing of the next block would fit under this one: both go to the next page
+            const next = queue[0];
+            const nextY = y + height + spaceAfter(block) + spaceBefore(next);
+            const nextFits = nextY + measure(next) <= bottom || trySplit(next, bottom - nextY, false);
+            if (!nextFits) {
+                newPage();
+                y = top;
+            }
+        }
+        draw(block, y);
+        y += height + spaceAfter(block);
+    }
+    return y;
+};
+
+module.exports = {
+    ORPHANS,
+    WIDOWS,
+    breakWord,
+    wrapLines,
+    wrapText,
+    fitLines,
+    flowBlocks,
+};
@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Overview:
+ * White-label themes. A theme holds everything branded in a report: the image assets, the palette, the fonts
+ * (built-in jsPDF fonts or embedded TTF files), the footer text, the social links and the "Learn more" URLs.
+ *
+ * `DEFAULT_THEME` is used when a tenant has no theme of its own. Tenant themes live in `THEMES_DIR`, one folder
+ * per tenant holding a `theme.json` and its assets:
+ *   THEMES_DIR/<tenantId>/theme.json
+ *   THEMES_DIR/<tenantId>/logo.png ...
+ * A tenant theme only lists what differs from the default, it is merged over it (arrays are replaced).
+ * Asset and font paths in `theme.json` are relative to the tenant folder.
+ * `DEFAULT_TENANT` names the tenant used when a report does not say which one it is for.
+ * `REPORT_BASE_URL` is where reports are published online (e.g. `https://reports.example.com`), the QR code of a
+ * report links to `<REPORT_BASE_URL>/user/scanreport/<scanId>`. Without it (and without a `reportUrl` in the
+ * tenant's theme) reports have no QR code.
+ */
+
+const IMAGES_DIR = path.join(__dirname, "images");
+
+const DEFAULT_THEME = {
+    id: "default",
+    name: "Skyline Academics",
+    // Images are PNG/JPEG files or Base64 `.txt` files
+    assets: {
+        banner: "banner_base64.txt", // Cover page banner
+        certificate: "footerbanner_base64.txt", // Footer certificate of the generated pages
+        pdfHeader: "banner.png", // Header stamped on the detector's PDF report
+        pdfFooter: "footerbanner.png", // Footer stamped on the detector's PDF report
+        icons: {
+            repository: "database_base64.txt",
+            internalDatabase: "internal_database_base64.txt",
+            filtered: "filter_base64.txt",
+            internet: "internet_base64.txt",
+            batch: "batch_base64.txt",
+        },
+    },
+    // [r, g, b]
+    palette: {
+        primary: [0, 102, 204],
+        accent: [255, 87, 34],
+        gauge: [255, 87, 34],
+        text: [0, 0, 0],
+        muted: [105, 105, 105],
+        rule: [169, 169, 169],
+        link: [173, 216, 230],
+        included: [46, 125, 50],
+        excluded: [169, 169, 169],
+        identical: [255, 0, 0],
+        minorChanges: [255, 102, 102],
+        paraphrased: [255, 165, 0],
+        omitted: [173, 216, 230],
+        omittedOutline: [0, 0, 255],
+        ai: [204, 153, 255],
+        human: [211, 211, 211],
+        // Verdicts of the executive summary (see reportPolicy.js)
+        pass: [46, 125, 50],
+        review: [230, 140, 0],
+        fail: [198, 40, 40],
+    },
+    // Font family per role, plus TTF files to embed as `{ family, style, file }`
+    fonts: {
+        heading: "times",
+        text: "times",
+        ui: "helvetica",
+        mono: "courier",
+        files: [],
+    },
+    footer: {
+        text: "Generated by Your App",
+        certifiedBy: "Certified by",
+    },
+    social: [
+        { icon: "instagram_icon_base64.txt", url: "https://www.instagram.com/yourcompany" },
+        { icon: "facebook_icon_base64.txt", url: "https://www.facebook.com/yourcompany" },
+        { icon: "linkedin_icon_base64.txt", url: "https://www.linkedin.com/company/yourcompany" },
+        { icon: "twitter_icon_base64.txt", url: "https://twitter.com/yourcompany" },
+    ],
+    // "Learn more" targets
+    links: {
+        identical: "https://example.com/identical",
+        minorChanges: "https://example.com/minor-changes",
+        paraphrased: "https://example.com/paraphrased",
+        omittedWords: "https://example.com/omitted-words",
+        internalDatabase: "https://example.com/copyleaks-internal-database",
+        filteredResults: "https://example.com/filtered-excluded-results",
+        batchResults: "https://example.com/current-batch-results",
+        aiText: "https://example.com/identical",
+        humanText: "https://example.com/minor-changes",
+        aiEffectiveness: "https://example.com/copyleaks-internal-database",
+        textLength: "https://example.com/filtered-excluded-results",
+        aiFalsePositives: "https://example.com/current-batch-results",
+        aiAlertHistory: "https://example.com/current-batch-results",
+        aiInsights: "https://example.com/current-batch-results",
+    },
+    // Online version of a report, encoded in the QR code. `{scanId}` is replaced with the scan id, null leaves the QR code out.
+    reportUrl: process.env.REPORT_BASE_URL ? `${process.env.REPORT_BASE_URL.replace(/\/+$/, "")}/user/scanreport/{scanId}` : null,
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Merges `override` over `base`, nested objects are merged and anything else (arrays included) is replaced
+const mergeTheme = (base, override) => {
+    const merged = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeTheme(base[key], value) : value;
+    });
+    return merged;
+};
+
+const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+// Makes the asset and font paths of a (possibly partial) theme absolute
+const resolveThemePaths = (theme, folder) => {
+    const resolveFile = (file) => (file && !path.isAbsolute(file) ? path.join(folder, file) : file);
+    const resolved = { ...theme };
+    if (theme.assets) {
+        const { icons, ...assets } = theme.assets;
+        resolved.assets = mapValues(assets, resolveFile);
+        if (icons) resolved.assets.icons = mapValues(icons, resolveFile);
+    }
+    if (theme.fonts && theme.fonts.files) {
+        resolved.fonts = { ...theme.fonts, files: theme.fonts.files.map((font) => ({ ...font, file: resolveFile(font.file) })) };
+    }
+    if (theme.social) {
+        resolved.social = theme.social.map((item) => ({ ...item, icon: resolveFile(item.icon) }));
+    }
+    return resolved;
+};
+
+const themeCache = new Map();
+
+// The default theme with its assets pointing into src/images
+const defaultTheme = resolveThemePaths(DEFAULT_THEME, IMAGES_DIR);
+
+/**
+ * Returns the theme of a tenant, or the default theme when the tenant has none.
+ * Themes are read from `THEMES_DIR` once and cached.
+ * @param {string} [tenantId] - The tenant, e.g. the institution the report is generated for.
+ * @returns {Object} - The theme, with absolute asset paths.
+ */
+const getTheme = (tenantId = process.env.DEFAULT_TENANT) => {
+    if (!tenantId) {
+        return defaultTheme;
+    }
+    if (!/^[\w-]+$/.test(tenantId)) {
+        console.warn(`Invalid tenant id ${JSON.stringify(tenantId)}, using the default theme`);
+        return defaultTheme;
+    }
+    if (themeCache.has(tenantId)) {
+        return themeCache.get(tenantId);
+    }
+
+    let theme = defaultTheme;
+    const themesDir = process.env.THEMES_DIR;
+    const folder = themesDir ? path.join(themesDir, tenantId) : null;
+    if (folder && fs.existsSync(path.join(folder, "theme.json"))) {
+        try {
+            const override = JSON.parse(fs.readFileSync(path.join(folder, "theme.json"), "utf-8"));
+            // Only the tenant's own paths are relative to its folder, the defaults already point into src/images
+            theme = mergeTheme(defaultTheme, resolveThemePaths(override, folder));
+            theme.id = tenantId;
+        } catch (error) {
+            console.error(`Error loading the theme of tenant ${tenantId}:`, error.message);
+        }
+    } else {
+        console.warn(`No theme for tenant ${tenantId}, using the default theme`);
+    }
+
+    themeCache.set(tenantId, theme);
+    return theme;
+};
+
+module.exports = {
+    DEFAULT_THEME,
+    mergeTheme,
+    getTheme,
+};
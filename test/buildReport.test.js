@@ -0,0 +1,63 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PDFDocument, PDFName, PDFStream } = require("pdf-lib");
+
+// The scan folder is read when the modules run, set it first
+const STORAGE_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), "build-report-"));
+process.env.STORAGE_ROOT = STORAGE_ROOT;
+after(() => fs.rmSync(STORAGE_ROOT, { recursive: true, force: true }));
+
+const { createMockScan } = require("../src/mockCopyleaksServer");
+const { REPORT_FILE, buildReport, generateReport, scanFolderKey } = require("../src/main");
+
+// Writes the artifacts of the mock scan into its scan folder, as the Copyleaks webhooks do
+const writeMockScan = async (userId, scanId) => {
+    const scan = await createMockScan(scanId);
+    const folder = path.join(STORAGE_ROOT, scanFolderKey(userId, scanId));
+    fs.mkdirSync(path.join(folder, "results"), { recursive: true });
+    fs.writeFileSync(path.join(folder, "scan_results.json"), JSON.stringify(scan.scanResults));
+    fs.writeFileSync(path.join(folder, "ai_result.json"), JSON.stringify(scan.aiResult));
+    fs.writeFileSync(path.join(folder, "crawled_version.json"), JSON.stringify(scan.crawledVersion));
+    fs.writeFileSync(path.join(folder, "plagiarism_report.pdf"), scan.pdfReport);
+    Object.entries(scan.results).forEach(([id, result]) => {
+        fs.writeFileSync(path.join(folder, "results", `${id}.json`), JSON.stringify(result));
+    });
+    return folder;
+};
+
+test("the saved report carries every image and font file once", { timeout: 120000 }, async () => {
+    const folder = await writeMockScan("user-1", "scan-dedupe");
+    await buildReport("user-1", "scan-dedupe");
+
+    const report = await PDFDocument.load(fs.readFileSync(path.join(folder, REPORT_FILE)));
+    const shared = report.context.enumerateIndirectObjects()
+        .filter(([, object]) => object instanceof PDFStream)
+        .filter(([, object]) => object.dict.get(PDFName.of("Subtype")) === PDFName.of("Image") || object.dict.has(PDFName.of("Length1")));
+    const hashes = shared.map(([, object]) => crypto.createHash("sha1").update(object.dict.toString()).update(object.getContents()).digest("hex"));
+
+    assert.ok(shared.length > 0);
+    assert.strictEqual(new Set(hashes).size, hashes.length);
+});
+
+test("result ids that would leave the results folder are refused", async () => {
+    const folder = await writeMockScan("user-1", "scan-result-ids");
+    const scanResults = JSON.parse(fs.readFileSync(path.join(folder, "scan_results.json"), "utf-8"));
+    scanResults.results.internet[0].id = "../scan_results";
+    fs.writeFileSync(path.join(folder, "scan_results.json"), JSON.stringify(scanResults));
+
+    await assert.rejects(buildReport("user-1", "scan-result-ids"), (error) => (
+        error.status === 422 && error.details.some((problem) => problem.path === "$.results.internet[0].id")
+    ));
+});
+
+test("scan ids that would leave the scan folder are refused", async () => {
+    let answer;
+    const res = { status: (status) => ({ json: (body) => { answer = { status, body }; } }) };
+    await generateReport({ params: { userId: "user-1", scanId: "../user-2" }, query: {}, headers: {} }, res);
+    assert.strictEqual(answer.status, 400);
+    assert.match(answer.body.error, /Invalid userId or scanId/);
+});
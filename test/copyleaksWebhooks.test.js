@@ -0,0 +1,158 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { default: axios } = require("axios");
+const { PDFDocument, PDFName, PDFDict, PDFHexString, PDFString } = require("pdf-lib");
+
+// The scan folder and the webhook secret are read when the modules run, set them first
+const STORAGE_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), "copyleaks-webhooks-"));
+process.env.STORAGE_ROOT = STORAGE_ROOT;
+process.env.COPYLEAKS_WEBHOOK_SECRET = "test-secret";
+process.env.COPYLEAKS_EMAIL = "mock@example.com";
+process.env.COPYLEAKS_API_KEY = "mock-key";
+after(() => fs.rmSync(STORAGE_ROOT, { recursive: true, force: true }));
+
+const { startMockCopyleaksServer } = require("../src/mockCopyleaksServer");
+const { registerCopyleaksRoutes, scanWebhookUrl } = require("../src/copyleaksWebhooks");
+const { REPORT_FILE, scanFolderKey } = require("../src/main");
+
+// Serves the webhook routes the way Express would (`req.params`, `req.query`, `res.status().json()`)
+const startWebhookServer = async () => {
+    const routes = [];
+    registerCopyleaksRoutes({
+        post: (route, handler) => routes.push({ pattern: new RegExp(`^${route.replace(/:(\w+)/g, "(?<$1>[^/]+)")}$`), handler }),
+    });
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        const route = routes.find(({ pattern }) => pattern.test(url.pathname));
+        if (!route) {
+            res.writeHead(404);
+            return res.end();
+        }
+        req.params = Object.fromEntries(Object.entries(url.pathname.match(route.pattern).groups).map(([name, value]) => [name, decodeURIComponent(value)]));
+        req.query = Object.fromEntries(url.searchParams);
+        const reply = {
+            status: (status) => ({
+                json: (body) => {
+                    res.writeHead(status, { "Content-Type": "application/json" });
+                    res.end(JSON.stringify(body));
+                },
+            }),
+        };
+        return route.handler(req, reply);
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    return { server, url: `http://localhost:${server.address().port}` };
+};
+
+// Titles of the top level outline entries of a PDF
+const outlineTitles = (pdfDoc) => {
+    const titles = [];
+    const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of("Outlines"), PDFDict);
+    let item = outlines && outlines.lookupMaybe(PDFName.of("First"), PDFDict);
+    while (item) {
+        const title = item.lookup(PDFName.of("Title"));
+        if (title instanceof PDFHexString || title instanceof PDFString) titles.push(title.decodeText());
+        item = item.lookupMaybe(PDFName.of("Next"), PDFDict);
+    }
+    return titles;
+};
+
+// The export completion webhook (the scan webhook ends with the `completed` status too)
+const isExportCompletion = ({ endpoint }) => /\/export\/.*\/completed$/.test(new URL(endpoint).pathname);
+
+const waitFor = async (check, timeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error("Timed out");
+        await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+};
+
+test("builds the report with the source comparison when the results are delivered last", { timeout: 120000 }, async () => {
+    const mock = await startMockCopyleaksServer({ resultsLast: true });
+    const webhooks = await startWebhookServer();
+    process.env.COPYLEAKS_API_URL = mock.url;
+    process.env.COPYLEAKS_ID_URL = mock.url;
+    process.env.WEBHOOK_BASE_URL = webhooks.url;
+
+    try {
+        const userId = "user-1";
+        const scanId = "scan-results-last";
+        const reportPath = path.join(STORAGE_ROOT, scanFolderKey(userId, scanId), REPORT_FILE);
+
+        await mock.completeScan(scanId, scanWebhookUrl(userId, scanId));
+        await waitFor(() => mock.deliveries.some(isExportCompletion), 30000);
+        await waitFor(() => fs.existsSync(reportPath), 90000);
+
+        // Every delivery got through, the results after the other artifacts
+        const exported = mock.deliveries.slice(1).map(({ endpoint, isHealthy }) => ({ route: new URL(endpoint).pathname.split("/").slice(-2).join("/"), isHealthy }));
+        assert.ok(exported.every(({ isHealthy }) => isHealthy));
+        assert.deepStrictEqual(exported.map(({ route }) => route.split("/").pop()), ["pdf-report", "crawled-version", "ai-detection", "mock-result-1", "completed"]);
+
+        const report = await PDFDocument.load(fs.readFileSync(reportPath));
+        assert.ok(outlineTitles(report).includes("Source Comparison"));
+
+        // Copyleaks repeating the completion call does not build the report again
+        const completion = mock.deliveries.find(isExportCompletion).endpoint;
+        const repeated = await axios.post(completion, {});
+        assert.strictEqual(repeated.data.message, "Export completed, report already generated");
+
+        // Neither does repeating the scan completion, the saved results are kept and nothing is exported again
+        const resultsPath = path.join(path.dirname(reportPath), "scan_results.json");
+        const savedResults = fs.readFileSync(resultsPath);
+        const exports = mock.deliveries.length;
+        const repeatedScan = await axios.post(mock.deliveries[0].endpoint, { scannedDocument: { scanId } });
+        assert.strictEqual(repeatedScan.data.message, "Scan completed, report already generated");
+        assert.deepStrictEqual(fs.readFileSync(resultsPath), savedResults);
+        assert.strictEqual(mock.deliveries.length, exports);
+    } finally {
+        await mock.close();
+        await new Promise((resolve) => webhooks.server.close(resolve));
+    }
+});
+
+test("refuses webhook calls without the secret", async () => {
+    const webhooks = await startWebhookServer();
+    try {
+        const url = `${webhooks.url}/api/scan/copyleaks/export/user-1/scan-1/export-1/ai-detection`;
+        const withoutToken = await axios.post(url, {}, { validateStatus: () => true });
+        const wrongToken = await axios.post(`${url}?token=wrong`, {}, { validateStatus: () => true });
+        assert.strictEqual(withoutToken.status, 401);
+        assert.strictEqual(wrongToken.status, 401);
+        assert.ok(!fs.existsSync(path.join(STORAGE_ROOT, scanFolderKey("user-1", "scan-1"), "ai_result.json")));
+    } finally {
+        await new Promise((resolve) => webhooks.server.close(resolve));
+    }
+});
+
+test("refuses result ids that are not a plain name", async () => {
+    const webhooks = await startWebhookServer();
+    try {
+        const url = (resultId) => `${webhooks.url}/api/scan/copyleaks/export/user-1/scan-2/export-1/results/${encodeURIComponent(resultId)}?token=test-secret`;
+        const escaping = await axios.post(url("../escaped"), {}, { validateStatus: () => true });
+        const saved = await axios.post(url("result-1"), {}, { validateStatus: () => true });
+        assert.strictEqual(escaping.status, 400);
+        assert.strictEqual(saved.status, 200);
+        const folder = path.join(STORAGE_ROOT, scanFolderKey("user-1", "scan-2"));
+        assert.ok(!fs.existsSync(path.join(folder, "escaped.json")));
+        assert.ok(fs.existsSync(path.join(folder, "results", "result-1.json")));
+    } finally {
+        await new Promise((resolve) => webhooks.server.close(resolve));
+    }
+});
+
+test("refuses user and scan ids that are not a plain name", async () => {
+    const webhooks = await startWebhookServer();
+    try {
+        const url = `${webhooks.url}/api/scan/copyleaks/export/user-1/${encodeURIComponent("../user-2")}/export-1/ai-detection?token=test-secret`;
+        const response = await axios.post(url, {}, { validateStatus: () => true });
+        assert.strictEqual(response.status, 400);
+        assert.ok(!fs.existsSync(path.join(STORAGE_ROOT, "ScanDoc", "user-2", "ai_result.json")));
+    } finally {
+        await new Promise((resolve) => webhooks.server.close(resolve));
+    }
+});
@@ -0,0 +1,40 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// An empty fonts folder, none of the Unicode fonts are there
+const FONTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "fonts-"));
+process.env.FONTS_DIR = FONTS_DIR;
+after(() => fs.rmSync(FONTS_DIR, { recursive: true, force: true }));
+
+const { getLocale } = require("../src/i18n");
+
+test("a right-to-left locale without its fonts is refused", () => {
+    assert.throws(() => getLocale("ar"), (error) => error.status === 422 && /Font NotoNaskhArabic not found .* locale ar cannot be rendered/.test(error.message));
+    assert.throws(() => getLocale("ur-PK"), /locale ur-PK cannot be rendered/);
+});
+
+test("other locales fall back to the theme's fonts", () => {
+    const locale = getLocale("en");
+    assert.strictEqual(locale.direction, "ltr");
+    assert.strictEqual(locale.fonts.unicode, undefined);
+    assert.deepStrictEqual(locale.fonts.files, []);
+});
+
+test("right-to-left locales use the fonts shipped in src/fonts", () => {
+    const fontsDir = process.env.FONTS_DIR;
+    delete process.env.FONTS_DIR;
+    try {
+        const locale = getLocale("ur-PK", { timeZone: "Asia/Karachi" });
+        assert.strictEqual(locale.direction, "rtl");
+        assert.strictEqual(locale.fonts.text, "NotoNaskhArabic");
+        assert.deepStrictEqual(locale.fonts.files.map(({ style, file }) => [style, path.relative(path.join(__dirname, ".."), file)]), [
+            ["normal", path.join("src", "fonts", "NotoNaskhArabic-Regular.ttf")],
+            ["bold", path.join("src", "fonts", "NotoNaskhArabic-Bold.ttf")],
+        ]);
+    } finally {
+        process.env.FONTS_DIR = fontsDir;
+    }
+});
@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { jsPDF } = require("jspdf");
+const { BLOCK_TYPES, renderTemplate } = require("../src/pageLayout");
+
+const newDoc = () => new jsPDF({ unit: "mm", format: "a4" });
+
+// The operators of a page, one entry per line of its content stream
+const pageOps = (doc, page) => doc.internal.pages[page].join("\n").split("\n");
+
+// `x` of the text drawn on a page, in pt
+const textX = (doc, page) => pageOps(doc, page).filter((op) => op.endsWith(" Td")).map((op) => Number(op.split(" ")[0]));
+
+test("the rest of a split paragraph is carried as one paragraph, widow control holds on every page", () => {
+    const doc = newDoc();
+    const text = Array.from({ length: 60 }, (_, i) => `word${i}`).join(" ");
+    const block = { type: "text", text };
+    const width = 40;
+    const lineCount = (part) => BLOCK_TYPES.text.measure(doc, part, width) / BLOCK_TYPES.text.measure(doc, { type: "text", text: "x" }, width);
+    const total = lineCount(block);
+    const spacing = BLOCK_TYPES.text.measure(doc, block, width) / total;
+
+    const [head, rest] = BLOCK_TYPES.text.split(doc, block, width, 3 * spacing);
+    assert.strictEqual(lineCount(head), 3);
+    assert.ok(text.endsWith(rest.text) && !rest.text.includes("\n"));
+    assert.strictEqual(Math.round(lineCount(rest)), total - 3);
+
+    // One line short of the whole rest: a single line would be left alone, two go to the next page
+    const [again, last] = BLOCK_TYPES.text.split(doc, rest, width, (lineCount(rest) - 1) * spacing);
+    assert.strictEqual(Math.round(lineCount(again)), lineCount(rest) - 2);
+    assert.strictEqual(Math.round(lineCount(last)), 2);
+});
+
+test("settings of a right-to-left render are not left over for the next render", () => {
+    const doc = newDoc();
+    const template = { blocks: [{ type: "text", text: "Hello" }] };
+    renderTemplate(doc, template, {}, { direction: "rtl" });
+    renderTemplate(doc, template, {}, { addPage: true });
+    const [rtlX] = textX(doc, 1);
+    const [ltrX] = textX(doc, 2);
+    assert.ok(rtlX > 500, `right aligned, got ${rtlX}`);
+    // The 10mm left margin
+    assert.ok(Math.abs(ltrX - 10 * 72 / 25.4) < 0.01, `left aligned, got ${ltrX}`);
+});
+
+test("a block taller than the page that cannot split is cut at the bottom of the flow area", (t) => {
+    t.mock.method(console, "warn", () => {});
+    const doc = newDoc();
+    renderTemplate(doc, { blocks: [
+        { type: "text", text: "Before" },
+        { type: "spacer", height: 400 },
+        { type: "text", text: "After" },
+    ] }, {});
+    assert.strictEqual(doc.getNumberOfPages(), 3);
+    assert.deepStrictEqual(textX(doc, 1).length, 1);
+    const ops = pageOps(doc, 2);
+    assert.ok(ops.includes("W") && ops.includes("n"), "the block is clipped");
+    assert.deepStrictEqual(textX(doc, 3).length, 1);
+    assert.strictEqual(console.warn.mock.callCount(), 1);
+});
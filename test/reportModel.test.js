@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildReportModel, getSimilarityCoverage } = require("../src/reportModel");
+
+test("coverage is the share of the document's words per plagiarism type", () => {
+    const model = {
+        document: { totalWords: 400 },
+        similarity: { score: 30, identicalWords: 100, minorChangedWords: 10, paraphrasedWords: 2, omittedWords: 40 },
+    };
+    assert.deepStrictEqual(getSimilarityCoverage(model), { identical: 25, minorChanges: 2.5, paraphrased: 0.5, omitted: 10 });
+});
+
+test("coverage without a plagiarism scan or words", () => {
+    assert.strictEqual(getSimilarityCoverage({ document: { totalWords: 10 }, similarity: null }), null);
+    const empty = { document: { totalWords: 0 }, similarity: { score: 0, identicalWords: 0, minorChangedWords: 0, paraphrasedWords: 0, omittedWords: 0 } };
+    assert.deepStrictEqual(getSimilarityCoverage(empty), { identical: 0, minorChanges: 0, paraphrased: 0, omitted: 0 });
+});
+
+test("the page count of the scanned document comes from where its pages start", () => {
+    const crawledVersion = (pages) => ({ text: { value: "One. Two. Three.", pages } });
+    assert.strictEqual(buildReportModel("copyleaks", { crawledVersion: crawledVersion({ startPosition: [0, 5, 10] }) }).document.pageCount, 3);
+    assert.strictEqual(buildReportModel("copyleaks", { crawledVersion: crawledVersion(undefined) }).document.pageCount, null);
+    assert.strictEqual(buildReportModel("copyleaks", {}).document.pageCount, null);
+});
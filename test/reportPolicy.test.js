@@ -0,0 +1,84 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Policies of the test tenants, in their theme folders
+const THEMES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "themes-"));
+process.env.THEMES_DIR = THEMES_DIR;
+after(() => fs.rmSync(THEMES_DIR, { recursive: true, force: true }));
+const writePolicy = (tenantId, policy) => {
+    fs.mkdirSync(path.join(THEMES_DIR, tenantId));
+    fs.writeFileSync(path.join(THEMES_DIR, tenantId, "policy.json"), JSON.stringify(policy));
+};
+writePolicy("lenient", { checks: { aiText: { review: 30, fail: null } }, missing: "pass" });
+writePolicy("broken", { checks: { similarity: { review: "high" }, singleSource: { review: 60, fail: 30 } }, missing: "maybe" });
+
+const { DEFAULT_POLICY, getPolicy, evaluatePolicy } = require("../src/reportPolicy");
+
+// 20% similarity, 12% from the largest source, and 10% of the classified text AI written
+const model = (overrides = {}) => ({
+    document: { totalWords: 100 },
+    similarity: { score: 20 },
+    sources: [
+        { type: "internet", title: "Source A", similarity: 12, matchedWords: 12 },
+        { type: "internet", title: "Source B", similarity: 8, matchedWords: 8 },
+    ],
+    ai: { totalWords: 100, spans: [{ classification: "ai", wordLength: 10 }, { classification: "human", wordLength: 90 }] },
+    ...overrides,
+});
+
+test("a tenant's policy is merged over the default one", () => {
+    assert.strictEqual(getPolicy(), DEFAULT_POLICY);
+    assert.strictEqual(getPolicy("no-policy"), DEFAULT_POLICY);
+    assert.deepStrictEqual(getPolicy("lenient"), {
+        checks: { ...DEFAULT_POLICY.checks, aiText: { review: 30, fail: null } },
+        missing: "pass",
+    });
+});
+
+test("thresholds and verdicts that cannot be used are replaced, a review threshold above fail is swapped", (t) => {
+    t.mock.method(console, "warn", () => {});
+    assert.deepStrictEqual(getPolicy("broken"), {
+        checks: {
+            similarity: DEFAULT_POLICY.checks.similarity,
+            aiText: DEFAULT_POLICY.checks.aiText,
+            singleSource: { review: 30, fail: 60 },
+        },
+        missing: DEFAULT_POLICY.missing,
+    });
+    assert.strictEqual(console.warn.mock.callCount(), 3);
+});
+
+test("the report gets the worst verdict of its checks", () => {
+    const assessment = evaluatePolicy(model());
+    assert.strictEqual(assessment.verdict, "review");
+    assert.deepStrictEqual(assessment.checks.map(({ check, verdict }) => [check, verdict]), [
+        ["similarity", "review"],
+        ["aiText", "pass"],
+        ["singleSource", "review"],
+    ]);
+    assert.deepStrictEqual(assessment.reasons, [
+        { check: "similarity", verdict: "review", value: 20, threshold: 15 },
+        { check: "singleSource", verdict: "review", value: 12, threshold: 10, source: "Source A" },
+    ]);
+
+    const failing = evaluatePolicy(model({ similarity: { score: 45 } }));
+    assert.strictEqual(failing.verdict, "fail");
+    assert.deepStrictEqual(failing.reasons[0], { check: "similarity", verdict: "fail", value: 45, threshold: 40 });
+});
+
+test("a check whose section is missing gets the missing verdict of the policy", () => {
+    const withoutAi = evaluatePolicy(model({ ai: null, similarity: { score: 5 }, sources: [] }));
+    assert.strictEqual(withoutAi.verdict, "review");
+    assert.deepStrictEqual(withoutAi.reasons, [{ check: "aiText", verdict: "review", value: null, threshold: null }]);
+
+    const lenient = evaluatePolicy(model({ ai: null, similarity: { score: 5 }, sources: [] }), getPolicy("lenient"));
+    assert.strictEqual(lenient.verdict, "pass");
+    assert.deepStrictEqual(lenient.reasons, []);
+
+    // Without a plagiarism scan both of its checks are missing
+    const withoutSimilarity = evaluatePolicy(model({ similarity: null, sources: [] }));
+    assert.deepStrictEqual(withoutSimilarity.reasons.map(({ check, value }) => [check, value]), [["similarity", null], ["singleSource", null]]);
+});
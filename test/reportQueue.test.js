@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createJobQueue } = require("../src/reportQueue");
+
+test("a job for the same key is only shared when its payload is the same", async () => {
+    let finish;
+    const queue = createJobQueue({ handler: () => new Promise((resolve) => { finish = resolve; }) });
+
+    const first = queue.enqueue("user-1/scan-1", { userId: "user-1", scanId: "scan-1", locale: "en" });
+    const same = queue.enqueue("user-1/scan-1", { userId: "user-1", scanId: "scan-1", locale: "en" });
+    assert.strictEqual(same.id, first.id);
+    assert.strictEqual(same.deduplicated, true);
+    assert.strictEqual(first.deduplicated, undefined);
+
+    assert.throws(
+        () => queue.enqueue("user-1/scan-1", { userId: "user-1", scanId: "scan-1", locale: "ar" }),
+        (error) => error.status === 409 && error.job.id === first.id && error.job.payload.locale === "en",
+    );
+
+    // Once the job finished the other options can be queued
+    finish({});
+    await new Promise((resolve) => setImmediate(resolve));
+    const other = queue.enqueue("user-1/scan-1", { userId: "user-1", scanId: "scan-1", locale: "ar" });
+    assert.notStrictEqual(other.id, first.id);
+    assert.strictEqual(other.payload.locale, "ar");
+    finish({});
+});
+
+test("payloads are compared by value, whatever the order of their keys", () => {
+    const queue = createJobQueue({ handler: () => new Promise(() => {}) });
+    const first = queue.enqueue("user-1/scan-1", { userId: "user-1", scanId: "scan-1", locale: "en", tenantId: undefined });
+    const same = queue.enqueue("user-1/scan-1", { locale: "en", scanId: "scan-1", userId: "user-1" });
+    assert.strictEqual(same.id, first.id);
+    assert.strictEqual(same.deduplicated, true);
+});
+
+test("jobs waiting to be retried count against the queue limit", async () => {
+    const queue = createJobQueue({
+        handler: () => Promise.reject(new Error("Renderer crashed")),
+        concurrency: 1,
+        maxQueued: 1,
+        retryDelayMs: 50,
+    });
+    queue.enqueue("user-1/scan-1", { scanId: "scan-1" });
+    // The first attempt failed, the job waits out the retry delay
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(queue.stats().queued, 1);
+    assert.throws(() => queue.enqueue("user-1/scan-2", { scanId: "scan-2" }), (error) => error.status === 503);
+});
+
+test("a failed job is not retried while another job for its key is active", async () => {
+    let fail = true;
+    const queue = createJobQueue({
+        handler: () => (fail ? Promise.reject(new Error("Renderer crashed")) : new Promise(() => {})),
+        maxAttempts: 1,
+    });
+    const failed = queue.enqueue("user-1/scan-1", { locale: "en" });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(queue.getJob(failed.id).status, "failed");
+
+    fail = false;
+    const active = queue.enqueue("user-1/scan-1", { locale: "ar" });
+    assert.throws(() => queue.retry(failed.id), (error) => error.status === 409 && error.job.id === active.id);
+    assert.strictEqual(queue.getJob(failed.id).status, "failed");
+});
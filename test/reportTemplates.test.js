@@ -0,0 +1,17 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const templates = require("../src/reportTemplates");
+
+// Every block of a template, columns included
+const allBlocks = (blocks) => blocks.flatMap((block) => [block, ...(block.columns || []).flatMap((column) => (Array.isArray(column) ? allBlocks(column) : []))]);
+
+test("the branded footer is only drawn by the stamp layouts", () => {
+    Object.entries(templates)
+        .filter(([name]) => name.endsWith("_TEMPLATE"))
+        .forEach(([name, template]) => {
+            assert.ok(!allBlocks(template.blocks).some((block) => block.type === "footer"), `${name} has a footer`);
+        });
+    ["default", "cover"].forEach((layout) => {
+        assert.strictEqual(templates.STAMP_LAYOUTS[layout].blocks.filter((block) => block.type === "footer").length, 1);
+    });
+});
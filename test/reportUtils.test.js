@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const { jsPDF } = require("jspdf");
+const { PDFDocument } = require("pdf-lib");
+const { selectPages, composePDFs, stampPages } = require("../src/reportUtils");
+
+// A jsPDF document of `count` pages of one paper size
+const makeDoc = (count, format) => {
+    const doc = new jsPDF({ format });
+    for (let i = 1; i < count; i++) doc.addPage(format);
+    return doc;
+};
+
+// Size of a page in whole pt, to tell where a composed page comes from
+const sizeOf = (page) => page.getSize().width.toFixed(0);
+
+test("page selections", () => {
+    assert.deepStrictEqual(selectPages(undefined, 3), [0, 1, 2]);
+    assert.deepStrictEqual(selectPages("1-3,5,8-", 10), [0, 1, 2, 4, 7, 8, 9]);
+    assert.deepStrictEqual(selectPages("3,1", 3), [2, 0]);
+    assert.deepStrictEqual(selectPages([2, "1"], 3), [1, 0]);
+    // An open range past the end is empty
+    assert.deepStrictEqual(selectPages("6-", 5), []);
+    ["0", "3-2", "6", "1-6", "a", "-2"].forEach((range) => {
+        assert.throws(() => selectPages(range, 5), /Invalid page range/);
+    });
+});
+
+test("composes the selected pages in order, inserted where asked and rotated", async () => {
+    const a4 = makeDoc(3, "a4");
+    const a5 = makeDoc(2, "a5");
+    const composed = await composePDFs([
+        { source: a4, pages: "2-" },
+        { source: a5, at: 1, rotate: 90 },
+        { source: a4, pages: "1", rotate: -90 },
+    ]);
+    const pages = composed.getPages();
+    assert.deepStrictEqual(pages.map(sizeOf), ["595", "420", "420", "595", "595"]);
+    assert.deepStrictEqual(pages.map((page) => page.getRotation().angle), [0, 90, 90, 0, 270]);
+
+    await assert.rejects(composePDFs([{ source: a4, rotate: 45 }]), /multiple of 90 degrees/);
+    await assert.rejects(composePDFs([{ source: a4, pages: "4" }]), /Invalid page range "4"/);
+    await assert.rejects(composePDFs([{ source: a4, at: 1 }]), /Cannot insert pages at 1/);
+});
+
+// Where the transformations (`cm`) of the last content stream of a page put the corners of a `width` x `height` form
+const stampCorners = (pdfDoc, page, width, height) => {
+    const contents = page.node.Contents().asArray();
+    const stream = pdfDoc.context.lookup(contents[contents.length - 1]);
+    const ops = zlib.inflateSync(Buffer.from(stream.getContents())).toString();
+    const matrix = ops.split("\n").filter((line) => line.endsWith(" cm")).map((line) => line.split(" ").slice(0, 6).map(Number))
+        .reduce(([a, b, c, d, e, f], [a2, b2, c2, d2, e2, f2]) => [
+            a2 * a + b2 * c, a2 * b + b2 * d, c2 * a + d2 * c, c2 * b + d2 * d, e2 * a + f2 * c + e, e2 * b + f2 * d + f,
+        ], [1, 0, 0, 1, 0, 0]);
+    const [a, b, c, d, e, f] = matrix;
+    // `+ 0` turns -0 into 0
+    return [[0, 0], [width, height]].map(([x, y]) => [Math.round(a * x + c * y + e) + 0, Math.round(b * x + d * y + f) + 0]);
+};
+
+test("stamps a rotated page as it is shown", async () => {
+    const composed = await composePDFs([0, 90, 180, 270].map((rotate) => ({ source: makeDoc(1, "a4"), rotate })));
+    await stampPages(composed, undefined, undefined, { rules: [{ pages: "*", layout: "default" }], scanId: "scan-1" });
+    const saved = await PDFDocument.load(await composed.save());
+
+    // The stamp is as large as the page is shown, its bottom left corner at the bottom left of the shown page
+    const [width, height] = [595, 842];
+    const corners = saved.getPages().map((page, i) => (i % 2 ? stampCorners(saved, page, height, width) : stampCorners(saved, page, width, height)));
+    assert.deepStrictEqual(corners, [
+        [[0, 0], [width, height]],
+        [[width, 0], [0, height]],
+        [[width, height], [0, 0]],
+        [[0, height], [width, 0]],
+    ]);
+});
@@ -0,0 +1,81 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLocalStorage, createS3Storage } = require("../src/storage");
+
+// The same checks for every adapter
+const describeAdapter = (name, createAdapter, options = {}) => describe(`${name} storage`, options, () => {
+    let storage;
+    before(async () => {
+        storage = await createAdapter();
+    });
+
+    test("writes, reads and stats a key", async () => {
+        await storage.writeFile("ScanDoc/user-1/scan-1/scan_results.json", JSON.stringify({ ok: true }));
+        assert.deepStrictEqual(JSON.parse((await storage.readFile("ScanDoc/user-1/scan-1/scan_results.json")).toString("utf8")), { ok: true });
+        assert.strictEqual(await storage.exists("ScanDoc/user-1/scan-1/scan_results.json"), true);
+        assert.strictEqual((await storage.stat("ScanDoc/user-1/scan-1/scan_results.json")).size, 11);
+    });
+
+    test("reports missing keys", async () => {
+        assert.strictEqual(await storage.exists("ScanDoc/user-1/scan-1/missing.json"), false);
+        assert.strictEqual(await storage.stat("ScanDoc/user-1/scan-1/missing.json"), null);
+        await assert.rejects(storage.readFile("ScanDoc/user-1/scan-1/missing.json"), { code: "ENOENT" });
+    });
+
+    test("lists the files directly under a prefix", async () => {
+        await storage.writeFile("ScanDoc/user-1/scan-2/a.json", "{}");
+        await storage.writeFile("ScanDoc/user-1/scan-2/b.pdf", Buffer.from("%PDF"));
+        await storage.writeFile("ScanDoc/user-1/scan-2/results/c.json", "{}");
+        assert.deepStrictEqual((await storage.list("ScanDoc/user-1/scan-2")).sort(), ["ScanDoc/user-1/scan-2/a.json", "ScanDoc/user-1/scan-2/b.pdf"]);
+        assert.deepStrictEqual(await storage.list("ScanDoc/user-1/none"), []);
+    });
+
+    test("removes a key, and missing keys quietly", async () => {
+        await storage.writeFile("ScanDoc/user-1/scan-3/report.pdf", Buffer.from("%PDF"));
+        await storage.remove("ScanDoc/user-1/scan-3/report.pdf");
+        assert.strictEqual(await storage.exists("ScanDoc/user-1/scan-3/report.pdf"), false);
+        await storage.remove("ScanDoc/user-1/scan-3/report.pdf");
+    });
+
+    test("refuses keys that could leave the root", async () => {
+        for (const key of ["../outside.json", "ScanDoc/../../outside.json", "ScanDoc/user-1/..", "/etc/passwd", ""]) {
+            await assert.rejects(storage.readFile(key), { code: "EINVALIDKEY", status: 400 }, key);
+            await assert.rejects(storage.writeFile(key, "{}"), { code: "EINVALIDKEY", status: 400 }, key);
+            await assert.rejects(storage.exists(key), { code: "EINVALIDKEY", status: 400 }, key);
+        }
+    });
+});
+
+const LOCAL_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+after(() => fs.rmSync(LOCAL_ROOT, { recursive: true, force: true }));
+
+describeAdapter("local", () => createLocalStorage({ root: LOCAL_ROOT }));
+
+// The S3 adapter runs against a MinIO (or any S3-compatible server) when S3_TEST_ENDPOINT is set, e.g.
+// `docker run -p 9000:9000 minio/minio server /data` and S3_TEST_ENDPOINT=http://localhost:9000
+const { S3_TEST_ENDPOINT, S3_TEST_BUCKET = "report-storage-test" } = process.env;
+const S3_TEST_CREDENTIALS = {
+    accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || "minioadmin",
+    secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || "minioadmin",
+};
+
+describeAdapter("s3", async () => {
+    const { S3Client, CreateBucketCommand } = require("@aws-sdk/client-s3");
+    const client = new S3Client({ region: "us-east-1", endpoint: S3_TEST_ENDPOINT, forcePathStyle: true, credentials: S3_TEST_CREDENTIALS });
+    try {
+        await client.send(new CreateBucketCommand({ Bucket: S3_TEST_BUCKET }));
+    } catch (error) {
+        if (error.name !== "BucketAlreadyOwnedByYou" && error.name !== "BucketAlreadyExists") throw error;
+    }
+    return createS3Storage({ bucket: S3_TEST_BUCKET, prefix: `run-${Date.now()}`, endpoint: S3_TEST_ENDPOINT, ...S3_TEST_CREDENTIALS });
+}, { skip: S3_TEST_ENDPOINT ? false : "S3_TEST_ENDPOINT is not set" });
+
+test("the S3 adapter refuses keys that could leave its prefix without calling the server", async () => {
+    const storage = createS3Storage({ bucket: "reports", prefix: "tenant-a", endpoint: "http://127.0.0.1:9", ...S3_TEST_CREDENTIALS });
+    await assert.rejects(storage.readFile("../tenant-b/ScanDoc/user-1/scan-1/scan_results.json"), { code: "EINVALIDKEY", status: 400 });
+    await assert.rejects(storage.writeFile("ScanDoc/../../tenant-b/report.pdf", "%PDF"), { code: "EINVALIDKEY", status: 400 });
+    assert.throws(() => storage.getLocation("../tenant-b"), { code: "EINVALIDKEY" });
+});
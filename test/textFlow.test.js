@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { breakWord, wrapLines, wrapText, fitLines, flowBlocks } = require("../src/textFlow");
+
+// One unit per character
+const measure = (text) => text.length;
+
+test("wraps at spaces and keeps where every line comes from", () => {
+    const text = "alpha beta gamma\ndelta epsilon";
+    const lines = wrapLines(text, 11, measure);
+    assert.deepStrictEqual(lines.map((line) => line.text), ["alpha beta", "gamma", "delta", "epsilon"]);
+    assert.deepStrictEqual(lines.map((line) => text.slice(line.start, line.end)), ["alpha beta", "gamma", "delta", "epsilon"]);
+    assert.deepStrictEqual(lines.map((line) => line.paragraphStart), [true, false, true, false]);
+    assert.deepStrictEqual(wrapText("one\n\ntwo", 10, measure), ["one", "", "two"]);
+});
+
+test("only breaks words wider than a line, hyphenated between letters and after URL punctuation", () => {
+    assert.deepStrictEqual(breakWord("abcdefghij", 4, measure), ["abc-", "def-", "ghij"]);
+    assert.deepStrictEqual(breakWord("example.com/a/b", 8, measure), ["example.", "com/a/b"]);
+
+    const text = "see abcdefghij now";
+    const lines = wrapLines(text, 4, measure);
+    assert.deepStrictEqual(lines.map((line) => line.text), ["see", "abc-", "def-", "ghij", "now"]);
+    assert.deepStrictEqual(lines.map((line) => line.hyphenated), [false, true, true, false, false]);
+    assert.deepStrictEqual(lines.map((line) => text.slice(line.start, line.end)), ["see", "abc", "def", "ghij", "now"]);
+});
+
+test("keeps widows and orphans with their paragraph", () => {
+    const paragraph = (count) => Array.from({ length: count }, (_, i) => ({ height: 1, paragraphStart: i === 0 }));
+    // 5 lines fit, the paragraph has 6: one line alone on the next page is a widow, two go
+    assert.strictEqual(fitLines(paragraph(6), 5), 4);
+    // 1 line fits: an orphan, the paragraph starts on the next page
+    assert.strictEqual(fitLines(paragraph(6), 1), 0);
+    // At the top of a page nothing better can be done
+    assert.strictEqual(fitLines(paragraph(6), 1, { atTop: true }), 1);
+    // The break falls between two paragraphs
+    assert.strictEqual(fitLines([...paragraph(3), ...paragraph(3)], 3), 3);
+});
+
+// Runs `flowBlocks` over blocks with a `height`, recording the page and position every block is drawn at
+const flow = (blocks, split) => {
+    const drawn = [];
+    let page = 1;
+    flowBlocks(blocks, {
+        top: 0,
+        bottom: 10,
+        newPage: () => { page++; },
+        measure: (block) => block.height,
+        split,
+        draw: (block, y, options) => drawn.push({ id: block.id, page, y, ...options }),
+    });
+    return drawn;
+};
+
+// Splits a block at whole units
+const splitUnits = (block, height) => (height >= 1 && block.height > 1 ? [
+    { ...block, height: Math.floor(height) },
+    { ...block, id: `${block.id}+`, height: block.height - Math.floor(height) },
+] : null);
+
+test("moves blocks that do not fit to the next page and splits the ones that can", () => {
+    const drawn = flow([{ id: "a", height: 6 }, { id: "b", height: 6, keepTogether: true }, { id: "c", height: 6 }], splitUnits);
+    assert.deepStrictEqual(drawn.map(({ id, page, y }) => [id, page, y]), [["a", 1, 0], ["b", 2, 0], ["c", 2, 6], ["c+", 3, 0]]);
+});
+
+test("splits keepTogether blocks taller than a page and cuts the ones that cannot split", () => {
+    const drawn = flow([
+        { id: "tall", height: 15, keepTogether: true },
+        { id: "a", height: 3 },
+        { id: "image", height: 25 },
+        { id: "b", height: 3 },
+    ], (block, height) => (block.id === "image" ? null : splitUnits(block, height)));
+    assert.deepStrictEqual(drawn.map(({ id, page, y, maxHeight }) => [id, page, y, maxHeight]), [
+        ["tall", 1, 0, undefined],
+        ["tall+", 2, 0, undefined],
+        ["a", 2, 5, undefined],
+        // Tried at the top of the next page, then cut to the flow area instead of running below it
+        ["image", 3, 0, 10],
+        ["b", 4, 0, undefined],
+    ]);
+});